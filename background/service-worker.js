@@ -4,19 +4,64 @@
  */
 
 // ES Module imports from shared library
-import { INSPIREClient, INSPIREError, Storage, BibtexUtils } from '../lib/shared-import.js';
-import { resolveEntries, categorizeResults } from '../lib/bibtex-resolver.js';
+import {
+  INSPIREClient,
+  INSPIREError,
+  Storage,
+  BibtexUtils,
+  ResponseCache,
+  CACHE_CONFIG,
+} from '../lib/shared-import.js';
+import {
+  resolveEntries,
+  categorizeResults,
+  findPublishedVersions,
+  applyPublicationInfo,
+} from '../lib/bibtex-resolver.js';
+import { buildSearchQuery, normalizeSort } from '../lib/search-query.js';
+import { getRecordDetails } from '../lib/record-details.js';
+import { CITE_COMMANDS, suggestCiteCommand } from '../lib/cite-commands.js';
+import { scanProject, keyLookup } from '../lib/citation-scan.js';
+import { resolveBibliographyFiles } from '../lib/bibliography-files.js';
+import { IncrementalBibParser } from '../lib/bib-sync.js';
+import {
+  assignCiteKeys,
+  findExportEntry,
+  formatCiteKey,
+  parseKeyTemplate,
+  SAMPLE_DOCUMENT,
+} from '../lib/cite-key.js';
+
+// Persistent INSPIRE response cache, shared by every request from this worker
+const responseCache = new ResponseCache({
+  ttls: CACHE_CONFIG.apiTTL,
+  defaultTTL: CACHE_CONFIG.defaultTTL,
+  maxBytes: CACHE_CONFIG.apiCacheMaxBytes,
+});
+
+// Incremental parsers of .bib files being edited, by "projectId/fileName"
+const bibSyncParsers = new Map();
 
 // Singleton INSPIRE client (no auth required)
 let client = null;
 
 function getClient() {
   if (!client) {
-    client = new INSPIREClient();
+    client = new INSPIREClient({ cache: responseCache });
   }
   return client;
 }
 
+// Jobs older than this are discarded instead of resumed
+const RESOLVE_JOB_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// A running job is saved after this many new results, or this long after the last save (ms)
+const RESOLVE_JOB_SAVE_EVERY = 25;
+const RESOLVE_JOB_SAVE_INTERVAL = 5000;
+
+// Resolution jobs running in this worker, by project ID: { job, controller, ports }
+const resolveJobs = new Map();
+
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   handleMessage(message, sender)
@@ -31,11 +76,15 @@ async function handleMessage(message, sender) {
   switch (action) {
     // Search INSPIRE
     case 'search':
-      return await search(payload.query, payload.rows, payload.page);
+      return await withCiteKeys(
+        search(payload.query, payload.rows, payload.page, payload.sort, payload.filters),
+        payload.projectId,
+        payload.takenKeys
+      );
 
     // Export BibTeX for record IDs
     case 'exportBibtex':
-      return await exportBibtex(payload.recids || payload.bibcodes);
+      return await exportBibtex(payload.recids || payload.bibcodes, payload.citeKeys, payload.identifiers);
 
     // Lookup by DOI
     case 'lookupByDOI':
@@ -49,35 +98,124 @@ async function handleMessage(message, sender) {
     case 'getRecord':
       return await getRecord(payload.recid);
 
+    // Reference list and citing papers of a record
+    case 'getReferences':
+      return await withCiteKeys(getReferences(payload.recid), payload.projectId);
+
+    case 'getCitations':
+      return await withCiteKeys(
+        getCitations(payload.recid, payload.page, payload.rows),
+        payload.projectId,
+        payload.takenKeys
+      );
+
+    // Abstract, authors, keywords and links for the detail view
+    case 'getRecordDetails':
+      return await fetchRecordDetails(payload);
+
     // Resolve BibTeX to INSPIRE records
     case 'resolveBibtex':
       return await resolveBibtex(payload.bibtexContent);
 
+    // Stored INSPIRE matches for the project's cite keys
+    case 'getResolutions':
+      return { resolutions: await Storage.getResolutions(payload.projectId) };
+
+    case 'saveResolutions':
+      await Storage.setResolutions(payload.projectId, payload.resolutions);
+      return { success: true };
+
+    // Find entries that have been published since they were added
+    case 'checkPublished':
+      return await checkPublished(payload.content);
+
+    // Rewrite entries with their journal references
+    case 'applyPublishedUpdates':
+      return applyPublishedUpdates(payload.content, payload.updates);
+
     // Get cached .bib file content
     case 'getBibFile':
-      return await Storage.getBibFileContent();
+      return await Storage.getBibFileContent(payload.projectId, payload.fileName);
 
     // Set cached .bib file content
     case 'setBibFile':
-      await Storage.setBibFileContent(payload.content, payload.fileName);
+      await Storage.setBibFileContent(
+        payload.projectId, payload.fileName, payload.content, payload.projectName
+      );
       return { success: true };
 
-    // Get parsed papers from .bib file
+    // Get parsed papers from the project's .bib files
     case 'getParsedPapers':
-      return await getParsedPapers();
+      return await getParsedPapers(payload.projectId);
 
     // Parse .bib content and cache it
     case 'parseBibFile':
-      return await parseBibFile(payload.content, payload.fileName);
+      return await parseBibFile(payload);
 
-    // Clear .bib file cache
+    // Re-parse the entries of an edited .bib that changed, and cache it
+    case 'syncBibFile':
+      return await syncBibFile(payload);
+
+    // List projects with a cached bibliography
+    case 'listBibProjects':
+      return { projects: await Storage.listBibProjects() };
+
+    // Clear .bib file cache (one file, one project, or all projects)
     case 'clearBibFile':
-      await Storage.clearBibFile();
+      await Storage.clearBibFile(payload?.projectId, payload?.fileName);
       return { success: true };
 
+    // Work out which BibTeX entries can be appended to a .bib file
+    case 'appendBibEntries':
+      return appendBibEntries(payload.content, payload.bibtex);
+
     // Add a single paper to the cached papers
     case 'addPaperToCache':
-      return await addPaperToCache(payload.paper);
+      return await addPaperToCache(payload.projectId, payload.fileName, payload.paper);
+
+    // Citation command for a project: last choice, the suggested default and the commands to pick from
+    case 'getCiteCommand':
+      return {
+        command: await Storage.getCiteCommand(payload.projectId),
+        suggested: suggestCiteCommand(payload.tex),
+        commands: CITE_COMMANDS,
+      };
+
+    case 'setCiteCommand':
+      await Storage.setCiteCommand(payload.projectId, payload.command);
+      return { success: true };
+
+    // .bib file a project writes new entries into
+    case 'getTargetBibFile':
+      return { fileName: await Storage.getTargetBibFile(payload.projectId) };
+
+    case 'setTargetBibFile':
+      await Storage.setTargetBibFile(payload.projectId, payload.fileName);
+      return { success: true };
+
+    // .bib file a project writes new entries into
+    case 'getTargetBibFile':
+      return { fileName: await Storage.getTargetBibFile(payload.projectId) };
+
+    case 'setTargetBibFile':
+      await Storage.setTargetBibFile(payload.projectId, payload.fileName);
+      return { success: true };
+
+    // Missing, unused and duplicate keys across the project's .tex and .bib files
+    case 'scanCitations':
+      return scanProject(payload);
+
+    // .bib files named by \bibliography / \addbibresource in the root documents and the files they include
+    case 'findBibliographyFiles':
+      return resolveBibliographyFiles(payload.texFiles, payload.bibPaths);
+
+    // Records an undefined cite key may stand for
+    case 'lookupCiteKey':
+      return await lookupCiteKey(payload.key);
+
+    // Key a template gives the sample record, for the settings page
+    case 'previewCiteKey':
+      return previewCiteKey(payload.template);
 
     // User preferences
     case 'getPreferences':
@@ -90,6 +228,7 @@ async function handleMessage(message, sender) {
     // Clear all caches
     case 'clearCaches':
       await Storage.clearCaches();
+      await responseCache.clear();
       return { success: true };
 
     default:
@@ -98,20 +237,58 @@ async function handleMessage(message, sender) {
 }
 
 /**
- * Search INSPIRE
+ * Search INSPIRE, with the quick filters appended to the query
+ * @returns {Promise<{documents: Array, numFound: number, query: string}>} `query` is what was sent to INSPIRE
  */
-async function search(query, rows = 20, page = 1) {
+async function search(query, rows = 20, page = 1, sort, filters) {
   const inspireClient = getClient();
-  return await inspireClient.search(query, rows, page);
+  const fullQuery = buildSearchQuery(query, filters);
+  const result = await inspireClient.search(fullQuery, rows, page, normalizeSort(sort));
+  return { ...result, query: fullQuery };
 }
 
 /**
- * Export BibTeX for record IDs
+ * Export BibTeX for record IDs. Entries are keyed by INSPIRE texkey; those
+ * cited under another key are re-keyed to it.
+ * @param {Array<string>} recids
+ * @param {Object<string, string>} [citeKeys] - recid -> cite key the record was cited with
+ * @param {Object<string, Object>} [identifiers] - recid -> {texkey, arxivId, doi}, to
+ *   recognize the record's entry when its key is not known
+ * @returns {Promise<{bibtex: string, entries: Object<string, string>}>} `entries`
+ *   maps each recid whose entry was recognized to that entry's BibTeX
  */
-async function exportBibtex(recids) {
+async function exportBibtex(recids, citeKeys = {}, identifiers = {}) {
   const inspireClient = getClient();
-  const bibtex = await inspireClient.exportBibtex(recids);
-  return { bibtex };
+  let bibtex = await inspireClient.exportBibtex(recids);
+
+  const exported = BibtexUtils.parseBibtex(bibtex);
+  const rekeyed = recids.filter(recid =>
+    citeKeys[recid] && !exported.some(entry => entry.citeKey === citeKeys[recid])
+  );
+
+  if (rekeyed.length > 0) {
+    const texkeys = await inspireClient.getTexkeys(rekeyed);
+    const changed = [];
+    for (const recid of rekeyed) {
+      const entry = exported.find(e => texkeys.get(String(recid))?.includes(e.citeKey));
+      if (entry) changed.push({ ...entry, citeKey: citeKeys[recid] });
+    }
+    bibtex = BibtexUtils.updateBibtex(bibtex, changed);
+  }
+
+  const { entries } = BibtexUtils.parseBibtexDocument(bibtex);
+  const byRecid = {};
+  for (const recid of recids) {
+    const ids = identifiers[recid] || {};
+    const entry = findExportEntry(entries, {
+      keys: [citeKeys[recid], ids.texkey].filter(Boolean),
+      arxivId: ids.arxivId,
+      doi: ids.doi,
+    });
+    if (entry) byRecid[recid] = entry.raw;
+  }
+
+  return { bibtex, entries: byRecid };
 }
 
 /**
@@ -141,19 +318,114 @@ async function getRecord(recid) {
   return { document: doc };
 }
 
+/**
+ * Get the reference list of a record
+ */
+async function getReferences(recid) {
+  const inspireClient = getClient();
+  return await inspireClient.getReferences(recid);
+}
+
+/**
+ * Give the documents of a search-like result cite keys from the key template,
+ * without clashing with the project's .bib
+ * @param {Promise<{documents: Array}>} pending - search, getReferences or getCitations result
+ * @param {string} [projectId] - Overleaf project whose .bib is checked for clashes
+ * @param {Array<string>} [takenKeys] - Keys of the earlier pages of the same list
+ */
+async function withCiteKeys(pending, projectId, takenKeys = []) {
+  const result = await pending;
+  const { citeKeyTemplate } = await Storage.getPreferences();
+  const papers = projectId ? await Storage.getParsedPapers(projectId) || [] : [];
+  const resolutions = projectId ? await Storage.getResolutions(projectId) : {};
+
+  return {
+    ...result,
+    documents: assignCiteKeys(result.documents, { template: citeKeyTemplate, papers, resolutions, takenKeys }),
+  };
+}
+
+/**
+ * Preview a cite key template on a sample record
+ * @returns {{key: string, suffixed: string}|{error: string}} `suffixed` is the
+ *   key when the plain one is already taken
+ */
+function previewCiteKey(template) {
+  try {
+    parseKeyTemplate(template);
+  } catch (error) {
+    return { error: error.message };
+  }
+  return {
+    key: formatCiteKey(SAMPLE_DOCUMENT, template),
+    suffixed: formatCiteKey(SAMPLE_DOCUMENT, template, 'a'),
+  };
+}
+
+/**
+ * Get a page of the records citing a record, most cited first
+ */
+async function getCitations(recid, page = 1, rows = 25) {
+  const inspireClient = getClient();
+  return await inspireClient.getCitations(recid, page, rows);
+}
+
+/**
+ * Get the detail view of a record, found by recid, DOI or arXiv ID (in that order)
+ * @returns {Promise<{details: Object|null}>} null if INSPIRE has no such record
+ */
+async function fetchRecordDetails({ recid, doi, arxivId }) {
+  const inspireClient = getClient();
+
+  let doc = null;
+  if (recid) {
+    doc = await inspireClient.getRecord(recid);
+  } else if (doi) {
+    doc = await inspireClient.lookupByDOI(doi);
+  }
+  if (!doc && arxivId) {
+    doc = await inspireClient.lookupByArxiv(arxivId);
+  }
+
+  return { details: doc ? getRecordDetails(doc) : null };
+}
+
+/**
+ * Find the records an undefined cite key may stand for: the record with that
+ * texkey, or the first few papers by the author and year a hand-made key starts with
+ * @returns {Promise<{documents: Array, query: string|null}>} `query` is null
+ *   when the key says nothing searchable
+ */
+async function lookupCiteKey(key) {
+  const lookup = keyLookup(key);
+  if (!lookup) {
+    return { documents: [], query: null };
+  }
+
+  const inspireClient = getClient();
+  if (lookup.texkey) {
+    const { byTexkey } = await inspireClient.lookupBatch({ texkeys: [lookup.texkey] });
+    const doc = byTexkey.get(lookup.texkey);
+    return { documents: doc ? [doc] : [], query: `texkey:${lookup.texkey}` };
+  }
+
+  const { documents } = await inspireClient.search(lookup.query, 5, 1, 'mostcited');
+  return { documents, query: lookup.query };
+}
+
 /**
  * Get parsed papers from cache
  */
-async function getParsedPapers() {
-  const papers = await Storage.getParsedPapers();
+async function getParsedPapers(projectId) {
+  const papers = await Storage.getParsedPapers(projectId);
   return { papers: papers || [] };
 }
 
 /**
- * Add a single paper to the cached papers
+ * Add a single paper to the cached papers of one of the project's .bib files
  */
-async function addPaperToCache(paper) {
-  const papers = await Storage.getParsedPapers() || [];
+async function addPaperToCache(projectId, fileName, paper) {
+  const papers = await Storage.getParsedPapers(projectId) || [];
 
   // Check if already exists
   const exists = papers.some(p =>
@@ -161,27 +433,98 @@ async function addPaperToCache(paper) {
   );
 
   if (!exists) {
-    papers.push(paper);
-    await Storage.setParsedPapers(papers);
+    const filePapers = papers.filter(p => p.bibFile === fileName);
+    filePapers.push(paper);
+    await Storage.setParsedPapers(projectId, fileName, filePapers);
+    return { success: true, count: papers.length + 1 };
   }
 
   return { success: true, count: papers.length };
 }
 
 /**
- * Parse .bib file content and cache it
+ * Work out which BibTeX entries are missing from a .bib file
+ * @param {string} content - Current .bib file content
+ * @param {string} bibtex - New BibTeX entries
+ * @returns {Object} Keys added/skipped and the text to append to the file
  */
-async function parseBibFile(content, fileName) {
-  // Store the raw content
-  await Storage.setBibFileContent(content, fileName);
+function appendBibEntries(content, bibtex) {
+  const added = [];
+  const skipped = [];
+  const raws = [];
+
+  for (const entry of BibtexUtils.parseBibtex(bibtex)) {
+    if (BibtexUtils.containsKey(content, entry.citeKey) || added.includes(entry.citeKey)) {
+      skipped.push(entry.citeKey);
+    } else {
+      added.push(entry.citeKey);
+      raws.push(entry.raw.trim());
+    }
+  }
+
+  if (raws.length === 0) {
+    return { added, skipped, appendText: '' };
+  }
 
+  const separator = content.trim() === '' ? '' : (content.endsWith('\n') ? '\n' : '\n\n');
+  return { added, skipped, appendText: `${separator}${raws.join('\n\n')}\n` };
+}
+
+/**
+ * Parse .bib file content and cache it under its project
+ */
+async function parseBibFile({ projectId, projectName, content, fileName }) {
   // Parse into display format
-  const papers = BibtexUtils.parseBibtexForDisplay(content);
+  const { entries, errors } = BibtexUtils.parseBibtexDocument(content);
+  const papers = entries.map(entry => BibtexUtils.toDisplayEntry(entry));
+
+  return {
+    ...await cacheBibFile(projectId, projectName, fileName, content, papers),
+    count: papers.length,
+    errors: errors.map(e => ({ message: e.reason, line: e.line, column: e.column })),
+  };
+}
 
-  // Cache parsed papers
-  await Storage.setParsedPapers(papers);
+/**
+ * Store a .bib file's content and parsed papers under its project. A failed
+ * write (e.g. storage quota) does not lose the papers: they are returned with
+ * the project's other cached papers, and the failure as `cacheError`.
+ * @returns {Promise<{papers: Array, cacheError?: string}>} Papers of all the project's .bib files
+ */
+async function cacheBibFile(projectId, projectName, fileName, content, papers) {
+  try {
+    await Storage.setBibFileContent(projectId, fileName, content, projectName);
+    await Storage.setParsedPapers(projectId, fileName, papers);
+    return { papers: await Storage.getParsedPapers(projectId) };
+  } catch (error) {
+    console.warn(`INSPIRE for Overleaf: Could not cache ${fileName}:`, error);
+    const others = (await Storage.getParsedPapers(projectId).catch(() => null) || [])
+      .filter(p => p.bibFile !== fileName);
+    return {
+      papers: [...others, ...papers.map(p => ({ ...p, bibFile: fileName }))],
+      cacheError: error.message,
+    };
+  }
+}
 
-  return { papers, count: papers.length };
+/**
+ * Update the cache of a .bib that is being edited, parsing only the entries
+ * that changed since the last call for the same file
+ * @returns {Promise<Object>} As parseBibFile, plus `reparsed`: chunks parsed
+ */
+async function syncBibFile({ projectId, projectName, content, fileName }) {
+  const id = `${projectId}/${fileName}`;
+  if (!bibSyncParsers.has(id)) {
+    bibSyncParsers.set(id, new IncrementalBibParser());
+  }
+  const { papers, errors, reparsed } = bibSyncParsers.get(id).parse(content);
+
+  return {
+    ...await cacheBibFile(projectId, projectName, fileName, content, papers),
+    count: papers.length,
+    errors,
+    reparsed,
+  };
 }
 
 /**
@@ -215,7 +558,7 @@ async function resolveBibtex(bibtexContent) {
   }));
 
   // Resolve entries
-  const results = await resolveEntries(normalizedEntries, inspireClient, null, 150);
+  const results = await resolveEntries(normalizedEntries, inspireClient);
 
   // Categorize results
   const categorized = categorizeResults(results);
@@ -223,6 +566,231 @@ async function resolveBibtex(bibtexContent) {
   return { results, categorized };
 }
 
+/**
+ * Find preprint entries whose INSPIRE record now has a journal reference
+ * @param {string} content - Raw BibTeX content
+ * @returns {Object} { total, checked, updates }
+ */
+async function checkPublished(content) {
+  const inspireClient = getClient();
+  const entries = BibtexUtils.parseBibtex(content);
+  const { checked, updates } = await findPublishedVersions(entries, inspireClient);
+  return { total: entries.length, checked, updates };
+}
+
+/**
+ * Rewrite entries in place with their journal references
+ * @param {string} content - Current .bib file content
+ * @param {Array} updates - Updates from checkPublished ({ citeKey, published })
+ * @returns {Object} { content, changes, updated } where changes are
+ *   { from, to, insert } edits against the original content
+ */
+function applyPublishedUpdates(content, updates) {
+  const { entries, strings } = BibtexUtils.parseBibtexDocument(content);
+  const changes = [];
+  const updated = [];
+
+  for (const update of updates) {
+    const entry = entries.find(e => e.citeKey === update.citeKey);
+    if (!entry) continue;
+
+    const changed = { ...entry, ...applyPublicationInfo(entry, update.published) };
+    const text = BibtexUtils.serializeEntry(changed, { macros: strings });
+    if (text !== entry.raw) {
+      changes.push({ from: entry.start, to: entry.end, insert: text });
+      updated.push(entry.citeKey);
+    }
+  }
+
+  changes.sort((a, b) => a.from - b.from);
+  const newContent = changes.reduceRight(
+    (text, change) => text.slice(0, change.from) + change.insert + text.slice(change.to),
+    content
+  );
+
+  return { content: newContent, changes, updated };
+}
+
+// Resolution jobs stream their results over a port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'resolveJob') return;
+
+  port.onMessage.addListener((message) => {
+    handleJobMessage(port, message)
+      .catch(error => postToPort(port, { type: 'error', message: error.message }));
+  });
+  port.onDisconnect.addListener(() => {
+    for (const running of resolveJobs.values()) {
+      running.ports.delete(port);
+    }
+  });
+});
+
+/**
+ * Handle a message on a resolution job port
+ * - start: { projectId, files: [{ fileName, content }] } resolves every entry of the files
+ * - resume: { projectId } re-attaches to a running job, or continues a saved one
+ * - cancel: { projectId } stops the job after the current entry
+ * - clear: { projectId } forgets a finished job
+ */
+async function handleJobMessage(port, message) {
+  const { type, projectId } = message;
+  const running = resolveJobs.get(projectId);
+
+  switch (type) {
+    case 'start': {
+      if (running) {
+        // Replace the running job without telling its listeners it was cancelled
+        running.ports.clear();
+        running.controller.abort();
+      }
+      const entries = message.files.flatMap(({ fileName, content }) =>
+        BibtexUtils.parseBibtex(content).map(entry => ({
+          citeKey: entry.citeKey,
+          entryType: entry.entryType,
+          fields: entry.fields,
+          bibFile: fileName,
+        }))
+      );
+      const job = { projectId, entries, results: [], status: 'running', startedAt: Date.now() };
+      await Storage.setResolveJob(projectId, job);
+      runResolveJob(job, port);
+      return;
+    }
+
+    case 'resume': {
+      if (running) {
+        running.ports.add(port);
+        postToPort(port, { type: 'started', results: running.job.results, total: running.job.entries.length });
+        return;
+      }
+
+      const job = await Storage.getResolveJob(projectId);
+      if (!job || Date.now() - job.startedAt > RESOLVE_JOB_MAX_AGE) {
+        await Storage.clearResolveJob(projectId);
+        postToPort(port, { type: 'none' });
+      } else if (job.status === 'done') {
+        postToPort(port, { type: 'done', results: [...job.results].sort((a, b) => a.index - b.index) });
+      } else {
+        runResolveJob(job, port);
+      }
+      return;
+    }
+
+    case 'cancel':
+      if (running) {
+        running.controller.abort();
+      } else {
+        const job = await Storage.getResolveJob(projectId);
+        await Storage.clearResolveJob(projectId);
+        postToPort(port, { type: 'cancelled', results: (job?.results || []).sort((a, b) => a.index - b.index) });
+      }
+      return;
+
+    case 'clear':
+      await Storage.clearResolveJob(projectId);
+      return;
+
+    default:
+      throw new Error(`Unknown job message: ${type}`);
+  }
+}
+
+/**
+ * Resolve the job's remaining entries, streaming each result and saving
+ * progress every RESOLVE_JOB_SAVE_EVERY results or RESOLVE_JOB_SAVE_INTERVAL ms
+ */
+async function runResolveJob(job, port) {
+  const controller = new AbortController();
+  const running = { job, controller, ports: new Set([port]) };
+  resolveJobs.set(job.projectId, running);
+
+  const broadcast = (message) => running.ports.forEach(p => postToPort(p, message));
+
+  // Results finish out of order, so each one records the index of its entry
+  const done = new Set(job.results.map(r => r.index));
+  const remaining = job.entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ index }) => !done.has(index));
+  const orderedResults = () => [...job.results].sort((a, b) => a.index - b.index);
+
+  broadcast({ type: 'started', results: job.results, total: job.entries.length });
+
+  // Saves run one after another; a failed save is reported, the job carries on
+  let saving = Promise.resolve();
+  let unsaved = 0;
+  let lastSave = Date.now();
+  const save = () => {
+    unsaved = 0;
+    lastSave = Date.now();
+    saving = saving
+      .then(() => Storage.setResolveJob(job.projectId, job))
+      .catch(error => broadcast({ type: 'saveFailed', message: error.message }));
+  };
+
+  try {
+    await resolveEntries(remaining.map(r => r.entry), getClient(), (completed, total, result, i) => {
+      // An aborted job may have been replaced by a new one for the same project
+      if (controller.signal.aborted) return;
+
+      const { entry, index } = remaining[i];
+      const summary = { ...summarizeResult(result, entry.bibFile), index };
+      job.results.push(summary);
+      if (++unsaved >= RESOLVE_JOB_SAVE_EVERY || Date.now() - lastSave >= RESOLVE_JOB_SAVE_INTERVAL) {
+        save();
+      }
+      broadcast({ type: 'progress', result: summary, current: job.results.length, total: job.entries.length });
+    }, { signal: controller.signal });
+    await saving;
+
+    if (controller.signal.aborted) {
+      if (resolveJobs.get(job.projectId) === running) {
+        await Storage.clearResolveJob(job.projectId);
+      }
+      broadcast({ type: 'cancelled', results: orderedResults() });
+    } else {
+      job.status = 'done';
+      await Storage.setResolveJob(job.projectId, job);
+      broadcast({ type: 'done', results: orderedResults() });
+    }
+  } catch (error) {
+    broadcast({ type: 'error', message: error.message });
+  } finally {
+    if (resolveJobs.get(job.projectId) === running) {
+      resolveJobs.delete(job.projectId);
+    }
+  }
+}
+
+/**
+ * Keep only what the match panel shows, so saved jobs stay small
+ */
+function summarizeResult(result, bibFile) {
+  const doc = result.document;
+  return {
+    citeKey: result.citeKey,
+    entryType: result.entryType,
+    recid: result.recid,
+    method: result.method,
+    confidence: result.confidence,
+    fields: result.fields,
+    error: result.error,
+    bibFile,
+    document: doc ? { recid: doc.recid, title: doc.title, author: doc.author, year: doc.year } : undefined,
+  };
+}
+
+/**
+ * Post to a port that may have been disconnected
+ */
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    // Content script went away; the job's progress is in storage
+  }
+}
+
 // Handle keyboard shortcut
 chrome.commands.onCommand.addListener((command) => {
   if (command === 'open-citation-picker') {
@@ -13,6 +13,7 @@
     console.log('INSPIRE for Overleaf: Not a project editor page, skipping initialization');
     return;
   }
+  const projectId = projectMatch[1];
 
   // Prevent multiple injections
   if (window.inspireForOverleafInjected) return;
@@ -22,18 +23,119 @@
   let state = {
     papers: [],           // Papers from cached .bib file
     searchResults: [],    // Search results from INSPIRE
+    searchQuery: '',      // Query the search results belong to
+    searchSort: 'mostrecent', // INSPIRE sort order: 'mostrecent' or 'mostcited'
+    searchFilters: {},    // Quick filters turned into query clauses (see lib/search-query.js)
+    searchPage: 0,        // Last page of search results fetched
+    searchTotal: 0,       // Total hits reported by INSPIRE for searchQuery
+    searchRequestId: 0,   // Guards against responses to superseded searches
+    isLoadingMore: false, // A further page of search results is being fetched
     isLoading: false,
     error: null,
     preferences: null,
     sidebarVisible: false,
-    bibFileName: null,    // Name of loaded .bib file
+    bibFileName: null,    // Name of the most recently loaded .bib file
+    bibFiles: [],         // Names of all .bib files cached for this project
     filterQuery: '',      // Current filter query for papers view
     autoAddToBib: false,  // Auto-add new citations to local .bib
+    writeIntoBib: false,  // Write auto-added entries into the .bib in the editor
+    projectBibFiles: null, // Project .bib files, those \bibliography names first (null until listed)
+    targetBibFile: null,  // .bib file chosen for new entries in this project
+    resolutions: {},      // Cite key -> INSPIRE match ({ recid, method, confidence, status, ... })
+    selection: new Map(), // Cite key -> { citeKey, recid, source } of the papers checked in either list
+    citeCommand: null,    // Citation command last chosen in this project
+    citeSuggestion: null, // { package, command } suggested from the citation package in the preamble
+    citeCommands: [],     // Commands offered by the cite picker (from lib/cite-commands.js)
   };
 
+  // Cite-key autocomplete state
+  let autocomplete = {
+    items: [],            // Suggestions: { key, title, detail, doc }
+    selected: 0,          // Index of highlighted suggestion
+    context: null,        // { from, to, partial } of the key being typed
+    requestId: 0,         // Guards against out-of-order async updates
+    inputTimer: null,     // Debounce timer for reading the key at the cursor
+    remoteTimer: null,    // Debounce timer for the INSPIRE fallback search
+  };
+
+  // Running "Match my .bib" job: { port, results, total, reconnects }
+  let matchJob = null;
+
+  // Live sync of the .bib open in the editor
+  let bibSync = {
+    openFile: null,       // Path of the file open when last checked
+    fileName: null,       // Cached .bib name the open file is synced to, or null
+    content: null,        // Content last synced
+    timer: null,          // Debounce timer
+    running: false,       // A check is in progress
+    pending: false,       // The editor changed again during that check
+  };
+
+  // Check the open file, and re-parse an edited .bib, this long after the editor last changed (ms)
+  const BIB_SYNC_DEBOUNCE_MS = 800;
+
+  // Editor elements whose DOM changes when the document is edited or another file is opened
+  const EDITOR_SELECTOR = '.cm-editor, .ace_editor';
+
+  // Record details fetched for the detail pane, by lookup (recid, DOI or arXiv ID)
+  const recordDetails = new Map();
+
+  // Authors listed in the detail pane before "Show all"
+  const DETAIL_AUTHOR_LIMIT = 25;
+
+  // Citing papers fetched per page in the "Cited by" list
+  const CITATIONS_PAGE_SIZE = 25;
+
+  // INSPIRE documents listed under "References" / "Cited by", by recid
+  const relatedDocuments = new Map();
+
+  // Item a Shift-click or Shift+Arrow selection range extends from
+  let selectionAnchor = null;
+
+  // Search results fetched per page
+  const SEARCH_PAGE_SIZE = 25;
+
+  // INSPIRE refuses to page beyond this many hits
+  const SEARCH_MAX_RESULTS = 10000;
+
+  // Fetch the next page once the results are scrolled this close to the end (px)
+  const SEARCH_SCROLL_THRESHOLD = 200;
+
+  // Default commands that trigger cite-key autocomplete
+  const DEFAULT_AUTOCOMPLETE_COMMANDS = ['\\cite', '\\citep', '\\citet'];
+
+  // Read the key being typed once typing pauses this long, not on every keystroke (ms)
+  const AUTOCOMPLETE_DEBOUNCE_MS = 150;
+
+  // Any natbib/biblatex citation command with its optional arguments and key list,
+  // e.g. \citep[see][ch. 2]{a,b}, \parencite*{a}, \citeauthor{a}
+  const CITE_COMMAND_PATTERN = /\\[a-zA-Z]*cite[a-zA-Z]*\*?\s*(?:\[[^\]]*\]\s*){0,2}\{([^{}]*)\}/g;
+
+  // Characters read on each side of the cursor when looking for a citation command
+  const CITE_CONTEXT_CHARS = 500;
+
+  // Rest the pointer (or cursor) on a cite key this long before its card is shown (ms)
+  const CITE_CARD_DELAY_MS = 350;
+
+  // Characters of the abstract shown in a cite card
+  const CITE_CARD_ABSTRACT_CHARS = 400;
+
+  // Keys that move the cursor without editing, so may land it on a cite key
+  const CURSOR_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown']);
+
   // DOM Elements
   let sidebar = null;
+  let modal = null;
   let toggleButton = null;
+  let autocompletePopup = null;
+  let citeMenu = null;
+  let citeCard = null;
+
+  // Cite card: key shown, whether the pointer or the cursor put it there, pending timer
+  let citeCardState = { key: null, source: null, coords: null, timer: null, requestId: 0 };
+
+  // Open citation command menu: { anchor, onChoose }
+  let citeMenuState = null;
 
   /**
    * Initialize the extension
@@ -48,6 +150,10 @@
       // Create UI elements
       createToggleButton();
       createSidebar();
+      createModal();
+      createAutocomplete();
+      createCiteMenu();
+      createCiteCard();
 
       // Load preferences (non-critical, use defaults on failure)
       try {
@@ -57,9 +163,17 @@
         state.preferences = {
           citeCommand: '\\cite',
           maxAuthors: 10,
+          autocomplete: true,
+          autocompleteCommands: DEFAULT_AUTOCOMPLETE_COMMANDS,
         };
       }
 
+      // Citation command for this project (non-critical, falls back to the preference)
+      loadCiteCommand();
+
+      // .bib file chosen for new entries (non-critical, falls back to the first \bibliography file)
+      loadTargetBibFile();
+
       // Load cached papers
       try {
         await loadCachedPapers();
@@ -70,6 +184,9 @@
       // Listen for messages from background
       chrome.runtime.onMessage.addListener(handleMessage);
 
+      // Keep My Papers current while a .bib is edited
+      startBibSync();
+
       console.log('INSPIRE for Overleaf: Ready');
     } catch (error) {
       console.error('INSPIRE for Overleaf: Initialization failed:', error);
@@ -205,9 +322,21 @@
           <span class="ads-btn-icon">+</span> Select .bib
         </button>
         <button id="inspire-refresh-bib-btn" class="ads-action-btn"
-                title="Re-read the .bib file from editor">
+                title="Re-read the project's .bib files">
           <span class="ads-btn-icon">↻</span> Refresh
         </button>
+        <button id="inspire-match-bib-btn" class="ads-action-btn"
+                title="Match every entry of the .bib file to its INSPIRE record (resumes an interrupted run)">
+          <span class="ads-btn-icon">⇄</span> Match
+        </button>
+        <button id="inspire-check-published-btn" class="ads-action-btn"
+                title="Find preprints that have since been published and update their journal references">
+          <span class="ads-btn-icon">✓</span> Published?
+        </button>
+        <button id="inspire-scan-citations-btn" class="ads-action-btn"
+                title="Check every .tex and .bib file for undefined, unused and duplicate cite keys">
+          <span class="ads-btn-icon">?</span> Check citations
+        </button>
       </div>
 
       <div id="inspire-bib-status" class="ads-library-selector" style="display:none">
@@ -215,11 +344,28 @@
         <span id="inspire-paper-count" class="ads-badge"></span>
       </div>
 
+      <div id="inspire-job" class="ads-job" hidden>
+        <div class="ads-progress"><div class="ads-progress-bar" id="inspire-job-bar"></div></div>
+        <div class="ads-job-row">
+          <span id="inspire-job-text"></span>
+          <button id="inspire-job-show" class="ads-match-btn">Show</button>
+          <button id="inspire-job-cancel" class="ads-match-btn">Cancel</button>
+        </div>
+      </div>
+
       <div id="inspire-auto-add" class="ads-auto-add-option">
         <label>
           <input type="checkbox" id="inspire-auto-add-checkbox" />
           <span>Auto-add new to local .bib</span>
         </label>
+        <label class="ads-auto-add-sub">
+          <input type="checkbox" id="inspire-write-bib-checkbox" disabled />
+          <span>Write into the project's .bib file</span>
+        </label>
+        <label class="ads-auto-add-sub">
+          <span>File:</span>
+          <select id="inspire-target-bib" aria-label="The .bib file new entries are written into" disabled></select>
+        </label>
       </div>
 
       <div class="ads-search-container" role="search">
@@ -248,10 +394,58 @@
 
         <div id="inspire-search-tab" class="ads-tab-content" role="tabpanel"
              aria-labelledby="tab-search" tabindex="0" hidden>
+          <div class="ads-search-controls">
+            <label for="inspire-search-sort" class="visually-hidden">Sort by</label>
+            <select id="inspire-search-sort" aria-label="Sort results">
+              <option value="mostrecent">Most recent</option>
+              <option value="mostcited">Most cited</option>
+            </select>
+            <button id="inspire-filters-toggle" class="ads-match-btn" aria-expanded="false"
+                    aria-controls="inspire-search-filters">Filters</button>
+          </div>
+          <div id="inspire-search-filters" class="ads-search-filters" hidden>
+            <label>Year
+              <input type="number" data-filter="dateFrom" min="1900" max="2100" placeholder="from" aria-label="From year" />
+              –
+              <input type="number" data-filter="dateTo" min="1900" max="2100" placeholder="to" aria-label="To year" />
+            </label>
+            <label>Type
+              <select data-filter="documentType">
+                <option value="">Any</option>
+                <option value="article">Article</option>
+                <option value="conference">Conference paper</option>
+                <option value="thesis">Thesis</option>
+                <option value="review">Review</option>
+              </select>
+            </label>
+            <label>Collaboration
+              <input type="text" data-filter="collaboration" placeholder="e.g. ATLAS" />
+            </label>
+            <label>Max authors
+              <input type="number" data-filter="maxAuthors" min="1" placeholder="any" />
+            </label>
+            <label class="ads-search-filter-check">
+              <input type="checkbox" data-filter="published" /> Published only
+            </label>
+            <button id="inspire-filters-reset" class="ads-match-btn">Reset</button>
+          </div>
+          <div id="inspire-search-query" class="ads-search-query" hidden>
+            Query: <code></code>
+          </div>
           <div id="inspire-search-results" class="ads-list" role="list" aria-label="Search results"></div>
         </div>
       </div>
 
+      <div id="inspire-selection-bar" class="ads-selection-bar" hidden>
+        <span id="inspire-selection-count"></span>
+        <span class="ads-cite-split">
+          <button id="inspire-cite-selected" class="ads-doc-cite" title="Insert one citation for all selected papers">Cite selected</button><button
+                  id="inspire-cite-selected-menu" class="ads-doc-cite-menu" title="Choose citation command"
+                  aria-label="Choose citation command for the selected papers" aria-haspopup="menu">▾</button>
+        </span>
+        <button id="inspire-clear-selection" class="ads-match-btn">Clear</button>
+      </div>
+
       <div id="inspire-status" class="ads-status" role="status" aria-live="polite"></div>
     `;
 
@@ -271,14 +465,51 @@
     sidebar.querySelector('#inspire-search-input').addEventListener('keypress', handleSearchKeypress);
     sidebar.querySelector('#inspire-search-input').addEventListener('input', handleSearchInput);
     sidebar.querySelector('#inspire-search-btn').addEventListener('click', performSearch);
+    sidebar.querySelector('#inspire-search-results').addEventListener('scroll', handleSearchScroll);
+    sidebar.querySelector('#inspire-search-sort').addEventListener('change', handleSearchOptionsChange);
+    sidebar.querySelectorAll('#inspire-search-filters [data-filter]').forEach(control => {
+      control.addEventListener('change', handleSearchOptionsChange);
+    });
+    sidebar.querySelector('#inspire-filters-toggle').addEventListener('click', toggleSearchFilters);
+    sidebar.querySelector('#inspire-filters-reset').addEventListener('click', resetSearchFilters);
     sidebar.querySelector('#inspire-select-bib-btn').addEventListener('click', () => {
       document.getElementById('inspire-file-input').click();
     });
-    sidebar.querySelector('#inspire-refresh-bib-btn').addEventListener('click', refreshFromEditor);
+    sidebar.querySelector('#inspire-refresh-bib-btn').addEventListener('click', refreshBibFiles);
+    sidebar.querySelector('#inspire-match-bib-btn').addEventListener('click', matchBibToInspire);
+    sidebar.querySelector('#inspire-check-published-btn').addEventListener('click', checkPublishedVersions);
+    sidebar.querySelector('#inspire-scan-citations-btn').addEventListener('click', scanProjectCitations);
+    sidebar.querySelector('#inspire-job-show').addEventListener('click', showMatchProgress);
+    sidebar.querySelector('#inspire-job-cancel').addEventListener('click', cancelMatchJob);
+    sidebar.querySelector('#inspire-cite-selected').addEventListener('click', (e) => {
+      if (e.altKey) {
+        toggleCiteMenu(e.currentTarget, command => citeSelected(command));
+      } else {
+        citeSelected();
+      }
+    });
+    sidebar.querySelector('#inspire-cite-selected-menu').addEventListener('click', (e) => {
+      toggleCiteMenu(e.currentTarget, command => citeSelected(command));
+    });
+    sidebar.querySelector('#inspire-clear-selection').addEventListener('click', clearSelection);
 
     // Auto-add to bib checkbox
     sidebar.querySelector('#inspire-auto-add-checkbox').addEventListener('change', (e) => {
       state.autoAddToBib = e.target.checked;
+      sidebar.querySelector('#inspire-write-bib-checkbox').disabled = !e.target.checked;
+      updateTargetBibSelect();
+    });
+    sidebar.querySelector('#inspire-write-bib-checkbox').addEventListener('change', (e) => {
+      state.writeIntoBib = e.target.checked;
+      updateTargetBibSelect();
+      if (e.target.checked) {
+        loadProjectBibFiles().catch(error => {
+          console.warn('INSPIRE for Overleaf: Could not list the project\'s .bib files:', error);
+        });
+      }
+    });
+    sidebar.querySelector('#inspire-target-bib').addEventListener('change', (e) => {
+      chooseTargetBibFile(e.target.value);
     });
 
     // Tab switching with keyboard support
@@ -293,6 +524,54 @@
     console.log('INSPIRE for Overleaf: Sidebar initialized');
   }
 
+  /**
+   * Create the dialog used for bibliography-wide actions
+   */
+  function createModal() {
+    modal = document.createElement('div');
+    modal.id = 'inspire-modal';
+    modal.className = 'ads-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'inspire-modal-title');
+    modal.innerHTML = `
+      <div class="ads-modal-content">
+        <div class="ads-modal-header">
+          <h3 id="inspire-modal-title"></h3>
+          <button class="ads-modal-close" title="Close" aria-label="Close">&times;</button>
+        </div>
+        <div class="ads-modal-body" id="inspire-modal-body"></div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('.ads-modal-close').addEventListener('click', hideModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) hideModal();
+    });
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideModal();
+    });
+  }
+
+  /**
+   * Show the dialog with a title and HTML body
+   * @returns {HTMLElement} The dialog body, for attaching handlers
+   */
+  function showModal(title, bodyHtml) {
+    modal.querySelector('#inspire-modal-title').textContent = title;
+    const body = modal.querySelector('#inspire-modal-body');
+    body.innerHTML = bodyHtml;
+    modal.classList.add('visible');
+    modal.querySelector('.ads-modal-close').focus();
+    return body;
+  }
+
+  function hideModal() {
+    modal.classList.remove('visible');
+  }
+
   /**
    * Handle keyboard navigation within tabs
    */
@@ -418,32 +697,99 @@
       return state.papers;
     }
 
-    const query = state.filterQuery;
-    return state.papers.filter(paper => {
-      const title = (Array.isArray(paper.title) ? paper.title[0] : paper.title || '').toLowerCase();
-      const authors = (paper.author || []).join(' ').toLowerCase();
-      const year = String(paper.year || '');
-      const citeKey = (paper.citeKey || paper.bibcode || '').toLowerCase();
-      return title.includes(query) || authors.includes(query) || year.includes(query) || citeKey.includes(query);
-    });
+    return state.papers.filter(paper => scorePaper(paper, state.filterQuery) > 0);
+  }
+
+  /**
+   * Score how well a paper matches a (lower-case) query on cite key, title, authors and year
+   * @returns {number} 0 when nothing matches; higher is better
+   */
+  function scorePaper(paper, query) {
+    const title = (Array.isArray(paper.title) ? paper.title[0] : paper.title || '').toLowerCase();
+    const authors = (paper.author || []).join(' ').toLowerCase();
+    const year = String(paper.year || '');
+    const citeKey = (paper.citeKey || paper.bibcode || '').toLowerCase();
+
+    let score = 0;
+    if (citeKey.startsWith(query)) score += 4;
+    else if (citeKey.includes(query)) score += 3;
+    if (authors.includes(query)) score += 2;
+    if (title.includes(query)) score += 1;
+    if (year.includes(query)) score += 1;
+    return score;
+  }
+
+  /**
+   * Local papers matching a query, best match first
+   */
+  function rankPapers(query) {
+    const q = query.toLowerCase();
+    return state.papers
+      .map(paper => ({ paper, score: scorePaper(paper, q) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(r => r.paper);
+  }
+
+  /**
+   * Cite key to use for a paper or search result
+   */
+  function getCiteKey(paper) {
+    return paper.citeKey || paper.texkey || paper.bibcode || paper.recid || '';
   }
 
   /**
    * Load cached papers from storage
    */
   async function loadCachedPapers() {
-    const result = await sendMessage({ action: 'getParsedPapers' });
+    const result = await sendMessage({ action: 'getParsedPapers', payload: { projectId } });
     state.papers = result.papers || [];
 
-    const bibFile = await sendMessage({ action: 'getBibFile' });
+    const { resolutions } = await sendMessage({ action: 'getResolutions', payload: { projectId } });
+    state.resolutions = resolutions;
+
+    const bibFile = await sendMessage({ action: 'getBibFile', payload: { projectId } });
     if (bibFile.fileName) {
       state.bibFileName = bibFile.fileName;
+      state.bibFiles = bibFile.fileNames;
       updateBibStatus();
     }
 
     renderPapers();
   }
 
+  /**
+   * Get the Overleaf project name (stored with the cache for display in popup/options)
+   */
+  function getProjectName() {
+    const meta = document.querySelector('meta[name="ol-projectName"]');
+    if (meta?.content) return meta.content;
+    return document.title.replace(/\s*-\s*Overleaf.*$/i, '').trim() || null;
+  }
+
+  /**
+   * Parse .bib content in the background and cache it under this project
+   */
+  async function loadBibContent(content, fileName) {
+    const result = await sendMessage({
+      action: 'parseBibFile',
+      payload: { projectId, projectName: getProjectName(), content, fileName }
+    });
+
+    state.papers = result.papers;
+    state.bibFileName = fileName;
+    if (!state.bibFiles.includes(fileName)) {
+      state.bibFiles.push(fileName);
+    }
+    updateBibStatus();
+    renderPapers();
+
+    // The open file may now be one of the loaded .bib files
+    bibSync.openFile = null;
+
+    return result;
+  }
+
   /**
    * Update the .bib file status display
    */
@@ -454,7 +800,9 @@
 
     if (state.bibFileName) {
       statusDiv.style.display = 'flex';
-      nameSpan.textContent = state.bibFileName;
+      nameSpan.textContent = state.bibFiles.length > 1
+        ? state.bibFiles.join(', ')
+        : state.bibFileName;
       countSpan.textContent = state.papers.length;
     } else {
       statusDiv.style.display = 'none';
@@ -475,17 +823,9 @@
       const content = await file.text();
 
       // Send to background for parsing and caching
-      const result = await sendMessage({
-        action: 'parseBibFile',
-        payload: { content, fileName: file.name }
-      });
-
-      state.papers = result.papers;
-      state.bibFileName = file.name;
-      updateBibStatus();
-      renderPapers();
+      const result = await loadBibContent(content, file.name);
 
-      setStatus(`Loaded ${result.count} entries from ${file.name}`);
+      reportParseResult(result, file.name);
     } catch (error) {
       setError(`Failed to load file: ${error.message}`);
     } finally {
@@ -495,6 +835,225 @@
     }
   }
 
+  /**
+   * Report how many entries were loaded, where the parser found problems,
+   * which bibliography files named in the document are not in the project,
+   * and whether the entries could not be cached
+   * @param {Array<string>} [missing] - Bibliography files that were not found
+   */
+  function reportParseResult(result, source, missing = []) {
+    const errors = result.errors || [];
+    const notes = (missing.length > 0 ? `. Not found in the project: ${missing.join(', ')}` : '') +
+      (result.cacheError ? `. Not cached: ${result.cacheError}` : '');
+    if (errors.length === 0) {
+      if (notes) {
+        setError(`Loaded ${result.count} entries from ${source}${notes}`);
+      } else {
+        setStatus(`Loaded ${result.count} entries from ${source}`);
+      }
+      return;
+    }
+
+    errors.forEach(e => console.warn(`INSPIRE for Overleaf: ${source}:${e.line}:${e.column}: ${e.message}`));
+    const first = errors[0];
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+    setError(`Loaded ${result.count} entries from ${source}. ` +
+      `Parse error at line ${first.line}, column ${first.column}: ${first.message}${more}${notes}`);
+  }
+
+  /**
+   * Re-read the project's bibliography: the .bib files named by
+   * `\bibliography` / `\addbibresource` in the root document, or every .bib
+   * file if it names none, downloaded without opening them. If the project's
+   * files cannot be listed, read the .bib open in the editor.
+   */
+  async function refreshBibFiles() {
+    setLoading(true);
+    setStatus('Reading .bib files...');
+
+    try {
+      const entities = await listProjectEntities();
+      const bibEntities = entities.filter(entity => /\.bib$/i.test(entity.name));
+      if (bibEntities.length === 0) {
+        setProjectBibFiles([], []);
+        await refreshFromEditor();
+        return;
+      }
+
+      const { used, missing } = await findBibliographyEntities(entities, bibEntities);
+      setProjectBibFiles(bibEntities, used);
+      const files = await readProjectFiles(used);
+      const read = files.filter(file => file.content !== null);
+      if (read.length === 0) {
+        setError(`Could not read ${used.map(entity => displayPath(entity.path)).join(', ') || 'any .bib file'}`);
+        return;
+      }
+
+      await forgetUnusedBibFiles(bibEntities, read);
+
+      let count = 0;
+      let cacheError = null;
+      const errors = [];
+      for (const file of read) {
+        const fileName = displayPath(file.path);
+        const result = await loadBibContent(file.content, fileName);
+        count += result.count;
+        cacheError = cacheError || result.cacheError;
+        errors.push(...(result.errors || []).map(e => ({ ...e, message: `${fileName}: ${e.message}` })));
+      }
+
+      const source = read.length === 1 ? displayPath(read[0].path) : `${read.length} .bib files`;
+      reportParseResult({ count, errors, cacheError }, source, missing);
+    } catch (error) {
+      setError(`Failed to read .bib files: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * The .bib files the root documents name, directly or in the .tex files
+   * they include. Only .tex files that can be downloaded are read, so
+   * finding them never opens files in the editor.
+   * @returns {Promise<{used: Array<Object>, missing: Array<string>}>} All
+   *   .bib files if no bibliography command is found
+   */
+  async function findBibliographyEntities(entities, bibEntities) {
+    const texEntities = entities.filter(entity => /\.tex$/i.test(entity.name));
+    const texFiles = (await readProjectFiles(texEntities, { openInEditor: false }))
+      .filter(file => file.content !== null)
+      .map(({ path, content }) => ({ path, content }));
+
+    const { files, missing } = await sendMessage({
+      action: 'findBibliographyFiles',
+      payload: { texFiles, bibPaths: bibEntities.map(entity => entity.path) }
+    });
+
+    if (files.length === 0 && missing.length === 0) {
+      return { used: bibEntities, missing };
+    }
+    return { used: files.map(path => bibEntities.find(entity => entity.path === path)), missing };
+  }
+
+  /**
+   * Drop cached project .bib files that the bibliography no longer uses.
+   * Files loaded from the computer are kept.
+   */
+  async function forgetUnusedBibFiles(bibEntities, usedFiles) {
+    const projectNames = new Set(bibEntities.flatMap(entity => [displayPath(entity.path), entity.name]));
+    const usedNames = new Set(usedFiles.flatMap(file => [displayPath(file.path), file.name]));
+
+    for (const fileName of state.bibFiles.filter(name => projectNames.has(name) && !usedNames.has(name))) {
+      await sendMessage({ action: 'clearBibFile', payload: { projectId, fileName } });
+      state.bibFiles = state.bibFiles.filter(name => name !== fileName);
+    }
+  }
+
+  /**
+   * Follow the file open in the editor, and re-parse a loaded .bib while it
+   * is being edited. The editor's DOM is the only change source: it changes
+   * when the document is edited (by anyone) and when another file is opened,
+   * so the editor itself is left untouched.
+   */
+  function startBibSync() {
+    const observer = new MutationObserver((mutations) => {
+      const inEditor = mutations.some(({ target }) =>
+        (target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement)?.closest(EDITOR_SELECTOR)
+      );
+      if (inEditor) scheduleBibSync();
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    scheduleBibSync();
+  }
+
+  /**
+   * When another file is opened, start syncing it if it is a loaded .bib
+   * (or any .bib while none is loaded), catching up with edits made while it
+   * was closed
+   */
+  function checkOpenFile() {
+    const openFile = getOpenFileName();
+    if (openFile === bibSync.openFile) return;
+
+    bibSync.openFile = openFile;
+    bibSync.fileName = getSyncedBibName(openFile);
+    bibSync.content = null;
+  }
+
+  /**
+   * Name the open file is cached under, or null if it is not a .bib to sync
+   */
+  function getSyncedBibName(openFile) {
+    if (!openFile || !/\.bib$/i.test(openFile)) return null;
+    if (state.bibFiles.length === 0) return openFile;
+
+    const name = openFile.split('/').pop();
+    return state.bibFiles.find(fileName => fileName === openFile) ||
+      state.bibFiles.find(fileName => fileName === name) ||
+      null;
+  }
+
+  function scheduleBibSync() {
+    clearTimeout(bibSync.timer);
+    bibSync.timer = setTimeout(runBibSync, BIB_SYNC_DEBOUNCE_MS);
+  }
+
+  /**
+   * Check the open file and sync it, one check at a time so syncs are
+   * applied in order; changes made meanwhile get a check of their own
+   */
+  async function runBibSync() {
+    if (bibSync.running) {
+      bibSync.pending = true;
+      return;
+    }
+
+    bibSync.running = true;
+    try {
+      checkOpenFile();
+      await syncOpenBibFile();
+    } finally {
+      bibSync.running = false;
+      if (bibSync.pending) {
+        bibSync.pending = false;
+        scheduleBibSync();
+      }
+    }
+  }
+
+  /**
+   * Re-parse the open .bib and update My Papers and the cache. Parse errors
+   * are expected mid-edit and are not reported.
+   */
+  async function syncOpenBibFile() {
+    const { fileName, openFile } = bibSync;
+    if (!fileName || !isFileOpen(openFile)) return;
+
+    const content = await readDocViaPage();
+    if (content === null || content === bibSync.content || bibSync.fileName !== fileName) return;
+
+    try {
+      const result = await sendMessage({
+        action: 'syncBibFile',
+        payload: { projectId, projectName: getProjectName(), content, fileName }
+      });
+      bibSync.content = content;
+      if (result.cacheError) {
+        console.warn(`INSPIRE for Overleaf: Could not cache ${fileName}: ${result.cacheError}`);
+      }
+
+      state.papers = result.papers;
+      state.bibFileName = fileName;
+      if (!state.bibFiles.includes(fileName)) {
+        state.bibFiles.push(fileName);
+      }
+      updateBibStatus();
+      renderPapers();
+    } catch (error) {
+      console.warn(`INSPIRE for Overleaf: Could not sync ${fileName}:`, error);
+    }
+  }
+
   /**
    * Refresh papers from the currently open .bib file in editor
    */
@@ -503,7 +1062,7 @@
     setStatus('Reading from editor...');
 
     try {
-      const content = await readEditorContent();
+      const content = await readDocViaPage() ?? await readEditorContent();
       if (!content) {
         setError('Could not read editor content. Make sure a .bib file is open.');
         return;
@@ -513,17 +1072,9 @@
       const fileName = detectBibFileName() || 'editor.bib';
 
       // Send to background for parsing and caching
-      const result = await sendMessage({
-        action: 'parseBibFile',
-        payload: { content, fileName }
-      });
+      const result = await loadBibContent(content, fileName);
 
-      state.papers = result.papers;
-      state.bibFileName = fileName;
-      updateBibStatus();
-      renderPapers();
-
-      setStatus(`Loaded ${result.count} entries from editor`);
+      reportParseResult(result, 'editor');
     } catch (error) {
       setError(`Failed to read editor: ${error.message}`);
     } finally {
@@ -741,6 +1292,66 @@
 
     // Add handlers
     attachPaperHandlers(container);
+    updateLoadMore(container);
+  }
+
+  /**
+   * Append a further page of search results without re-rendering (and
+   * losing focus in) the ones already shown
+   * @param {Array} docs - New, de-duplicated documents
+   */
+  function appendSearchResults(docs) {
+    const container = sidebar.querySelector('#inspire-search-results');
+    const holder = document.createElement('div');
+    holder.innerHTML = docs.map(doc => renderPaperItem(doc, true)).join('');
+    attachPaperHandlers(holder);
+
+    const loadMore = container.querySelector('.ads-load-more');
+    for (const item of [...holder.children]) {
+      container.insertBefore(item, loadMore);
+    }
+    updateLoadMore(container);
+  }
+
+  /**
+   * Show, update or remove the "Load more" row at the end of the search results
+   */
+  function updateLoadMore(container) {
+    let row = container.querySelector('.ads-load-more');
+
+    if (!hasMoreSearchResults()) {
+      row?.remove();
+      return;
+    }
+
+    if (!row) {
+      row = document.createElement('div');
+      row.className = 'ads-load-more';
+      row.innerHTML = '<button class="ads-match-btn"></button>';
+      row.querySelector('button').addEventListener('click', () => loadMoreSearchResults());
+      container.appendChild(row);
+    }
+
+    const button = row.querySelector('button');
+    button.disabled = state.isLoadingMore;
+    button.textContent = state.isLoadingMore
+      ? 'Loading...'
+      : `Load more (${state.searchResults.length} of ${state.searchTotal})`;
+  }
+
+  function hasMoreSearchResults() {
+    const limit = Math.min(state.searchTotal, SEARCH_MAX_RESULTS);
+    return state.searchPage * SEARCH_PAGE_SIZE < limit;
+  }
+
+  /**
+   * Fetch the next page of search results once the list is scrolled near its end
+   */
+  function handleSearchScroll(event) {
+    const list = event.currentTarget;
+    if (list.scrollHeight - list.scrollTop - list.clientHeight < SEARCH_SCROLL_THRESHOLD) {
+      loadMoreSearchResults();
+    }
   }
 
   /**
@@ -752,23 +1363,36 @@
     const authors = formatAuthors(paper.author);
     const year = paper.year || '';
     const title = paper.title?.[0] || paper.title || 'Untitled';
-    const citeKey = paper.citeKey || paper.bibcode || paper.recid || '';
+    const citeKey = getCiteKey(paper);
     const recid = paper.recid || paper.bibcode || '';
     const escapedKey = escapeHtml(citeKey);
     const escapedRecid = escapeHtml(recid);
 
-    // \cite button for both local papers and search results
+    // References INSPIRE has not linked to a record cannot be cited from here
+    const citable = !paper.unlinked;
+
+    // \cite split button for both local papers and search results: the
+    // button inserts the current command, the arrow picks another one.
     // For search results, include recid so we can fetch BibTeX if needed
-    const citeButton = isSearchResult
-      ? `<button class="ads-doc-cite" data-citekey="${escapedKey}" data-recid="${escapedRecid}" data-search="true"
-              title="Copy \\cite command" aria-label="Copy cite command for ${escapeHtml(authors)} ${year}">\\cite</button>`
-      : `<button class="ads-doc-cite" data-citekey="${escapedKey}"
-              title="Copy \\cite command" aria-label="Copy cite command for ${escapeHtml(authors)} ${year}">\\cite</button>`;
+    const citeCmd = escapeHtml(currentCiteCommand());
+    const citeData = isSearchResult
+      ? `data-citekey="${escapedKey}" data-recid="${escapedRecid}" data-search="true"`
+      : `data-citekey="${escapedKey}"`;
+    const citeButton = !citable ? '' : `
+      <span class="ads-cite-split">
+        <button class="ads-doc-cite" ${citeData}
+                title="Insert ${citeCmd} (Alt-click to choose the command)"
+                aria-label="Insert ${citeCmd} for ${escapeHtml(authors)} ${year}">${citeCmd}</button><button
+                class="ads-doc-cite-menu" ${citeData} title="Choose citation command"
+                aria-label="Choose citation command for ${escapeHtml(authors)} ${year}" aria-haspopup="menu">▾</button>
+      </span>`;
 
     // Copy BibTeX button
     // For search results: fetch from INSPIRE
     // For local papers: copy from stored raw bibtex
-    const bibtexButton = isSearchResult
+    const bibtexButton = !citable
+      ? '<span class="ads-doc-note" title="INSPIRE has not linked this reference to a record">Not on INSPIRE</span>'
+      : isSearchResult
       ? `<button class="ads-doc-bibtex" data-recid="${escapedRecid}"
               title="Copy BibTeX" aria-label="Copy BibTeX for ${escapeHtml(authors)} ${year}">Copy BibTeX</button>`
       : `<button class="ads-doc-bibtex-local" data-citekey="${escapedKey}"
@@ -780,60 +1404,440 @@
            class="ads-doc-link" title="Open in INSPIRE" aria-label="Open in INSPIRE">INSPIRE</a>`
       : '';
 
+    // DOI and arXiv links
+    const doi = paper.doi?.[0] || '';
+    const doiLink = doi
+      ? `<a href="https://doi.org/${encodeURI(doi)}" target="_blank" rel="noopener noreferrer"
+           class="ads-doc-link" title="${escapeHtml(doi)}" aria-label="Open DOI ${escapeHtml(doi)}">DOI</a>`
+      : '';
+    const arxivLink = paper.arxivId
+      ? `<a href="https://arxiv.org/abs/${encodeURI(paper.arxivId)}" target="_blank" rel="noopener noreferrer"
+           class="ads-doc-link" title="Open on arXiv" aria-label="Open arXiv ${escapeHtml(paper.arxivId)}">arXiv:${escapeHtml(paper.arxivId)}</a>${
+        paper.arxivCategory ? ` <span class="ads-doc-category">[${escapeHtml(paper.arxivCategory)}]</span>` : ''}`
+      : '';
+
+    // Publication status, journal reference and citation count
+    const journalRef = formatJournalRef(paper);
+    let statusBadge = '';
+    if (paper.published) {
+      statusBadge = '<span class="ads-doc-status published">Published</span>';
+    } else if (paper.arxivId) {
+      statusBadge = '<span class="ads-doc-status preprint" title="No journal publication yet">Preprint</span>';
+    }
+    const citations = isSearchResult && typeof paper.citation_count === 'number'
+      ? `<span class="ads-doc-citations">${formatCitationCount(paper.citation_count)}</span>`
+      : '';
+    const detailsButton = !citable ? '' : `<button class="ads-doc-details-btn" aria-expanded="false"
+              title="Show abstract and details" aria-label="Show details for ${escapeHtml(authors)} ${year}">Details</button>`;
+
+    const isSelected = citable && state.selection.has(citeKey);
+    const checkbox = citable
+      ? `<input type="checkbox" class="ads-doc-select" tabindex="-1" ${isSelected ? 'checked' : ''}
+               aria-label="Select ${escapeHtml(citeKey)}" title="Select (Space); Shift-click selects a range" />`
+      : '';
+
+    // .bib file a local paper came from
+    const source = !isSearchResult && paper.bibFile
+      ? `<span class="ads-doc-source" title="From ${escapeHtml(paper.bibFile)}">${escapeHtml(paper.bibFile)}</span>`
+      : '';
+
+    const pubInfo = statusBadge || journalRef || citations
+      ? `<div class="ads-doc-pubinfo">
+          ${statusBadge}
+          ${journalRef ? `<span class="ads-doc-journal">${escapeHtml(journalRef)}</span>` : ''}
+          ${citations}
+        </div>`
+      : '';
+
     return `
-      <div class="ads-doc-item" data-citekey="${escapedKey}" data-recid="${escapedRecid}"
+      <div class="ads-doc-item${isSelected ? ' selected' : ''}" data-citekey="${escapedKey}" data-recid="${escapedRecid}"
+           data-doi="${escapeHtml(doi)}" data-arxiv="${escapeHtml(paper.arxivId || '')}"
+           data-source="${isSearchResult ? 'inspire' : 'bib'}"
            role="listitem" tabindex="0"
-           aria-label="${escapeHtml(authors)} ${year}: ${escapeHtml(title)}. Press Enter to insert citation.">
-        <div class="ads-doc-title">${escapeHtml(title)}</div>
+           aria-label="${escapeHtml(authors)} ${year}: ${escapeHtml(title)}. Press Enter to insert citation, Space to select, Right Arrow for details.">
+        <div class="ads-doc-head">
+          ${checkbox}
+          <div class="ads-doc-title">${escapeHtml(title)}</div>
+        </div>
         <div class="ads-doc-meta">
           <span class="ads-doc-authors">${escapeHtml(authors)}</span>
           <span class="ads-doc-year">${year}</span>
+          ${source}
         </div>
+        ${pubInfo}
         <div class="ads-doc-actions">
           ${citeButton}
           ${bibtexButton}
+          ${detailsButton}
           ${inspireLink}
+          ${doiLink}
+          ${arxivLink}
         </div>
       </div>
     `;
   }
 
   /**
-   * Attach event handlers to paper items
+   * Expand or collapse the detail pane of a paper item
+   * @param {HTMLElement} item - `.ads-doc-item`
+   * @param {boolean} [expand] - Force open (true) or closed (false); toggles if omitted
    */
-  function attachPaperHandlers(container) {
-    container.querySelectorAll('.ads-doc-item').forEach(item => {
-      // Click to insert citation
-      item.addEventListener('click', (e) => {
-        if (e.target.closest('button, a')) return;
-        insertCitation(item.dataset.citekey);
-      });
+  async function toggleDetails(item, expand) {
+    const button = item.querySelector('.ads-doc-details-btn');
+    let pane = item.querySelector('.ads-doc-detail');
+
+    if (!(expand ?? !pane)) {
+      pane?.remove();
+      button.setAttribute('aria-expanded', 'false');
+      button.textContent = 'Details';
+      return;
+    }
+    if (pane) return;
+
+    pane = document.createElement('div');
+    pane.className = 'ads-doc-detail';
+    pane.innerHTML = '<div class="ads-doc-detail-note">Loading details...</div>';
+    item.appendChild(pane);
+    button.setAttribute('aria-expanded', 'true');
+    button.textContent = 'Hide details';
+
+    const lookup = getDetailsLookup(item);
+    if (!lookup) {
+      pane.innerHTML = `<div class="ads-doc-detail-note">
+        This entry has no INSPIRE record, DOI or arXiv ID to look up. Use "Match" to link it to INSPIRE.
+      </div>`;
+      return;
+    }
 
-      // Keyboard navigation
-      item.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          insertCitation(item.dataset.citekey);
-        } else if (e.key === 'ArrowDown') {
-          e.preventDefault();
-          const next = item.nextElementSibling;
-          if (next?.classList.contains('ads-doc-item')) next.focus();
-        } else if (e.key === 'ArrowUp') {
-          e.preventDefault();
-          const prev = item.previousElementSibling;
-          if (prev?.classList.contains('ads-doc-item')) prev.focus();
-        }
-      });
-    });
+    const key = JSON.stringify(lookup);
+    try {
+      if (!recordDetails.has(key)) {
+        const result = await sendMessage({ action: 'getRecordDetails', payload: lookup });
+        recordDetails.set(key, result.details);
+      }
+      if (!pane.isConnected) return;
 
-    // \cite buttons - copy cite command to clipboard
-    // For search results, optionally add to local bib first
-    container.querySelectorAll('.ads-doc-cite').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
+      const details = recordDetails.get(key);
+      if (!details) {
+        pane.innerHTML = '<div class="ads-doc-detail-note">INSPIRE has no record for this entry.</div>';
+        return;
+      }
+      pane.innerHTML = renderRecordDetails(details, DETAIL_AUTHOR_LIMIT);
+      attachDetailHandlers(pane, details);
+    } catch (error) {
+      if (pane.isConnected) {
+        pane.innerHTML = `<div class="ads-doc-detail-note error">${escapeHtml(error.message)}</div>`;
+      }
+    }
+  }
+
+  /**
+   * What to look a paper item up by: the recid of a search result, or for a
+   * .bib entry its accepted INSPIRE match, DOI or arXiv ID
+   * @returns {Object|null} Payload for the getRecordDetails action
+   */
+  function getDetailsLookup(item) {
+    const { recid, citekey, doi, arxiv } = item.dataset;
+
+    if (item.dataset.source === 'inspire') {
+      return recid ? { recid } : null;
+    }
+
+    const resolution = state.resolutions[citekey];
+    if (resolution?.recid && resolution.status !== 'rejected') {
+      return { recid: resolution.recid };
+    }
+    if (doi || arxiv) {
+      return { doi: doi || null, arxivId: arxiv || null };
+    }
+    return null;
+  }
+
+  /**
+   * Render the detail pane
+   * @param {Object} details - From the getRecordDetails action
+   * @param {number} authorLimit - Authors to list before "Show all"
+   */
+  function renderRecordDetails(details, authorLimit) {
+    const sections = [];
+
+    if (details.abstract) {
+      sections.push(`<p class="ads-doc-abstract">${escapeHtml(details.abstract)}</p>`);
+    } else {
+      sections.push('<p class="ads-doc-detail-note">No abstract available.</p>');
+    }
+
+    if (details.collaborations.length > 0) {
+      sections.push(renderDetailRow('Collaboration', escapeHtml(details.collaborations.join(', '))));
+    }
+
+    if (details.authors.length > 0) {
+      sections.push(renderAuthorRow(details.authors, authorLimit));
+    }
+
+    if (details.keywords.length > 0) {
+      sections.push(renderDetailRow('Keywords', escapeHtml(details.keywords.join(' · '))));
+    }
+
+    if (details.reportNumbers.length > 0) {
+      sections.push(renderDetailRow('Report numbers', escapeHtml(details.reportNumbers.join(', '))));
+    }
+
+    const links = [
+      ['pdf', 'arXiv PDF'],
+      ['doi', 'DOI'],
+      ['hepdata', 'HEPData'],
+      ['inspire', 'INSPIRE'],
+    ].filter(([name]) => details.links[name]).map(([name, label]) =>
+      `<a href="${escapeHtml(details.links[name])}" target="_blank" rel="noopener noreferrer" class="ads-doc-link">${label}</a>`
+    );
+    if (links.length > 0) {
+      sections.push(`<div class="ads-doc-actions">${links.join('')}</div>`);
+    }
+
+    // Browse the reference list and citing papers
+    sections.push(`
+      <div class="ads-doc-actions ads-doc-related-btns">
+        <button class="ads-match-btn" data-related="references" aria-pressed="false"
+                ${details.referenceCount ? '' : 'disabled'}>References (${details.referenceCount})</button>
+        <button class="ads-match-btn" data-related="citations" aria-pressed="false"
+                ${details.citationCount ? '' : 'disabled'}>Cited by (${details.citationCount})</button>
+      </div>
+    `);
+
+    return sections.join('');
+  }
+
+  function renderAuthorRow(authors, limit) {
+    const shown = authors.slice(0, limit);
+    const more = authors.length - shown.length;
+    const list = shown.map(author => `
+      <li>${escapeHtml(author.name)}${author.affiliations.length
+        ? ` <span class="ads-doc-affiliation">(${escapeHtml(author.affiliations.join('; '))})</span>`
+        : ''}</li>`).join('');
+    return renderDetailRow(`Authors (${authors.length})`, `
+      <ol class="ads-doc-author-list">${list}</ol>
+      ${more > 0 ? `<button class="ads-match-btn ads-doc-all-authors">Show all ${authors.length} authors</button>` : ''}
+    `);
+  }
+
+  function renderDetailRow(label, html) {
+    return `<div class="ads-doc-detail-row"><span class="ads-doc-detail-label">${label}</span>${html}</div>`;
+  }
+
+  function attachDetailHandlers(pane, details) {
+    pane.querySelector('.ads-doc-all-authors')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const row = e.target.closest('.ads-doc-detail-row');
+      row.outerHTML = renderAuthorRow(details.authors, Infinity);
+    });
+
+    pane.querySelectorAll('[data-related]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleRelated(pane, details, button.dataset.related);
+      });
+    });
+  }
+
+  /**
+   * Show (or hide) the references or citing papers of a record under its details
+   * @param {HTMLElement} pane - `.ads-doc-detail`
+   * @param {Object} details - The record's details
+   * @param {'references'|'citations'} kind
+   */
+  function toggleRelated(pane, details, kind) {
+    let section = pane.querySelector(':scope > .ads-doc-related');
+    const showing = section?.dataset.kind;
+    section?.remove();
+
+    pane.querySelectorAll(':scope > .ads-doc-related-btns [data-related]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.related === kind && showing !== kind));
+    });
+    if (showing === kind) return;
+
+    section = document.createElement('div');
+    section.className = 'ads-doc-related';
+    section.dataset.kind = kind;
+    section.innerHTML = `
+      <div class="ads-doc-detail-label">${kind === 'references' ? 'References' : 'Cited by'}</div>
+      <div class="ads-related-list" role="list"
+           aria-label="${kind === 'references' ? 'References' : 'Citing papers'} of ${escapeHtml(details.title)}"></div>
+      <div class="ads-related-footer"><span class="ads-doc-detail-note"></span></div>
+    `;
+    pane.appendChild(section);
+
+    loadRelated(section, { kind, recid: details.recid, page: 0, total: 0, count: 0 });
+  }
+
+  /**
+   * Fetch the reference list, or the next page of citing papers, and append it
+   * @param {HTMLElement} section - `.ads-doc-related`
+   * @param {Object} related - { kind, recid, page, total, count } (updated in place)
+   */
+  async function loadRelated(section, related) {
+    const list = section.querySelector('.ads-related-list');
+    const footer = section.querySelector('.ads-related-footer');
+    footer.innerHTML = '<span class="ads-doc-detail-note">Loading...</span>';
+
+    try {
+      const result = related.kind === 'references'
+        ? await sendMessage({ action: 'getReferences', payload: { recid: related.recid, projectId } })
+        : await sendMessage({
+          action: 'getCitations',
+          payload: {
+            recid: related.recid,
+            page: related.page + 1,
+            rows: CITATIONS_PAGE_SIZE,
+            projectId,
+            // Papers on earlier pages keep their keys
+            takenKeys: [...list.querySelectorAll('.ads-doc-item')].map(item => item.dataset.citekey).filter(Boolean),
+          }
+        });
+      if (!section.isConnected) return;
+
+      const documents = result.documents || [];
+      related.page++;
+      related.total = result.numFound || 0;
+      related.count += documents.length;
+      documents.forEach(doc => {
+        if (doc.recid) relatedDocuments.set(doc.recid, doc);
+      });
+
+      const holder = document.createElement('div');
+      holder.innerHTML = documents.map(doc => renderPaperItem(doc, true)).join('');
+      attachPaperHandlers(holder);
+      list.append(...holder.children);
+
+      footer.innerHTML = '';
+      if (related.count === 0) {
+        footer.innerHTML = '<span class="ads-doc-detail-note">None found.</span>';
+      } else if (related.kind === 'citations' && related.count < related.total && documents.length > 0) {
+        const more = document.createElement('button');
+        more.className = 'ads-match-btn';
+        more.textContent = `Load more (${related.count} of ${related.total})`;
+        more.addEventListener('click', (e) => {
+          e.stopPropagation();
+          loadRelated(section, related);
+        });
+        footer.appendChild(more);
+      }
+    } catch (error) {
+      if (section.isConnected) {
+        footer.innerHTML = `<span class="ads-doc-detail-note error">${escapeHtml(error.message)}</span>`;
+      }
+    }
+  }
+
+  /**
+   * Journal reference as "Journal Volume, Page", e.g. "Phys.Rev.Lett. 116, 061102"
+   */
+  function formatJournalRef(paper) {
+    if (!paper.pub || /arxiv/i.test(paper.pub)) return '';
+    let ref = paper.volume ? `${paper.pub} ${paper.volume}` : paper.pub;
+    if (paper.page) ref += `, ${paper.page}`;
+    return ref;
+  }
+
+  function formatCitationCount(count) {
+    return count === 1 ? '1 citation' : `${count.toLocaleString()} citations`;
+  }
+
+  /**
+   * Attach event handlers to paper items
+   */
+  function attachPaperHandlers(container) {
+    container.querySelectorAll('.ads-doc-item').forEach(item => {
+      // Click to insert citation
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('button, a, input, .ads-doc-detail') || !item.dataset.citekey) return;
+        if (e.shiftKey) {
+          selectRange(item);
+        } else if (e.ctrlKey || e.metaKey) {
+          toggleSelection(item);
+        } else {
+          insertCitation(item.dataset.citekey);
+        }
+      });
+
+      item.querySelector('.ads-doc-select')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.shiftKey) {
+          // The click already flipped the box; selectRange sets it
+          selectRange(item);
+        } else {
+          toggleSelection(item, e.target.checked);
+        }
+      });
+
+      item.querySelector('.ads-doc-details-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleDetails(item);
+      });
+
+      // Keyboard navigation
+      item.addEventListener('keydown', (e) => {
+        if (e.target !== item) return;
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          if (state.selection.size > 0) {
+            citeSelected();
+          } else if (item.dataset.citekey) {
+            insertCitation(item.dataset.citekey);
+          }
+        } else if (e.key === ' ') {
+          e.preventDefault();
+          if (item.dataset.citekey) toggleSelection(item);
+        } else if ((e.key === 'a' || e.key === 'A') && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          selectAll(item.parentElement);
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.shiftKey) {
+          // Extend the selection to the next/previous item
+          e.preventDefault();
+          const sibling = e.key === 'ArrowDown' ? item.nextElementSibling : item.previousElementSibling;
+          if (!sibling?.classList.contains('ads-doc-item')) return;
+          if (!selectionAnchor || selectionAnchor.parentElement !== item.parentElement) {
+            selectionAnchor = item;
+          }
+          sibling.focus();
+          selectRange(sibling);
+        } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && item.querySelector('.ads-doc-details-btn')) {
+          e.preventDefault();
+          toggleDetails(item, e.key === 'ArrowRight');
+        } else if (e.key === 'ArrowDown') {
+          e.preventDefault();
+          const next = item.nextElementSibling;
+          if (next?.classList.contains('ads-doc-item')) {
+            next.focus();
+          } else if (item.parentElement?.id === 'inspire-search-results') {
+            // Past the last search result: fetch the next page and carry on into it
+            loadMoreSearchResults().then(() => {
+              const loaded = item.nextElementSibling;
+              if (loaded?.classList.contains('ads-doc-item')) loaded.focus();
+            });
+          }
+        } else if (e.key === 'ArrowUp') {
+          e.preventDefault();
+          const prev = item.previousElementSibling;
+          if (prev?.classList.contains('ads-doc-item')) prev.focus();
+        }
+      });
+    });
+
+    // \cite buttons - copy cite command to clipboard
+    // For search results, optionally add to local bib first
+    container.querySelectorAll('.ads-doc-cite, .ads-doc-cite-menu').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const isSearchResult = btn.dataset.search === 'true';
         const citeKey = btn.dataset.citekey;
         const recid = btn.dataset.recid;
+
+        // The arrow or Alt-click opens the command picker
+        if (btn.classList.contains('ads-doc-cite-menu') || e.altKey) {
+          toggleCiteMenu(btn, command => copyCiteCommand(citeKey, isSearchResult, recid, command));
+          return;
+        }
         await copyCiteCommand(citeKey, isSearchResult, recid);
       });
     });
@@ -896,273 +1900,2562 @@
     }
 
     // INSPIRE API search (Search INSPIRE tab)
-    if (!query) return;
+    if (!query && !hasSearchFilters()) return;
 
+    const requestId = ++state.searchRequestId;
+    state.isLoadingMore = false;
     setLoading(true);
 
     try {
       const result = await sendMessage({
         action: 'search',
-        payload: { query, rows: 20 }
+        payload: {
+          query,
+          rows: SEARCH_PAGE_SIZE,
+          page: 1,
+          sort: state.searchSort,
+          filters: state.searchFilters,
+          projectId,
+        }
       });
+      if (requestId !== state.searchRequestId) return;
 
-      state.searchResults = result.documents || [];
+      showSearchQuery(result.query);
+      state.searchQuery = query;
+      state.searchPage = 1;
+      state.searchTotal = result.numFound || 0;
+      state.searchResults = dedupeDocuments(result.documents || []);
       renderSearchResults();
-      setStatus(`Found ${result.numFound} results`);
+      sidebar.querySelector('#inspire-search-results').scrollTop = 0;
+      setStatus(`Found ${state.searchTotal} results`);
     } catch (error) {
-      setError(error.message);
+      if (requestId === state.searchRequestId) setError(error.message);
     } finally {
-      setLoading(false);
+      if (requestId === state.searchRequestId) setLoading(false);
     }
   }
 
   /**
-   * Insert citation at cursor
+   * Fetch the next page of results for the current search and append it
    */
-  async function insertCitation(citeKey) {
-    const citeCmd = state.preferences?.citeCommand || '\\cite';
-    const citation = `${citeCmd}{${citeKey}}`;
-
-    setStatus('Inserting citation...');
+  async function loadMoreSearchResults() {
+    if (state.isLoadingMore || state.isLoading || !hasMoreSearchResults()) return;
 
-    const success = await insertTextAtCursor(citation);
-    if (success) {
-      setStatus(`Inserted: ${citation}`);
-    } else {
-      await copyToClipboard(citation);
-      setStatus(`Copied to clipboard: ${citation}`);
-    }
-  }
+    const container = sidebar.querySelector('#inspire-search-results');
+    const requestId = state.searchRequestId;
+    const page = state.searchPage + 1;
 
-  /**
-   * Insert text at cursor in Overleaf editor
-   */
-  function insertTextAtCursor(text) {
-    const cm6 = document.querySelector('.cm-content');
-    if (cm6) {
-      return insertViaCM6(text);
-    }
+    state.isLoadingMore = true;
+    updateLoadMore(container);
 
-    const aceEditor = document.querySelector('.ace_editor');
-    if (aceEditor) {
-      return insertViaAce(text, aceEditor);
+    try {
+      const result = await sendMessage({
+        action: 'search',
+        payload: {
+          query: state.searchQuery,
+          rows: SEARCH_PAGE_SIZE,
+          page,
+          sort: state.searchSort,
+          filters: state.searchFilters,
+          projectId,
+          // Papers on earlier pages keep their keys
+          takenKeys: state.searchResults.map(getCiteKey).filter(Boolean),
+        }
+      });
+      if (requestId !== state.searchRequestId) return;
+
+      const documents = result.documents || [];
+      state.searchPage = page;
+      // An empty page means the hit count shrank since the first page
+      state.searchTotal = documents.length > 0 ? (result.numFound || state.searchTotal) : 0;
+
+      // Pages can overlap when new records are indexed between requests
+      const added = dedupeDocuments(documents, state.searchResults);
+      state.searchResults.push(...added);
+      state.isLoadingMore = false;
+      appendSearchResults(added);
+      setStatus(`Showing ${state.searchResults.length} of ${result.numFound || state.searchResults.length} results`);
+    } catch (error) {
+      if (requestId === state.searchRequestId) setError(error.message);
+    } finally {
+      if (requestId === state.searchRequestId) {
+        state.isLoadingMore = false;
+        updateLoadMore(container);
+      }
     }
-
-    return false;
   }
 
   /**
-   * Insert text using CodeMirror 6
+   * Read the sort order and quick filters from the Search tab and re-run the
+   * current search with them
    */
-  function insertViaCM6(text) {
-    const callbackId = `inspire_cm6_insert_${Date.now()}`;
-
-    return new Promise((resolve) => {
-      const handler = (event) => {
-        if (event.data && event.data.type === callbackId) {
-          window.removeEventListener('message', handler);
-          resolve(event.data.success);
-        }
-      };
-      window.addEventListener('message', handler);
+  function handleSearchOptionsChange() {
+    state.searchSort = sidebar.querySelector('#inspire-search-sort').value;
 
-      const script = document.createElement('script');
-      script.textContent = `
-        (function() {
-          const text = ${JSON.stringify(text)};
-          const callbackId = ${JSON.stringify(callbackId)};
+    const filters = {};
+    sidebar.querySelectorAll('#inspire-search-filters [data-filter]').forEach(control => {
+      const value = control.type === 'checkbox' ? control.checked : control.value.trim();
+      if (value) filters[control.dataset.filter] = value;
+    });
+    state.searchFilters = filters;
 
-          const cmContent = document.querySelector('.cm-content');
-          if (!cmContent) {
-            window.postMessage({ type: callbackId, success: false }, '*');
-            return;
-          }
+    const count = Object.keys(filters).length;
+    sidebar.querySelector('#inspire-filters-toggle').textContent = count ? `Filters (${count})` : 'Filters';
 
-          let element = cmContent;
-          let view = null;
+    const input = sidebar.querySelector('#inspire-search-input');
+    if (input.value.trim() || state.searchQuery || count) {
+      performSearch();
+    }
+  }
 
-          while (element && !view) {
-            if (element.cmView) {
-              view = element.cmView.view || element.cmView;
-            }
-            const cmElement = element.closest('.cm-editor');
-            if (cmElement && cmElement.cmView) {
-              view = cmElement.cmView.view || cmElement.cmView;
-            }
-            element = element.parentElement;
-          }
+  function hasSearchFilters() {
+    return Object.keys(state.searchFilters).length > 0;
+  }
 
-          if (!view && window._ide && window._ide.editorManager) {
-            const editor = window._ide.editorManager.getCurrentDocumentEditor();
-            if (editor && editor.view) {
-              view = editor.view;
-            }
-          }
+  function toggleSearchFilters() {
+    const panel = sidebar.querySelector('#inspire-search-filters');
+    const toggle = sidebar.querySelector('#inspire-filters-toggle');
+    panel.hidden = !panel.hidden;
+    toggle.setAttribute('aria-expanded', String(!panel.hidden));
+  }
 
-          if (!view) {
-            const editorContainer = document.querySelector('.editor-container');
-            if (editorContainer) {
-              const cmEditor = editorContainer.querySelector('.cm-editor');
-              if (cmEditor) {
-                const viewKey = Object.keys(cmEditor).find(k => k.startsWith('__'));
-                if (viewKey && cmEditor[viewKey] && cmEditor[viewKey].view) {
-                  view = cmEditor[viewKey].view;
-                }
-              }
-            }
-          }
+  function resetSearchFilters() {
+    sidebar.querySelectorAll('#inspire-search-filters [data-filter]').forEach(control => {
+      if (control.type === 'checkbox') control.checked = false;
+      else control.value = '';
+    });
+    handleSearchOptionsChange();
+  }
 
-          if (view && view.dispatch && view.state) {
-            const { from, to } = view.state.selection.main;
-            view.dispatch({
-              changes: { from, to, insert: text },
-              selection: { anchor: from + text.length }
-            });
-            view.focus();
-            window.postMessage({ type: callbackId, success: true }, '*');
-          } else {
-            const activeElement = document.activeElement;
-            if (activeElement && (activeElement.classList.contains('cm-content') ||
-                activeElement.closest('.cm-content'))) {
-              document.execCommand('insertText', false, text);
-              window.postMessage({ type: callbackId, success: true }, '*');
-            } else {
-              window.postMessage({ type: callbackId, success: false }, '*');
-            }
-          }
-        })();
-      `;
-      document.documentElement.appendChild(script);
-      script.remove();
+  /**
+   * Show the query actually sent to INSPIRE, filters included, so the
+   * syntax can be learned and reused
+   */
+  function showSearchQuery(query) {
+    const row = sidebar.querySelector('#inspire-search-query');
+    row.querySelector('code').textContent = query || '';
+    row.hidden = !query;
+  }
 
-      setTimeout(() => {
-        window.removeEventListener('message', handler);
-        resolve(false);
-      }, 1000);
+  /**
+   * Drop documents already in `existing` (or repeated within `documents`), by recid
+   * @returns {Array} The new documents, in order
+   */
+  function dedupeDocuments(documents, existing = []) {
+    const seen = new Set(existing.map(doc => String(doc.recid)));
+    return documents.filter(doc => {
+      const id = String(doc.recid);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
     });
   }
 
   /**
-   * Insert text using Ace editor
+   * Select or deselect a paper item (every copy of it, in either list)
+   * @param {HTMLElement} item - `.ads-doc-item`
+   * @param {boolean} [selected] - Defaults to toggling
    */
-  function insertViaAce(text, aceElement) {
-    const callbackId = `inspire_ace_insert_${Date.now()}`;
+  function toggleSelection(item, selected) {
+    const { citekey, recid, source } = item.dataset;
+    if (!citekey) return;
 
-    return new Promise((resolve) => {
-      const handler = (event) => {
-        if (event.data && event.data.type === callbackId) {
-          window.removeEventListener('message', handler);
-          resolve(event.data.success);
-        }
-      };
-      window.addEventListener('message', handler);
+    if (selected ?? !state.selection.has(citekey)) {
+      state.selection.set(citekey, { citeKey: citekey, recid, source });
+    } else {
+      state.selection.delete(citekey);
+    }
+    selectionAnchor = item;
+    updateSelection();
+  }
 
-      const script = document.createElement('script');
-      script.textContent = `
-        (function() {
-          const text = ${JSON.stringify(text)};
-          const callbackId = ${JSON.stringify(callbackId)};
-
-          const aceElement = document.querySelector('.ace_editor');
-          if (aceElement && window.ace) {
-            try {
-              const editor = ace.edit(aceElement);
-              editor.insert(text);
-              editor.focus();
-              window.postMessage({ type: callbackId, success: true }, '*');
-            } catch (e) {
-              window.postMessage({ type: callbackId, success: false }, '*');
-            }
-          } else {
-            window.postMessage({ type: callbackId, success: false }, '*');
-          }
-        })();
-      `;
-      document.documentElement.appendChild(script);
-      script.remove();
+  /**
+   * Select every item between the anchor and `item` in the same list
+   */
+  function selectRange(item) {
+    const list = item.parentElement;
+    const items = [...list.children].filter(el => el.classList.contains('ads-doc-item') && el.dataset.citekey);
+    const anchorIndex = selectionAnchor?.parentElement === list ? items.indexOf(selectionAnchor) : -1;
+    const itemIndex = items.indexOf(item);
+
+    if (anchorIndex === -1) {
+      toggleSelection(item, true);
+      return;
+    }
 
-      setTimeout(() => {
-        window.removeEventListener('message', handler);
-        resolve(false);
-      }, 1000);
+    const [from, to] = anchorIndex < itemIndex ? [anchorIndex, itemIndex] : [itemIndex, anchorIndex];
+    for (const el of items.slice(from, to + 1)) {
+      const { citekey, recid, source } = el.dataset;
+      state.selection.set(citekey, { citeKey: citekey, recid, source });
+    }
+    updateSelection();
+  }
+
+  function selectAll(list) {
+    list.querySelectorAll(':scope > .ads-doc-item').forEach(el => {
+      const { citekey, recid, source } = el.dataset;
+      if (citekey) state.selection.set(citekey, { citeKey: citekey, recid, source });
     });
+    updateSelection();
+  }
+
+  function clearSelection() {
+    state.selection.clear();
+    selectionAnchor = null;
+    updateSelection();
   }
 
   /**
-   * Insert \cite command at cursor
-   * For search results, optionally add BibTeX to local bib if not already present
+   * Sync checkboxes and the selection bar with state.selection
    */
-  async function copyCiteCommand(citeKey, isSearchResult = false, recid = null) {
-    const citeCmd = state.preferences?.citeCommand || '\\cite';
-    const citation = `${citeCmd}{${citeKey}}`;
+  function updateSelection() {
+    sidebar.querySelectorAll('.ads-doc-item').forEach(el => {
+      const selected = state.selection.has(el.dataset.citekey);
+      el.classList.toggle('selected', selected);
+      const checkbox = el.querySelector(':scope > .ads-doc-head > .ads-doc-select');
+      if (checkbox) checkbox.checked = selected;
+    });
 
-    // Check if this is a search result and auto-add is enabled
-    if (isSearchResult && state.autoAddToBib && recid) {
-      // Check if already in local bib
-      const existsInBib = state.papers.some(p =>
-        p.citeKey === citeKey || p.bibcode === citeKey
-      );
+    const count = state.selection.size;
+    const bar = sidebar.querySelector('#inspire-selection-bar');
+    bar.hidden = count === 0;
+    sidebar.querySelector('#inspire-selection-count').textContent =
+      `${count} selected`;
+  }
 
-      if (!existsInBib) {
-        try {
-          setStatus('Fetching BibTeX...');
+  /**
+   * Cite all selected papers as one \cite{k1,k2,...}, or add them to the
+   * citation command under the cursor. With auto-add on,
+   * BibTeX for selected search results missing from the .bib is fetched in a
+   * single export.
+   */
+  async function citeSelected(citeCmd) {
+    const selected = [...state.selection.values()];
+    if (selected.length === 0) return;
 
-          // Fetch BibTeX from INSPIRE
-          const result = await sendMessage({
-            action: 'exportBibtex',
-            payload: { recids: [recid] }
-          });
+    let bibNote = null;
+    let bibError = null;
 
-          if (result.bibtex) {
-            // Add to local papers cache
-            const searchResult = state.searchResults.find(r =>
-              r.recid === recid || r.bibcode === recid
-            );
-
-            if (searchResult) {
-              const newPaper = {
-                ...searchResult,
-                raw: result.bibtex
-              };
-              state.papers.push(newPaper);
-
-              // Update the cached papers in storage
-              await sendMessage({
-                action: 'addPaperToCache',
-                payload: { paper: newPaper }
-              });
-
-              // Update paper count display
-              updateBibStatus();
-
-              // Copy BibTeX to clipboard so user can paste it into .bib file
-              await copyToClipboard(result.bibtex);
-
-              // Insert citation at cursor
-              const success = await insertTextAtCursor(citation);
-              if (success) {
-                setStatus(`Inserted ${citation}. BibTeX copied - paste into .bib file`);
-              } else {
-                setStatus(`BibTeX copied. Manually add: ${citation}`);
-              }
-              return;
-            }
-          }
+    if (state.autoAddToBib) {
+      const missing = selected
+        .filter(s => s.source === 'inspire' && s.recid &&
+          !state.papers.some(p => p.citeKey === s.citeKey || p.bibcode === s.citeKey))
+        .map(s => findInspireDocument(s.recid))
+        .filter(Boolean);
+
+      if (missing.length > 0) {
+        try {
+          bibNote = await autoAddToBib(missing);
         } catch (error) {
           console.error('Failed to add to bib:', error);
-          // Fall through to just insert cite command
+          bibError = `Failed to add ${missing.map(getCiteKey).join(', ')} to the bib: ${error.message}`;
         }
       }
     }
 
-    // Insert citation at cursor (or copy to clipboard as fallback)
-    const success = await insertTextAtCursor(citation);
-    if (success) {
-      setStatus(`Inserted: ${citation}`);
-    } else {
-      await copyToClipboard(citation);
-      setStatus(`Copied: ${citation}`);
-    }
+    await reportCitation(await citeKeysAtCursor(selected.map(s => s.citeKey), citeCmd), bibNote);
+
+    // The keys are cited either way, so the failure must not go unnoticed
+    if (bibError) setError(bibError);
+
+    clearSelection();
+  }
+
+  /**
+   * An INSPIRE document currently listed in search results or a References / Cited by list
+   */
+  function findInspireDocument(recid) {
+    return state.searchResults.find(r => r.recid === recid || r.bibcode === recid) ||
+      relatedDocuments.get(recid) || null;
+  }
+
+  /**
+   * Insert citation at cursor
+   */
+  async function insertCitation(citeKey) {
+    setStatus('Inserting citation...');
+    await reportCitation(await citeKeysAtCursor([citeKey]));
+  }
+
+  /**
+   * Cite keys at the cursor. If the cursor is inside an existing citation
+   * command, keys it does not list yet are appended to its key list and its
+   * optional arguments are left alone; otherwise a new command is inserted.
+   * @param {Array<string>} keys
+   * @param {string} [citeCmd] - Command for a new citation; defaults to currentCiteCommand()
+   * @returns {Promise<{success: boolean, citation: string, unchanged?: boolean}>}
+   *   `citation` is the command as it now reads in the document
+   */
+  async function citeKeysAtCursor(keys, citeCmd = currentCiteCommand()) {
+    const context = await getCiteCommandAtCursor();
+    if (context) {
+      const listed = context.keys.split(',').map(k => k.trim()).filter(Boolean);
+      const added = [...new Set(keys)].filter(k => !listed.includes(k));
+      const citation = context.command;
+
+      if (added.length === 0) {
+        return { success: true, citation, unchanged: true };
+      }
+
+      // Insert after the last key, before any trailing whitespace
+      const content = context.keys.trimEnd();
+      const separator = listed.length > 0 && !content.endsWith(',') ? ',' : '';
+      const insert = separator + added.join(',');
+      const at = context.keysFrom + content.length;
+
+      if (await insertAtViaPage(at, insert, citation, context.from)) {
+        const offset = at - context.from;
+        return { success: true, citation: citation.slice(0, offset) + insert + citation.slice(offset) };
+      }
+    }
+
+    const citation = `${citeCmd}{${keys.join(',')}}`;
+    return { success: await insertTextAtCursor(citation), citation };
+  }
+
+  /**
+   * Report the outcome of citeKeysAtCursor in the status line, copying the
+   * citation to the clipboard if it could not be inserted
+   * @param {{success: boolean, citation: string, unchanged?: boolean}} result
+   * @param {string|null} [bibNote] - Outcome of adding BibTeX to the .bib
+   */
+  async function reportCitation({ success, citation, unchanged }, bibNote = null) {
+    const action = unchanged ? 'Already cited' : 'Inserted';
+    if (bibNote) {
+      setStatus(success ? `${action}: ${citation}. ${bibNote}` : `${bibNote}. Manually add: ${citation}`);
+    } else if (success) {
+      setStatus(`${action}: ${citation}`);
+    } else {
+      await copyToClipboard(citation);
+      setStatus(`Copied to clipboard: ${citation}`);
+    }
+  }
+
+  /**
+   * Find the citation command enclosing the cursor, reading the text around
+   * it through the CM6/Ace API
+   * @returns {Promise<{from: number, to: number, keysFrom: number, keys: string, command: string}|null>}
+   *   Document offsets of the command and of its key list; null when the
+   *   cursor is not inside one or text is selected
+   */
+  async function getCiteCommandAtCursor() {
+    const around = await runInPage('cite_at_cursor', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        const { main } = view.state.selection;
+        if (!main.empty) {
+          reply(null);
+          return;
+        }
+        const start = Math.max(0, main.head - args.chars);
+        const end = Math.min(view.state.doc.length, main.head + args.chars);
+        reply({ text: view.state.doc.sliceString(start, end), start, cursor: main.head });
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      if (!aceEditor || !aceEditor.selection.isEmpty()) {
+        reply(null);
+        return;
+      }
+      const session = aceEditor.getSession();
+      const value = session.getValue();
+      const cursor = session.getDocument().positionToIndex(aceEditor.getCursorPosition());
+      const start = Math.max(0, cursor - args.chars);
+      reply({ text: value.slice(start, cursor + args.chars), start, cursor });
+    `, { chars: CITE_CONTEXT_CHARS }, 500);
+
+    if (!around) return null;
+
+    const cursor = around.cursor - around.start;
+    for (const match of around.text.matchAll(CITE_COMMAND_PATTERN)) {
+      const end = match.index + match[0].length;
+      // Inside means anywhere from the backslash up to the closing brace
+      if (match.index < cursor && cursor < end) {
+        return {
+          from: around.start + match.index,
+          to: around.start + end,
+          keysFrom: around.start + end - 1 - match[1].length,
+          keys: match[1],
+          command: match[0],
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Insert text at a document offset through the CM6/Ace API and move the
+   * cursor after it. Nothing is changed unless the document still has
+   * `expected` at `expectedFrom`, in case it was edited in the meantime.
+   * @returns {Promise<boolean>}
+   */
+  async function insertAtViaPage(at, text, expected, expectedFrom) {
+    const success = await runInPage('insert_at', `
+      const expectedTo = args.expectedFrom + args.expected.length;
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        if (view.state.doc.sliceString(args.expectedFrom, expectedTo) !== args.expected) {
+          reply(false);
+          return;
+        }
+        view.dispatch({
+          changes: { from: args.at, insert: args.text },
+          selection: { anchor: args.at + args.text.length }
+        });
+        view.focus();
+        reply(true);
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      if (!aceEditor) {
+        reply(false);
+        return;
+      }
+      const doc = aceEditor.getSession().getDocument();
+      if (doc.getValue().slice(args.expectedFrom, expectedTo) !== args.expected) {
+        reply(false);
+        return;
+      }
+      const end = doc.insert(doc.indexToPosition(args.at), args.text);
+      aceEditor.moveCursorToPosition(end);
+      aceEditor.clearSelection();
+      aceEditor.focus();
+      reply(true);
+    `, { at, text, expected, expectedFrom });
+    return success === true;
+  }
+
+  /**
+   * Insert text at cursor in Overleaf editor
+   */
+  function insertTextAtCursor(text) {
+    const cm6 = document.querySelector('.cm-content');
+    if (cm6) {
+      return insertViaCM6(text);
+    }
+
+    const aceEditor = document.querySelector('.ace_editor');
+    if (aceEditor) {
+      return insertViaAce(text);
+    }
+
+    return false;
+  }
+
+  /**
+   * Page-context snippet that finds the active CodeMirror 6 EditorView.
+   * Declares `view` (null when no CM6 editor is found).
+   */
+  const FIND_CM6_VIEW = `
+    let view = null;
+    let element = document.querySelector('.cm-content');
+
+    while (element && !view) {
+      if (element.cmView) {
+        view = element.cmView.view || element.cmView;
+      }
+      const cmElement = element.closest('.cm-editor');
+      if (cmElement && cmElement.cmView) {
+        view = cmElement.cmView.view || cmElement.cmView;
+      }
+      element = element.parentElement;
+    }
+
+    if (!view && window._ide && window._ide.editorManager) {
+      const editor = window._ide.editorManager.getCurrentDocumentEditor();
+      if (editor && editor.view) {
+        view = editor.view;
+      }
+    }
+
+    if (!view) {
+      const editorContainer = document.querySelector('.editor-container');
+      if (editorContainer) {
+        const cmEditor = editorContainer.querySelector('.cm-editor');
+        if (cmEditor) {
+          const viewKey = Object.keys(cmEditor).find(k => k.startsWith('__'));
+          if (viewKey && cmEditor[viewKey] && cmEditor[viewKey].view) {
+            view = cmEditor[viewKey].view;
+          }
+        }
+      }
+    }
+
+    if (view && !(view.dispatch && view.state)) {
+      view = null;
+    }
+  `;
+
+  /**
+   * Page-context snippet that finds the Ace editor instance.
+   * Declares `aceEditor` (null when no Ace editor is found).
+   */
+  const FIND_ACE_EDITOR = `
+    const aceElement = document.querySelector('.ace_editor');
+    const aceEditor = aceElement && window.ace ? window.ace.edit(aceElement) : null;
+  `;
+
+  /**
+   * Run a snippet in the page context, where the CodeMirror/Ace objects live.
+   * The snippet can read `args` and must call `reply(value)` once.
+   * @param {string} name - Short name used in the callback ID
+   * @param {string} snippet - JavaScript source to run
+   * @param {Object} [args] - JSON-serializable arguments
+   * @param {number} [timeoutMs] - Resolve with null if no reply arrives in time
+   * @returns {Promise<*>} The value passed to `reply`
+   */
+  function runInPage(name, snippet, args = {}, timeoutMs = 1000) {
+    const callbackId = `inspire_${name}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+    return new Promise((resolve) => {
+      const handler = (event) => {
+        if (event.source === window && event.data && event.data.type === callbackId) {
+          clearTimeout(timeoutId);
+          window.removeEventListener('message', handler);
+          resolve(event.data.value);
+        }
+      };
+      const timeoutId = setTimeout(() => {
+        window.removeEventListener('message', handler);
+        resolve(null);
+      }, timeoutMs);
+      window.addEventListener('message', handler);
+
+      const script = document.createElement('script');
+      script.textContent = `
+        (function() {
+          const args = ${JSON.stringify(args)};
+          const reply = (value) => window.postMessage({ type: ${JSON.stringify(callbackId)}, value: value }, '*');
+          try {
+            ${snippet}
+          } catch (e) {
+            reply(null);
+          }
+        })();
+      `;
+      document.documentElement.appendChild(script);
+      script.remove();
+    });
+  }
+
+  /**
+   * Insert text using CodeMirror 6
+   */
+  async function insertViaCM6(text) {
+    const success = await runInPage('cm6_insert', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        const { from, to } = view.state.selection.main;
+        view.dispatch({
+          changes: { from, to, insert: args.text },
+          selection: { anchor: from + args.text.length }
+        });
+        view.focus();
+        reply(true);
+      } else {
+        const activeElement = document.activeElement;
+        if (activeElement && (activeElement.classList.contains('cm-content') ||
+            activeElement.closest('.cm-content'))) {
+          document.execCommand('insertText', false, args.text);
+          reply(true);
+        } else {
+          reply(false);
+        }
+      }
+    `, { text });
+    return success === true;
+  }
+
+  /**
+   * Insert text using Ace editor
+   */
+  async function insertViaAce(text) {
+    const success = await runInPage('ace_insert', `
+      ${FIND_ACE_EDITOR}
+
+      if (aceEditor) {
+        aceEditor.insert(args.text);
+        aceEditor.focus();
+        reply(true);
+      } else {
+        reply(false);
+      }
+    `, { text });
+    return success === true;
+  }
+
+  /**
+   * Read the full text of the open document through the CM6/Ace API
+   * @returns {Promise<string|null>}
+   */
+  function readDocViaPage() {
+    return runInPage('read_doc', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        reply(view.state.doc.toString());
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      reply(aceEditor ? aceEditor.getSession().getValue() : null);
+    `);
+  }
+
+  /**
+   * Append text to the end of the open document through the CM6/Ace API,
+   * leaving the user's cursor where it was
+   * @returns {Promise<boolean>}
+   */
+  async function appendToDocViaPage(text) {
+    const success = await runInPage('append_doc', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        const end = view.state.doc.length;
+        view.dispatch({ changes: { from: end, insert: args.text } });
+        reply(true);
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      if (aceEditor) {
+        const session = aceEditor.getSession();
+        const lastRow = session.getLength() - 1;
+        session.insert({ row: lastRow, column: session.getLine(lastRow).length }, args.text);
+        reply(true);
+      } else {
+        reply(false);
+      }
+    `, { text });
+    return success === true;
+  }
+
+  /**
+   * Replace ranges of the open document through the CM6/Ace API
+   * @param {Array<{from: number, to: number, insert: string}>} changes - Sorted,
+   *   non-overlapping edits, with offsets into the current document
+   * @returns {Promise<boolean>}
+   */
+  async function applyChangesViaPage(changes) {
+    const success = await runInPage('change_doc', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        view.dispatch({ changes: args.changes });
+        reply(true);
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      if (aceEditor) {
+        const Range = window.ace.require('ace/range').Range;
+        const session = aceEditor.getSession();
+        const doc = session.getDocument();
+        for (const change of args.changes.slice().reverse()) {
+          const start = doc.indexToPosition(change.from);
+          const end = doc.indexToPosition(change.to);
+          session.replace(new Range(start.row, start.column, end.row, end.column), change.insert);
+        }
+        reply(true);
+      } else {
+        reply(false);
+      }
+    `, { changes });
+    return success === true;
+  }
+
+  /**
+   * Find a file in Overleaf's file tree by its path (`refs/main.bib`) or,
+   * failing that, by its name
+   */
+  function findFileTreeItem(fileName) {
+    const items = Array.from(document.querySelectorAll('[role="treeitem"]'));
+    return items.find(item => isFileTreeItem(item, fileName)) ||
+      items.find(item => getFileTreeItemName(item) === fileName) ||
+      null;
+  }
+
+  /**
+   * Whether a file tree item is the file at a path
+   */
+  function isFileTreeItem(item, path) {
+    return getFileTreeItemPath(item) === `/${displayPath(path)}`;
+  }
+
+  /**
+   * Path of a file tree item from the top of the project, e.g. `/refs/main.bib`
+   */
+  function getFileTreeItemPath(item) {
+    const names = [getFileTreeItemName(item)];
+    for (let parent = item.parentElement?.closest('[role="treeitem"]'); parent;
+      parent = parent.parentElement?.closest('[role="treeitem"]')) {
+      names.unshift(getFileTreeItemName(parent));
+    }
+    return `/${names.join('/')}`;
+  }
+
+  /**
+   * Name shown for a file tree item
+   */
+  function getFileTreeItemName(item) {
+    return item.getAttribute('aria-label') ||
+      item.querySelector('.item-name-button span, .name')?.textContent?.trim() || null;
+  }
+
+  /**
+   * Files shown in Overleaf's file tree, with their entity IDs. Collapsed
+   * folders do not render their contents, so files in them are missing.
+   * @returns {Array<{path: string, name: string, type: string|null, id: string|null}>}
+   */
+  function getFileTreeEntities() {
+    const entities = [];
+    for (const item of document.querySelectorAll('[role="treeitem"]')) {
+      const name = getFileTreeItemName(item);
+      if (!name) continue;
+
+      // A folder's own entity element comes before those of its contents
+      const element = item.hasAttribute('data-file-id') ? item : item.querySelector('[data-file-id]');
+      entities.push({
+        path: getFileTreeItemPath(item),
+        name,
+        type: element?.dataset.fileType || null,
+        id: element?.dataset.fileId || null,
+      });
+    }
+    return entities;
+  }
+
+  /**
+   * Every file of the project with its entity ID, from the project data the
+   * Overleaf editor keeps in the page (its store, or the scope of the older
+   * editor). Unlike the file tree, this includes files in collapsed folders.
+   * @returns {Promise<Array<{path: string, name: string, type: string, id: string}>|null>}
+   *   null if the page does not expose the project
+   */
+  function getProjectDataEntities() {
+    return runInPage('project_entities', `
+      const project = window.overleaf?.unstable?.store?.get?.('project') || window._ide?.$scope?.project;
+      const root = project?.rootFolder?.[0];
+      if (!root) {
+        reply(null);
+        return;
+      }
+
+      const entities = [];
+      const walk = (folder, prefix) => {
+        for (const doc of folder.docs || []) {
+          entities.push({ path: prefix + doc.name, name: doc.name, type: 'doc', id: doc._id });
+        }
+        for (const file of folder.fileRefs || []) {
+          entities.push({ path: prefix + file.name, name: file.name, type: 'file', id: file._id });
+        }
+        for (const child of folder.folders || []) {
+          walk(child, prefix + child.name + '/');
+        }
+      };
+      walk(root, '/');
+      reply(entities);
+    `);
+  }
+
+  /**
+   * List the project's files with their entity IDs, from the project data in
+   * the page. If the page does not expose it, paths come from Overleaf's
+   * entities endpoint, which also covers collapsed folders, and IDs from the
+   * file tree; if the endpoint fails too, the file tree alone is used.
+   * @returns {Promise<Array<{path: string, name: string, type: string|null, id: string|null}>>}
+   */
+  async function listProjectEntities() {
+    const projectEntities = await getProjectDataEntities();
+    if (projectEntities?.length > 0) return projectEntities;
+
+    const treeEntities = getFileTreeEntities();
+    try {
+      const { entities } = await fetchProjectEndpoint('entities', 'json');
+      const ids = new Map(treeEntities.map(entity => [entity.path, entity.id]));
+      return entities.map(({ path, type }) => ({
+        path,
+        name: path.split('/').pop(),
+        type,
+        id: ids.get(path) || null,
+      }));
+    } catch (error) {
+      console.warn('INSPIRE for Overleaf: Could not list project files, using the file tree:', error);
+      return treeEntities;
+    }
+  }
+
+  /**
+   * GET one of the project's same-origin endpoints, as the Overleaf web app does
+   * @param {string} path - Path below /project/<id>/
+   * @param {'json'|'text'} format
+   */
+  async function fetchProjectEndpoint(path, format) {
+    const response = await fetch(`/project/${projectId}/${path}`, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`/project/${projectId}/${path} returned HTTP ${response.status}`);
+    }
+    return format === 'json' ? response.json() : response.text();
+  }
+
+  /**
+   * Download a text file of the project (.tex, .bib, ...) by its entity ID
+   * @returns {Promise<string|null>} null if it has no ID or the download fails
+   */
+  async function downloadProjectDoc(entity) {
+    if (!entity.id) return null;
+    try {
+      return await fetchProjectEndpoint(`doc/${entity.id}/download`, 'text');
+    } catch (error) {
+      console.warn(`INSPIRE for Overleaf: Could not download ${entity.path}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read project files, downloading each without opening it. Files that
+   * cannot be downloaded are opened in the editor one after another and
+   * read from there, then the previously open file is re-opened.
+   * @param {Array<Object>} entities - From listProjectEntities
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (entity, index) before each file
+   * @param {boolean} [options.openInEditor] - false to leave files that cannot be downloaded unread
+   * @returns {Promise<Array<Object>>} The entities with `content`, in the same
+   *   order; `content` is null for files that could be neither downloaded nor
+   *   opened (e.g. listed without an ID and in a collapsed folder)
+   */
+  async function readProjectFiles(entities, { onProgress = () => {}, openInEditor = true } = {}) {
+    const contents = new Map();
+    for (const [index, entity] of entities.entries()) {
+      onProgress(entity, index);
+      const content = await downloadProjectDoc(entity);
+      if (content !== null) contents.set(entity, content);
+    }
+
+    const unread = entities.filter(entity => !contents.has(entity));
+    if (openInEditor && unread.length > 0) {
+      const previousFile = getOpenFileName();
+      try {
+        for (const entity of unread) {
+          onProgress(entity, entities.indexOf(entity));
+          if (!await openFileInEditor(displayPath(entity.path))) {
+            console.warn(`INSPIRE for Overleaf: Could not open ${entity.path} in the editor`);
+            continue;
+          }
+          contents.set(entity, await readDocViaPage() ?? await readEditorContent());
+        }
+      } finally {
+        if (previousFile && getOpenFileName() !== previousFile) {
+          await openFileInEditor(previousFile);
+        }
+      }
+    }
+
+    return entities.map(entity => ({ ...entity, content: contents.get(entity) ?? null }));
+  }
+
+  /**
+   * Get the path of the file currently open in the editor (`main.tex`, `refs/main.bib`)
+   */
+  function getOpenFileName() {
+    const selected = getOpenFileTreeItem();
+    return selected ? displayPath(getFileTreeItemPath(selected)) : null;
+  }
+
+  function getOpenFileTreeItem() {
+    return document.querySelector('[role="treeitem"][aria-selected="true"], [role="treeitem"].selected');
+  }
+
+  /**
+   * Whether the file open in the editor has this path or, for names without
+   * a folder, this name
+   */
+  function isFileOpen(fileName) {
+    const selected = getOpenFileTreeItem();
+    return !!selected && (isFileTreeItem(selected, fileName) || getFileTreeItemName(selected) === fileName);
+  }
+
+  /**
+   * Open a file in the editor by clicking it in the file tree and wait until it is shown
+   * @returns {Promise<boolean>} True if the file is now open
+   */
+  async function openFileInEditor(fileName, timeoutMs = 5000) {
+    if (isFileOpen(fileName)) return true;
+
+    const item = findFileTreeItem(fileName);
+    if (!item) return false;
+
+    const target = item.querySelector('.item-name-button, .entity-name, button') || item;
+    target.click();
+
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      await sleep(100);
+      if (isFileOpen(fileName)) {
+        // Give the editor a moment to swap in the new document
+        await sleep(300);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Open a file in the editor, run a function, then re-open the previously open file
+   * @param {string} fileName - File to open
+   * @param {Function} fn - Async function to run while the file is open
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async function withFileOpen(fileName, fn) {
+    const previousFile = getOpenFileName();
+    if (!await openFileInEditor(fileName)) {
+      throw new Error(`Could not open ${fileName} in the editor`);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      if (previousFile && previousFile !== fileName) {
+        await openFileInEditor(previousFile);
+      }
+    }
+  }
+
+  /**
+   * Append BibTeX entries to the project's .bib file in the editor.
+   * Entries whose keys are already in the file are skipped, and the
+   * previously open file is re-opened afterwards.
+   * @param {string} bibtex - One or more BibTeX entries
+   * @returns {Promise<{added: Array<string>, skipped: Array<string>}>}
+   */
+  async function writeToBibFile(bibtex) {
+    await loadProjectBibFiles();
+    const bibFileName = currentTargetBibFile();
+    if (!bibFileName) {
+      throw new Error('No .bib file in this project');
+    }
+
+    return withFileOpen(bibFileName, async () => {
+      const content = await readDocViaPage();
+      if (content === null) {
+        throw new Error(`Could not read ${bibFileName}`);
+      }
+
+      const result = await sendMessage({
+        action: 'appendBibEntries',
+        payload: { content, bibtex }
+      });
+
+      if (result.added.length > 0) {
+        if (!await appendToDocViaPage(result.appendText)) {
+          throw new Error(`Could not write to ${bibFileName}`);
+        }
+        await loadBibContent(content + result.appendText, bibFileName);
+      }
+
+      return { added: result.added, skipped: result.skipped, fileName: bibFileName };
+    });
+  }
+
+  /**
+   * The .bib file new entries are written into: the one chosen in this
+   * project, else the first one \bibliography names
+   * @returns {string|null} Null if the project's .bib files are not listed yet or there are none
+   */
+  function currentTargetBibFile() {
+    const files = state.projectBibFiles || [];
+    return files.includes(state.targetBibFile) ? state.targetBibFile : files[0] || null;
+  }
+
+  /**
+   * List the project's .bib files, unless refreshBibFiles already has
+   * @returns {Promise<Array<string>>}
+   */
+  async function loadProjectBibFiles() {
+    if (!state.projectBibFiles) {
+      const entities = await listProjectEntities();
+      const bibEntities = entities.filter(entity => /\.bib$/i.test(entity.name));
+      const { used } = bibEntities.length > 0
+        ? await findBibliographyEntities(entities, bibEntities)
+        : { used: [] };
+      setProjectBibFiles(bibEntities, used);
+    }
+    return state.projectBibFiles;
+  }
+
+  /**
+   * Record the project's .bib files, those the bibliography uses first in the
+   * order it names them, and offer them as targets for new entries
+   * @param {Array<Object>} bibEntities - All .bib entities in the project
+   * @param {Array<Object>} used - The ones the bibliography uses, in order
+   */
+  function setProjectBibFiles(bibEntities, used) {
+    state.projectBibFiles = [...used, ...bibEntities.filter(entity => !used.includes(entity))]
+      .map(entity => displayPath(entity.path));
+    updateTargetBibSelect();
+  }
+
+  /**
+   * Load the .bib file last chosen for new entries in this project
+   */
+  async function loadTargetBibFile() {
+    try {
+      const { fileName } = await sendMessage({ action: 'getTargetBibFile', payload: { projectId } });
+      state.targetBibFile = fileName;
+      updateTargetBibSelect();
+    } catch (error) {
+      console.warn('INSPIRE for Overleaf: Could not load the target .bib file:', error);
+    }
+  }
+
+  /**
+   * Make `fileName` the .bib file new entries go into, and remember it for this project
+   */
+  async function chooseTargetBibFile(fileName) {
+    state.targetBibFile = fileName;
+
+    try {
+      await sendMessage({ action: 'setTargetBibFile', payload: { projectId, fileName } });
+    } catch (error) {
+      console.warn('INSPIRE for Overleaf: Could not save the target .bib file:', error);
+    }
+  }
+
+  /**
+   * Fill the target .bib picker with the project's .bib files
+   */
+  function updateTargetBibSelect() {
+    const select = sidebar.querySelector('#inspire-target-bib');
+    const files = state.projectBibFiles || [];
+    const target = currentTargetBibFile();
+    select.innerHTML = files.map(fileName => `
+      <option value="${escapeHtml(fileName)}"${fileName === target ? ' selected' : ''}>${escapeHtml(fileName)}</option>
+    `).join('');
+    select.disabled = !state.autoAddToBib || !state.writeIntoBib || files.length === 0;
+  }
+
+  /**
+   * Add search results' BibTeX to the project's bibliography (auto-add mode),
+   * fetched in one export. Writes into the .bib in the editor, or caches it and
+   * copies it to the clipboard.
+   * @param {Array<Object>} docs - Normalized INSPIRE documents
+   * @returns {Promise<string|null>} Note for the status line, or null if nothing was fetched
+   */
+  async function autoAddToBib(docs) {
+    setStatus('Fetching BibTeX...');
+
+    // Fetch BibTeX from INSPIRE, all records in one export, keyed as they are cited
+    const result = await sendMessage({
+      action: 'exportBibtex',
+      payload: {
+        recids: docs.map(doc => doc.recid),
+        citeKeys: Object.fromEntries(docs.map(doc => [doc.recid, getCiteKey(doc)])),
+        identifiers: Object.fromEntries(docs.map(doc => [
+          doc.recid,
+          { texkey: doc.texkey, arxivId: doc.arxivId, doi: doc.doi?.[0] }
+        ])),
+      }
+    });
+
+    if (!result.bibtex) return null;
+
+    if (state.writeIntoBib) {
+      // Append to the project's .bib in the editor, then return to the .tex file
+      const { added, fileName } = await writeToBibFile(result.bibtex);
+      return added.length > 0
+        ? `Added to ${fileName}`
+        : `Already in ${fileName}`;
+    }
+
+    // Add to local papers cache, each paper with its own entry (none if the
+    // export's entry for it could not be recognized), under the .bib file it
+    // is to be pasted into. With no .bib file loaded it is only copied.
+    const fileName = currentTargetBibFile() || state.bibFileName;
+    if (fileName) {
+      for (const doc of docs) {
+        const newPaper = {
+          ...doc,
+          raw: result.entries?.[doc.recid] || '',
+          bibFile: fileName
+        };
+        if (!newPaper.raw) {
+          console.warn(`INSPIRE for Overleaf: No entry for ${getCiteKey(doc)} in the BibTeX export`);
+        }
+        state.papers.push(newPaper);
+
+        // Update the cached papers in storage
+        await sendMessage({
+          action: 'addPaperToCache',
+          payload: { projectId, fileName, paper: newPaper }
+        });
+      }
+
+      // Update paper count display
+      updateBibStatus();
+    }
+
+    // Copy BibTeX to clipboard so user can paste it into .bib file
+    await copyToClipboard(result.bibtex);
+    return docs.length === 1
+      ? 'BibTeX copied - paste into .bib file'
+      : `BibTeX for ${docs.length} papers copied - paste into .bib file`;
+  }
+
+  /**
+   * Match the project's .bib files to INSPIRE. Resolution runs as a job in the
+   * service worker that streams results back over a port; an interrupted job
+   * is resumed rather than restarted.
+   */
+  function matchBibToInspire() {
+    if (state.bibFiles.length === 0) {
+      setError('Load a .bib file first');
+      return;
+    }
+
+    showMatchProgress();
+    if (!matchJob) {
+      matchJob = { port: null, results: [], total: state.papers.length, reconnects: 0 };
+      connectMatchJob();
+    }
+  }
+
+  /**
+   * Connect to the job port and ask to resume; the worker answers `none` if there is no job
+   */
+  function connectMatchJob() {
+    const port = chrome.runtime.connect({ name: 'resolveJob' });
+    matchJob.port = port;
+
+    port.onMessage.addListener(handleMatchJobMessage);
+    port.onDisconnect.addListener(() => {
+      if (!matchJob || matchJob.port !== port) return;
+
+      // The service worker was stopped mid-job; its progress is in storage
+      if (matchJob.reconnects++ < 5) {
+        setTimeout(connectMatchJob, 1000);
+      } else {
+        endMatchJob();
+        hideModal();
+        setError('Lost connection to the matching job');
+      }
+    });
+
+    port.postMessage({ type: 'resume', projectId });
+  }
+
+  async function handleMatchJobMessage(message) {
+    if (!matchJob) return;
+
+    switch (message.type) {
+      case 'none': {
+        try {
+          const files = [];
+          for (const fileName of state.bibFiles) {
+            const bibFile = await sendMessage({ action: 'getBibFile', payload: { projectId, fileName } });
+            if (bibFile.content) files.push({ fileName, content: bibFile.content });
+          }
+          // Ended while the files were being read
+          if (!matchJob) return;
+          matchJob.port.postMessage({ type: 'start', projectId, files });
+        } catch (error) {
+          endMatchJob();
+          hideModal();
+          setError(`Matching failed: ${error.message}`);
+        }
+        break;
+      }
+
+      case 'started':
+        matchJob.results = message.results;
+        matchJob.total = message.total;
+        matchJob.reconnects = 0;
+        updateMatchProgress();
+        break;
+
+      case 'progress':
+        matchJob.results.push(message.result);
+        matchJob.total = message.total;
+        updateMatchProgress();
+        break;
+
+      case 'done':
+        matchJob.port.postMessage({ type: 'clear', projectId });
+        await finishMatchJob(message.results);
+        break;
+
+      case 'cancelled':
+        await finishMatchJob(message.results);
+        setStatus(`Matching cancelled after ${message.results.length} entries`);
+        break;
+
+      // Matching goes on, but could not be resumed after a restart
+      case 'saveFailed':
+        setError(`Could not save matching progress: ${message.message}`);
+        break;
+
+      case 'error':
+        endMatchJob();
+        hideModal();
+        setError(`Matching failed: ${message.message}`);
+        break;
+    }
+  }
+
+  /**
+   * Stop the running job after the entry being resolved
+   */
+  function cancelMatchJob() {
+    if (!matchJob) return;
+    matchJob.port.postMessage({ type: 'cancel', projectId });
+    sidebar.querySelector('#inspire-job-text').textContent = 'Cancelling...';
+  }
+
+  function endMatchJob() {
+    const job = matchJob;
+    matchJob = null;
+    job?.port?.disconnect();
+    sidebar.querySelector('#inspire-job').hidden = true;
+  }
+
+  /**
+   * Show the progress dialog; matching carries on in the background when it is closed
+   */
+  function showMatchProgress() {
+    const body = showModal('Match my .bib to INSPIRE', `
+      <div class="ads-progress"><div class="ads-progress-bar indeterminate" id="inspire-match-bar"></div></div>
+      <div class="ads-progress-status" id="inspire-match-progress">Starting...</div>
+      <div class="ads-modal-actions">
+        <button class="ads-btn secondary" data-action="cancel">Cancel</button>
+        <button class="ads-btn primary" data-action="hide">Run in background</button>
+      </div>
+    `);
+    body.querySelector('[data-action="cancel"]').addEventListener('click', cancelMatchJob);
+    body.querySelector('[data-action="hide"]').addEventListener('click', hideModal);
+
+    if (matchJob) updateMatchProgress();
+  }
+
+  /**
+   * Update the progress bars in the dialog and the sidebar
+   */
+  function updateMatchProgress() {
+    const done = matchJob.results.length;
+    const percent = matchJob.total ? Math.round((done / matchJob.total) * 100) : 0;
+    const text = `Matched ${done} of ${matchJob.total} entries`;
+
+    sidebar.querySelector('#inspire-job').hidden = false;
+    sidebar.querySelector('#inspire-job-bar').style.width = `${percent}%`;
+    sidebar.querySelector('#inspire-job-text').textContent = text;
+
+    const bar = modal.querySelector('#inspire-match-bar');
+    if (bar) {
+      bar.classList.remove('indeterminate');
+      bar.style.width = `${percent}%`;
+      modal.querySelector('#inspire-match-progress').textContent = `${text}...`;
+    }
+  }
+
+  /**
+   * Store the matches (keeping earlier manual decisions) and show them
+   */
+  async function finishMatchJob(results) {
+    endMatchJob();
+    if (results.length === 0) {
+      hideModal();
+      return;
+    }
+
+    const { resolutions } = await sendMessage({ action: 'getResolutions', payload: { projectId } });
+    const matches = results.map(r => toMatch(r, resolutions[r.citeKey]));
+
+    const updated = Object.fromEntries(matches.map(m => [m.citeKey, toResolution(m)]));
+    state.resolutions = { ...state.resolutions, ...updated };
+    await sendMessage({ action: 'saveResolutions', payload: { projectId, resolutions: updated } });
+
+    renderMatches(matches);
+  }
+
+  /**
+   * Turn a resolver result into a match shown in the panel.
+   * Title matches need review; accepted, rejected and manual choices are kept.
+   */
+  function toMatch(result, saved) {
+    const base = { citeKey: result.citeKey, bibFile: result.bibFile, fields: result.fields || {} };
+
+    if (saved && ['accepted', 'rejected', 'manual'].includes(saved.status)) {
+      return { ...saved, ...base };
+    }
+
+    const doc = result.document;
+    let status = 'auto';
+    if (result.error) status = 'error';
+    else if (!result.recid) status = 'not_found';
+    else if (result.method === 'title') status = 'review';
+
+    return {
+      ...base,
+      recid: result.recid,
+      method: result.method,
+      confidence: result.confidence,
+      status,
+      error: result.error || null,
+      title: doc?.title?.[0] || null,
+      authors: doc ? formatAuthors(doc.author) : null,
+      year: doc?.year || null,
+    };
+  }
+
+  /**
+   * The part of a match stored with the project
+   */
+  function toResolution(match) {
+    const { recid, method, confidence, status, title, authors, year } = match;
+    return { recid, method, confidence, status, title, authors, year };
+  }
+
+  /**
+   * Show every match, those needing attention first
+   */
+  function renderMatches(matches) {
+    const order = { review: 0, not_found: 1, rejected: 1, error: 2, accepted: 3, manual: 3, auto: 4 };
+    const sorted = matches
+      .map((match, index) => ({ match, index }))
+      .sort((a, b) => order[a.match.status] - order[b.match.status] || a.index - b.index);
+
+    const panel = showModal('Match my .bib to INSPIRE', `
+      <div class="ads-match-panel">
+        <div class="ads-import-summary" id="inspire-match-summary"></div>
+        <ul class="ads-import-list ads-match-list">
+          ${sorted.map(({ match, index }) => renderMatchItem(match, index)).join('')}
+        </ul>
+        <div class="ads-modal-actions">
+          <button class="ads-btn primary" data-action="close">Done</button>
+        </div>
+      </div>
+    `).querySelector('.ads-match-panel');
+    updateMatchSummary(matches);
+
+    panel.addEventListener('click', (e) => handleMatchClick(e, matches));
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('ads-match-query')) {
+        e.preventDefault();
+        searchForMatch(e.target.closest('.ads-import-item'), matches);
+      }
+    });
+  }
+
+  /**
+   * HTML for one entry and its match
+   */
+  function renderMatchItem(match, index) {
+    const classes = {
+      auto: 'found', accepted: 'found', manual: 'found',
+      review: 'review', not_found: 'not-found', rejected: 'not-found', error: 'not-found',
+    };
+
+    let method;
+    if (match.status === 'not_found') method = 'not found';
+    else if (match.status === 'rejected') method = 'rejected';
+    else if (match.status === 'error') method = `error: ${match.error}`;
+    else if (match.status === 'manual') method = 'chosen by hand';
+    else method = `${match.method}, ${Math.round(match.confidence * 100)}%${match.status === 'accepted' ? ', accepted' : ''}`;
+
+    const record = match.recid && match.status !== 'rejected' ? `
+      <a class="ads-import-title" href="https://inspirehep.net/literature/${encodeURIComponent(match.recid)}"
+         target="_blank" rel="noopener">${escapeHtml(match.title || match.recid)}</a>
+      <span class="ads-import-title">${escapeHtml(match.authors || '')}${match.year ? ` (${match.year})` : ''}</span>
+    ` : '';
+
+    let actions = '';
+    if (match.status === 'review') {
+      actions = `
+        <button class="ads-match-btn" data-action="accept">Accept</button>
+        <button class="ads-match-btn" data-action="reject">Reject</button>
+        <button class="ads-match-btn" data-action="research">Re-search</button>
+      `;
+    } else if (match.status !== 'auto') {
+      actions = `<button class="ads-match-btn" data-action="research">Search</button>`;
+    }
+
+    return `
+      <li class="ads-import-item ${classes[match.status]}" data-index="${index}">
+        <span class="ads-import-key">${escapeHtml(match.citeKey)}</span>
+        <span class="ads-import-method">${escapeHtml(method)}</span>
+        ${record}
+        ${actions ? `<div class="ads-match-actions">${actions}</div>` : ''}
+      </li>
+    `;
+  }
+
+  function updateMatchSummary(matches) {
+    const count = (...statuses) => matches.filter(m => statuses.includes(m.status)).length;
+    const byMethod = ['doi', 'arxiv', 'texkey', 'recid', 'title']
+      .map(method => `${method}: ${matches.filter(m => m.method === method && ['auto', 'accepted'].includes(m.status)).length}`)
+      .join(', ');
+
+    modal.querySelector('#inspire-match-summary').innerHTML = `
+      <p><strong>${count('auto', 'accepted', 'manual')}</strong> of ${matches.length} entries matched (${byMethod}, by hand: ${count('manual')})</p>
+      <p>${count('review')} need review, ${count('not_found', 'rejected')} not found, ${count('error')} errors</p>
+    `;
+  }
+
+  /**
+   * Accept, reject or re-search a match
+   */
+  async function handleMatchClick(event, matches) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'close') {
+      hideModal();
+      return;
+    }
+
+    const item = button.closest('.ads-import-item');
+    const index = Number(item.dataset.index);
+    const match = matches[index];
+
+    switch (button.dataset.action) {
+      case 'accept':
+        await updateMatch(matches, index, { status: 'accepted' });
+        break;
+
+      case 'reject':
+        await updateMatch(matches, index, { status: 'rejected' });
+        break;
+
+      case 'research':
+        showMatchSearch(item, match);
+        break;
+
+      case 'search':
+        await searchForMatch(item, matches);
+        break;
+
+      case 'choose': {
+        const doc = match.candidates[Number(button.dataset.result)];
+        await updateMatch(matches, index, {
+          recid: doc.recid,
+          method: 'manual',
+          confidence: 1,
+          status: 'manual',
+          title: doc.title?.[0] || null,
+          authors: formatAuthors(doc.author),
+          year: doc.year || null,
+        });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Apply a decision, store it, and redraw that entry
+   */
+  async function updateMatch(matches, index, changes) {
+    matches[index] = { ...matches[index], ...changes };
+    const resolution = toResolution(matches[index]);
+    state.resolutions[matches[index].citeKey] = resolution;
+
+    const item = modal.querySelector(`.ads-import-item[data-index="${index}"]`);
+    item.outerHTML = renderMatchItem(matches[index], index);
+    updateMatchSummary(matches);
+
+    await sendMessage({
+      action: 'saveResolutions',
+      payload: { projectId, resolutions: { [matches[index].citeKey]: resolution } }
+    });
+  }
+
+  /**
+   * Show a search box under an entry, pre-filled from its title and first author
+   */
+  function showMatchSearch(item, match) {
+    if (item.querySelector('.ads-match-search')) return;
+
+    const title = (match.fields.title || '').replace(/[{}$\\]/g, '').replace(/\s+/g, ' ').trim();
+    const firstAuthor = (match.fields.author || '').split(/\s+and\s+/i)[0].split(',')[0].replace(/[{}]/g, '').trim();
+    const query = [title && `t ${title}`, firstAuthor && `a ${firstAuthor}`].filter(Boolean).join(' and ');
+
+    const search = document.createElement('div');
+    search.className = 'ads-match-search';
+    search.innerHTML = `
+      <input type="text" class="ads-match-query" aria-label="INSPIRE query for ${escapeHtml(match.citeKey)}" />
+      <button class="ads-match-btn" data-action="search">Search</button>
+      <div class="ads-match-candidates"></div>
+    `;
+    search.querySelector('input').value = query;
+    item.appendChild(search);
+    search.querySelector('input').focus();
+  }
+
+  /**
+   * Run the query typed under an entry and list the top results to choose from
+   */
+  async function searchForMatch(item, matches) {
+    const match = matches[Number(item.dataset.index)];
+    const query = item.querySelector('.ads-match-query').value.trim();
+    const candidates = item.querySelector('.ads-match-candidates');
+    if (!query) return;
+
+    candidates.textContent = 'Searching...';
+    try {
+      const result = await sendMessage({ action: 'search', payload: { query, rows: 5 } });
+      match.candidates = result.documents || [];
+
+      candidates.innerHTML = match.candidates.length === 0
+        ? 'No results'
+        : match.candidates.map((doc, i) => `
+          <button class="ads-match-candidate" data-action="choose" data-result="${i}">
+            ${escapeHtml(doc.title?.[0] || 'Untitled')}
+            <span class="ads-import-title">${escapeHtml(formatAuthors(doc.author))}${doc.year ? ` (${doc.year})` : ''}</span>
+          </button>
+        `).join('');
+    } catch (error) {
+      candidates.textContent = `Search failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Look up preprints from the project's .bib files on INSPIRE and list
+   * those that now have a journal reference
+   */
+  async function checkPublishedVersions() {
+    if (state.bibFiles.length === 0) {
+      setError('Load a .bib file first');
+      return;
+    }
+
+    setLoading(true);
+    showModal('Check for published versions', `
+      <div class="ads-progress"><div class="ads-progress-bar indeterminate"></div></div>
+      <div class="ads-progress-status">Looking up preprints on INSPIRE...</div>
+    `);
+
+    try {
+      const updates = [];
+      let checked = 0;
+      let total = 0;
+
+      for (const fileName of state.bibFiles) {
+        const bibFile = await sendMessage({ action: 'getBibFile', payload: { projectId, fileName } });
+        if (!bibFile.content) continue;
+
+        const result = await sendMessage({
+          action: 'checkPublished',
+          payload: { content: bibFile.content }
+        });
+        checked += result.checked;
+        total += result.total;
+        updates.push(...result.updates.map(u => ({ ...u, bibFile: fileName })));
+      }
+
+      renderPublishedUpdates(updates, checked, total);
+    } catch (error) {
+      hideModal();
+      setError(`Check failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Show the entries that can be updated, each with a checkbox.
+   * Matches found by title only start unchecked.
+   */
+  function renderPublishedUpdates(updates, checked, total) {
+    const summary = `
+      <div class="ads-import-summary">
+        <p>${total} entries, ${checked} without a complete journal reference.</p>
+        <p><strong>${updates.length}</strong> now published according to INSPIRE.</p>
+      </div>
+    `;
+
+    if (updates.length === 0) {
+      showModal('Check for published versions', `
+        ${summary}
+        <div class="ads-modal-actions">
+          <button class="ads-btn primary" data-action="close">Close</button>
+        </div>
+      `).querySelector('[data-action="close"]').addEventListener('click', hideModal);
+      return;
+    }
+
+    const items = updates.map((u, i) => {
+      const { journal, volume, pages, year } = u.published;
+      const ref = [journal, volume, pages].filter(Boolean).join(' ') + (year ? ` (${year})` : '');
+      const was = u.current.journal
+        ? [u.current.journal, u.current.volume, u.current.pages].filter(Boolean).join(' ')
+        : 'no journal';
+      return `
+        <li class="ads-import-item found">
+          <label class="ads-import-choice">
+            <input type="checkbox" data-index="${i}" ${u.method === 'title' ? '' : 'checked'} />
+            <span>
+              <span class="ads-import-key">${escapeHtml(u.citeKey)}</span>
+              <span class="ads-import-method">${escapeHtml(u.method)}, ${Math.round(u.confidence * 100)}%</span>
+              <span class="ads-import-title">${escapeHtml(was)} → ${escapeHtml(ref)}</span>
+              <span class="ads-import-title">${escapeHtml(u.title)}</span>
+            </span>
+          </label>
+        </li>
+      `;
+    }).join('');
+
+    const body = showModal('Check for published versions', `
+      ${summary}
+      <ul class="ads-import-list">${items}</ul>
+      <div class="ads-modal-actions">
+        <button class="ads-btn secondary" data-action="cancel">Cancel</button>
+        <button class="ads-btn primary" data-action="apply">Update selected</button>
+      </div>
+    `);
+
+    body.querySelector('[data-action="cancel"]').addEventListener('click', hideModal);
+    body.querySelector('[data-action="apply"]').addEventListener('click', () => {
+      const selected = Array.from(body.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(input => updates[Number(input.dataset.index)]);
+      hideModal();
+      if (selected.length > 0) {
+        applyPublishedVersions(selected);
+      }
+    });
+  }
+
+  /**
+   * Rewrite the selected entries in their .bib files, in the editor
+   */
+  async function applyPublishedVersions(updates) {
+    setLoading(true);
+    setStatus('Updating entries...');
+
+    try {
+      const updated = [];
+      const fileNames = [...new Set(updates.map(u => u.bibFile))];
+
+      for (const fileName of fileNames) {
+        await withFileOpen(fileName, async () => {
+          const content = await readDocViaPage();
+          if (content === null) {
+            throw new Error(`Could not read ${fileName}`);
+          }
+
+          const result = await sendMessage({
+            action: 'applyPublishedUpdates',
+            payload: { content, updates: updates.filter(u => u.bibFile === fileName) }
+          });
+          if (result.changes.length === 0) return;
+
+          if (!await applyChangesViaPage(result.changes)) {
+            throw new Error(`Could not write to ${fileName}`);
+          }
+          await loadBibContent(result.content, fileName);
+          updated.push(...result.updated);
+        });
+      }
+
+      setStatus(`Updated ${updated.length} ${updated.length === 1 ? 'entry' : 'entries'} with journal references`);
+    } catch (error) {
+      setError(`Update failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Read every .tex and .bib file of the project and list cite keys that are
+   * undefined, never cited, or defined twice
+   */
+  async function scanProjectCitations() {
+    setLoading(true);
+    const body = showModal('Check citations', `
+      <div class="ads-progress"><div class="ads-progress-bar indeterminate"></div></div>
+      <div class="ads-progress-status">Listing project files...</div>
+    `);
+
+    try {
+      const entities = (await listProjectEntities()).filter(entity => /\.(tex|bib)$/i.test(entity.name));
+      if (!entities.some(entity => /\.tex$/i.test(entity.name))) {
+        throw new Error('No .tex files found in the project');
+      }
+
+      const files = await readProjectFiles(entities, {
+        onProgress: (entity, index) => {
+          body.querySelector('.ads-progress-status').textContent =
+            `Reading ${entity.name} (${index + 1} of ${entities.length})...`;
+        },
+      });
+      const read = files.filter(file => file.content !== null);
+      const toScanFile = ({ path, content }) => ({ name: displayPath(path), content });
+      const texFiles = read.filter(file => /\.tex$/i.test(file.name)).map(toScanFile);
+      const bibFiles = read.filter(file => /\.bib$/i.test(file.name)).map(toScanFile);
+      const unread = files.filter(file => file.content === null).map(file => displayPath(file.path));
+
+      const report = await sendMessage({ action: 'scanCitations', payload: { texFiles, bibFiles } });
+      renderCitationReport(report, texFiles.length, bibFiles.length, unread);
+    } catch (error) {
+      hideModal();
+      setError(`Citation check failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // "/chapters/intro.tex" -> "chapters/intro.tex"
+  function displayPath(path) {
+    return path.replace(/^\//, '');
+  }
+
+  /**
+   * Show the citation check: missing keys, each with an INSPIRE lookup,
+   * unused entries and duplicate keys
+   */
+  function renderCitationReport(report, texCount, bibCount, unread = []) {
+    const at = locations => locations.map(l => `${l.file}:${l.line}`).join(', ');
+    const section = (title, items, render) => items.length === 0 ? '' : `
+      <h4 class="ads-scan-heading">${title} (${items.length})</h4>
+      <ul class="ads-import-list">${items.map(render).join('')}</ul>
+    `;
+
+    const missing = section('Cited but not in the .bib', report.missing, (m, i) => `
+      <li class="ads-import-item not-found" data-index="${i}">
+        <span class="ads-import-key">${escapeHtml(m.key)}</span>
+        <button class="ads-match-btn" data-action="lookup">Look up on INSPIRE</button>
+        <span class="ads-import-title">${escapeHtml(at(m.locations))}</span>
+        <div class="ads-match-candidates"></div>
+      </li>
+    `);
+    const duplicates = section('Defined more than once', report.duplicates, d => `
+      <li class="ads-import-item review">
+        <span class="ads-import-key">${escapeHtml(d.key)}</span>
+        <span class="ads-import-title">${escapeHtml(at(d.locations))}</span>
+      </li>
+    `);
+    const unused = section('In the .bib but never cited', report.unused, u => `
+      <li class="ads-import-item">
+        <span class="ads-import-key">${escapeHtml(u.key)}</span>
+        <span class="ads-import-title">${escapeHtml(at([u]))}</span>
+      </li>
+    `);
+    const errors = report.errors.length === 0 ? '' : `
+      <details class="ads-import-details">
+        <summary>${report.errors.length} .bib parse errors</summary>
+        <ul class="ads-import-list">
+          ${report.errors.map(e => `<li class="ads-import-item">${escapeHtml(e.file)}: ${escapeHtml(e.message)}</li>`).join('')}
+        </ul>
+      </details>
+    `;
+
+    const allGood = !missing && !duplicates && !unused;
+    const panel = showModal('Check citations', `
+      <div class="ads-scan-report">
+        <div class="ads-import-summary">
+          <p>${report.cited} keys cited in ${texCount} .tex ${texCount === 1 ? 'file' : 'files'},
+             ${report.entries} entries in ${bibCount} .bib ${bibCount === 1 ? 'file' : 'files'}.</p>
+          ${report.citesAll ? '<p>\\nocite{*} cites every entry.</p>' : ''}
+          ${unread.length > 0 ? `<p>Could not read ${escapeHtml(unread.join(', '))}.</p>` : ''}
+          ${allGood ? '<p><strong>Every cited key is defined once and every entry is cited.</strong></p>' : ''}
+        </div>
+        ${missing}${duplicates}${unused}${errors}
+        <div class="ads-modal-actions">
+          <button class="ads-btn primary" data-action="close">Done</button>
+        </div>
+      </div>
+    `).querySelector('.ads-scan-report');
+
+    panel.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'close') {
+        hideModal();
+        return;
+      }
+
+      const item = button.closest('.ads-import-item');
+      const entry = item && report.missing[Number(item.dataset.index)];
+      if (!entry) return;
+
+      if (button.dataset.action === 'lookup') {
+        await lookupMissingKey(item, entry);
+      } else if (button.dataset.action === 'add') {
+        await addMissingKey(item, entry.key, entry.candidates[Number(button.dataset.result)]);
+      }
+    });
+  }
+
+  /**
+   * List the INSPIRE records a missing key may stand for
+   */
+  async function lookupMissingKey(item, entry) {
+    const candidates = item.querySelector('.ads-match-candidates');
+    candidates.textContent = 'Looking up...';
+
+    try {
+      const { documents, query } = await sendMessage({ action: 'lookupCiteKey', payload: { key: entry.key } });
+      entry.candidates = documents;
+
+      if (!query) {
+        candidates.textContent = 'The key has no author and year to search for';
+      } else if (documents.length === 0) {
+        candidates.textContent = `Nothing found for ${query}`;
+      } else {
+        candidates.innerHTML = documents.map((doc, i) => `
+          <button class="ads-match-candidate" data-action="add" data-result="${i}"
+                  title="Add its BibTeX as ${escapeHtml(entry.key)}">
+            ${escapeHtml(doc.title?.[0] || 'Untitled')}
+            <span class="ads-import-title">${escapeHtml(formatAuthors(doc.author))}${doc.year ? ` (${doc.year})` : ''}</span>
+          </button>
+        `).join('');
+      }
+    } catch (error) {
+      candidates.textContent = `Lookup failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Add a record's BibTeX under the key the document already cites
+   */
+  async function addMissingKey(item, key, doc) {
+    const candidates = item.querySelector('.ads-match-candidates');
+    try {
+      const note = await autoAddToBib([{ ...doc, citeKey: key }]);
+      item.classList.replace('not-found', 'found');
+      candidates.textContent = note || 'No BibTeX available for this record';
+    } catch (error) {
+      candidates.textContent = `Could not add: ${error.message}`;
+    }
+  }
+
+  /**
+   * Insert \cite command at cursor
+   * For search results, optionally add BibTeX to local bib if not already present
+   * @param {string} [citeCmd] - Command to use instead of currentCiteCommand()
+   */
+  async function copyCiteCommand(citeKey, isSearchResult = false, recid = null, citeCmd) {
+    let bibNote = null;
+
+    // Check if this is a search result and auto-add is enabled
+    if (isSearchResult && state.autoAddToBib && recid) {
+      // Check if already in local bib
+      const existsInBib = state.papers.some(p =>
+        p.citeKey === citeKey || p.bibcode === citeKey
+      );
+      const searchResult = findInspireDocument(recid);
+
+      if (!existsInBib && searchResult) {
+        try {
+          bibNote = await autoAddToBib([searchResult]);
+        } catch (error) {
+          console.error('Failed to add to bib:', error);
+          // Fall through to just insert cite command
+        }
+      }
+    }
+
+    // Insert citation at cursor (or copy to clipboard as fallback)
+    await reportCitation(await citeKeysAtCursor([citeKey], citeCmd), bibNote);
+  }
+
+  /**
+   * The command cite buttons insert: the one last chosen in this project,
+   * else the one suggested by the preamble, else the global preference
+   */
+  function currentCiteCommand() {
+    return state.citeCommand || state.citeSuggestion?.command || state.preferences?.citeCommand || '\\cite';
+  }
+
+  /**
+   * Load the command last chosen in this project and, if the open document
+   * has a preamble, the default suggested for its citation package
+   */
+  async function loadCiteCommand() {
+    try {
+      const doc = await readDocViaPage();
+      const tex = doc && /\\documentclass/.test(doc) ? doc : null;
+      const { command, suggested, commands } = await sendMessage({
+        action: 'getCiteCommand',
+        payload: { projectId, tex },
+      });
+
+      state.citeCommand = command;
+      state.citeCommands = commands;
+      if (suggested.package) state.citeSuggestion = suggested;
+      updateCiteButtons();
+    } catch (error) {
+      console.warn('INSPIRE for Overleaf: Could not load the citation command:', error);
+    }
+  }
+
+  /**
+   * Make `command` the one cite buttons insert, and remember it for this project
+   */
+  async function chooseCiteCommand(command) {
+    state.citeCommand = command;
+    updateCiteButtons();
+
+    try {
+      await sendMessage({ action: 'setCiteCommand', payload: { projectId, command } });
+    } catch (error) {
+      console.warn('INSPIRE for Overleaf: Could not save the citation command:', error);
+    }
+  }
+
+  /**
+   * Relabel the cite buttons of rendered paper items with the current command
+   */
+  function updateCiteButtons() {
+    if (!sidebar) return;
+    const command = currentCiteCommand();
+    sidebar.querySelectorAll('.ads-doc-cite[data-citekey]').forEach(btn => {
+      btn.textContent = command;
+      btn.title = `Insert ${command} (Alt-click to choose the command)`;
+      btn.setAttribute('aria-label', btn.getAttribute('aria-label').replace(/^Insert \S+/, `Insert ${command}`));
+    });
+  }
+
+  /**
+   * Create the citation command menu shared by all cite split buttons
+   */
+  function createCiteMenu() {
+    citeMenu = document.createElement('div');
+    citeMenu.id = 'inspire-cite-menu';
+    citeMenu.className = 'ads-cite-menu';
+    citeMenu.setAttribute('role', 'menu');
+    citeMenu.setAttribute('aria-label', 'Citation command');
+    citeMenu.hidden = true;
+    document.body.appendChild(citeMenu);
+
+    citeMenu.addEventListener('click', (e) => {
+      const option = e.target.closest('.ads-cite-menu-item');
+      if (!option || !citeMenuState) return;
+      const { onChoose } = citeMenuState;
+      closeCiteMenu(true);
+      chooseCiteCommand(option.dataset.command);
+      onChoose(option.dataset.command);
+    });
+
+    citeMenu.addEventListener('keydown', handleCiteMenuKeydown);
+
+    document.addEventListener('mousedown', (e) => {
+      if (citeMenuState && !citeMenu.contains(e.target) && !citeMenuState.anchor.contains(e.target)) {
+        closeCiteMenu(false);
+      }
+    }, true);
+  }
+
+  /**
+   * Open the citation command menu below `anchor`, or close it if it is
+   * already open there
+   * @param {HTMLElement} anchor - Button the menu belongs to
+   * @param {Function} onChoose - Called with the chosen command
+   */
+  function toggleCiteMenu(anchor, onChoose) {
+    if (citeMenuState?.anchor === anchor) {
+      closeCiteMenu(true);
+      return;
+    }
+
+    citeMenuState = { anchor, onChoose };
+    renderCiteMenu();
+    citeMenu.hidden = false;
+    positionCiteMenu();
+    citeMenu.querySelector('[aria-checked="true"]')?.focus();
+
+    // The open document may not have been the main .tex when the sidebar loaded
+    if (!state.citeSuggestion) {
+      loadCiteCommand().then(() => {
+        if (citeMenuState?.anchor === anchor && state.citeSuggestion) {
+          const focused = document.activeElement?.dataset?.command;
+          renderCiteMenu();
+          citeMenu.querySelector(`[data-command="${CSS.escape(focused || '')}"]`)?.focus();
+        }
+      });
+    }
+  }
+
+  function renderCiteMenu() {
+    const current = currentCiteCommand();
+    const suggestion = state.citeSuggestion;
+
+    // Until the commands are loaded, offer only the one in use
+    const commands = state.citeCommands.length > 0 ? state.citeCommands : [current];
+    citeMenu.innerHTML = commands.map(command => {
+      const note = suggestion?.command === command
+        ? `<span class="ads-cite-menu-note">suggested for ${escapeHtml(suggestion.package)}</span>`
+        : '';
+      return `
+        <button class="ads-cite-menu-item" role="menuitemradio" tabindex="-1"
+                data-command="${escapeHtml(command)}" aria-checked="${command === current}">
+          <span class="ads-cite-menu-command">${escapeHtml(command)}</span>${note}
+        </button>`;
+    }).join('');
+  }
+
+  /**
+   * Place the menu under its anchor, or above it if there is no room below
+   */
+  function positionCiteMenu() {
+    const rect = citeMenuState.anchor.getBoundingClientRect();
+    const height = citeMenu.offsetHeight;
+    const width = citeMenu.offsetWidth;
+
+    const top = rect.bottom + 4 + height > window.innerHeight ? rect.top - 4 - height : rect.bottom + 4;
+    citeMenu.style.top = `${Math.max(4, top)}px`;
+    citeMenu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - width - 4))}px`;
+  }
+
+  /**
+   * @param {boolean} restoreFocus - Return focus to the button that opened the menu
+   */
+  function closeCiteMenu(restoreFocus) {
+    if (!citeMenuState) return;
+    const { anchor } = citeMenuState;
+    citeMenuState = null;
+    citeMenu.hidden = true;
+    if (restoreFocus) anchor.focus();
+  }
+
+  /**
+   * Arrow keys, Home and End move between commands; Escape and Tab close the menu
+   */
+  function handleCiteMenuKeydown(e) {
+    const items = [...citeMenu.querySelectorAll('.ads-cite-menu-item')];
+    const index = items.indexOf(document.activeElement);
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      items[(index + step + items.length) % items.length].focus();
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      items[e.key === 'Home' ? 0 : items.length - 1].focus();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeCiteMenu(true);
+    } else if (e.key === 'Tab') {
+      closeCiteMenu(true);
+    }
+  }
+
+  /**
+   * Create the cite-key autocomplete popup and hook into editor typing
+   */
+  function createAutocomplete() {
+    autocompletePopup = document.createElement('div');
+    autocompletePopup.id = 'inspire-autocomplete';
+    autocompletePopup.className = 'ads-autocomplete';
+    autocompletePopup.setAttribute('role', 'listbox');
+    autocompletePopup.setAttribute('aria-label', 'Cite key suggestions');
+    autocompletePopup.hidden = true;
+    document.body.appendChild(autocompletePopup);
+
+    autocompletePopup.addEventListener('mousedown', (e) => {
+      // Keep focus in the editor
+      e.preventDefault();
+      const item = e.target.closest('.ads-autocomplete-item');
+      if (item) acceptSuggestion(parseInt(item.dataset.index, 10));
+    });
+
+    document.addEventListener('input', (e) => {
+      if (e.target.closest?.('.cm-content')) scheduleAutocomplete();
+    }, true);
+
+    // Capture phase so arrow keys and Enter reach us before CodeMirror
+    window.addEventListener('keydown', handleAutocompleteKeydown, true);
+
+    document.addEventListener('mousedown', (e) => {
+      if (!autocompletePopup.contains(e.target)) hideAutocomplete();
+    }, true);
+  }
+
+  /**
+   * Build a regex matching a citation command with an open brace before the cursor
+   */
+  function buildCiteCommandRegex() {
+    const commands = state.preferences?.autocompleteCommands?.length
+      ? state.preferences.autocompleteCommands
+      : DEFAULT_AUTOCOMPLETE_COMMANDS;
+    const names = commands
+      .map(c => c.replace(/^\\+/, ''))
+      .filter(Boolean)
+      .map(c => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\\\(?:${names.join('|')})\\*?(?:\\[[^\\]]*\\]){0,2}\\{([^{}]*)$`);
+  }
+
+  /**
+   * Get the cite key being typed at the cursor, if the cursor is inside a citation command
+   * @returns {Promise<{from: number, to: number, partial: string, coords: Object}|null>}
+   */
+  async function getCiteContext() {
+    const cursor = await runInPage('cite_context', `
+      ${FIND_CM6_VIEW}
+
+      if (!view || !view.state.selection.main.empty) {
+        reply(null);
+        return;
+      }
+
+      const head = view.state.selection.main.head;
+      const line = view.state.doc.lineAt(head);
+      const coords = view.coordsAtPos(head);
+      reply({
+        before: line.text.slice(0, head - line.from),
+        pos: head,
+        coords: coords ? { left: coords.left, top: coords.top, bottom: coords.bottom } : null
+      });
+    `, {}, 300);
+
+    if (!cursor || !cursor.coords) return null;
+
+    const match = cursor.before.match(buildCiteCommandRegex());
+    if (!match) return null;
+
+    const partial = match[1].split(',').pop().trimStart();
+    return {
+      from: cursor.pos - partial.length,
+      to: cursor.pos,
+      partial,
+      coords: cursor.coords,
+    };
+  }
+
+  /**
+   * Refresh suggestions once typing pauses. Reading the cursor runs a script
+   * in the page, so it is not done for every keystroke.
+   */
+  function scheduleAutocomplete() {
+    // Suggestions still being worked out are for text that has changed
+    autocomplete.requestId++;
+    clearTimeout(autocomplete.inputTimer);
+    autocomplete.inputTimer = setTimeout(updateAutocomplete, AUTOCOMPLETE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Refresh suggestions for the cite key at the cursor
+   */
+  async function updateAutocomplete() {
+    if (state.preferences?.autocomplete === false) return;
+
+    const requestId = ++autocomplete.requestId;
+    clearTimeout(autocomplete.remoteTimer);
+
+    const context = await getCiteContext();
+    if (requestId !== autocomplete.requestId) return;
+
+    if (!context) {
+      hideAutocomplete();
+      return;
+    }
+    autocomplete.context = context;
+
+    const local = (context.partial ? rankPapers(context.partial) : state.papers)
+      .slice(0, 10)
+      .map(paper => ({
+        key: getCiteKey(paper),
+        title: paper.title?.[0] || paper.title || 'Untitled',
+        detail: `${formatAuthors(paper.author)} ${paper.year || ''}`.trim(),
+        doc: null,
+      }));
+
+    if (local.length > 0) {
+      showAutocomplete(local);
+      return;
+    }
+
+    // Nothing local: fall back to INSPIRE once the user pauses typing
+    if (context.partial.length < 3) {
+      hideAutocomplete();
+      return;
+    }
+
+    showAutocomplete([], 'Searching INSPIRE...');
+    autocomplete.remoteTimer = setTimeout(async () => {
+      try {
+        const result = await sendMessage({
+          action: 'search',
+          payload: { query: context.partial, rows: 8, projectId }
+        });
+        if (requestId !== autocomplete.requestId) return;
+
+        const remote = (result.documents || []).map(doc => ({
+          key: getCiteKey(doc),
+          title: doc.title?.[0] || 'Untitled',
+          detail: `${formatAuthors(doc.author)} ${doc.year || ''} · INSPIRE`.trim(),
+          doc,
+        }));
+        showAutocomplete(remote, remote.length === 0 ? 'No matches on INSPIRE' : null);
+      } catch (error) {
+        if (requestId === autocomplete.requestId) {
+          showAutocomplete([], `INSPIRE search failed: ${error.message}`);
+        }
+      }
+    }, 500);
+  }
+
+  /**
+   * Show the suggestion popup below the cursor
+   * @param {Array} items - Suggestions
+   * @param {string} [message] - Shown instead of (or below) the items
+   */
+  function showAutocomplete(items, message = null) {
+    // Hidden since the request that produced these items was made
+    if (!autocomplete.context) return;
+
+    autocomplete.items = items;
+    autocomplete.selected = 0;
+
+    autocompletePopup.innerHTML = items.map((item, i) => `
+      <div class="ads-autocomplete-item${i === 0 ? ' selected' : ''}" role="option"
+           data-index="${i}" aria-selected="${i === 0}">
+        <span class="ads-autocomplete-key">${escapeHtml(item.key)}</span>
+        <span class="ads-autocomplete-title">${escapeHtml(item.title)}</span>
+        <span class="ads-autocomplete-detail">${escapeHtml(item.detail)}</span>
+      </div>
+    `).join('') + (message ? `<div class="ads-autocomplete-message">${escapeHtml(message)}</div>` : '');
+
+    const { coords } = autocomplete.context;
+    autocompletePopup.style.left = `${Math.max(0, Math.min(coords.left, window.innerWidth - 420))}px`;
+    autocompletePopup.style.top = `${coords.bottom + 4}px`;
+    autocompletePopup.hidden = false;
+  }
+
+  /**
+   * Hide the suggestion popup
+   */
+  function hideAutocomplete() {
+    clearTimeout(autocomplete.inputTimer);
+    clearTimeout(autocomplete.remoteTimer);
+    // Drop INSPIRE searches still in flight
+    autocomplete.requestId++;
+    autocomplete.items = [];
+    autocomplete.context = null;
+    if (autocompletePopup) autocompletePopup.hidden = true;
+  }
+
+  /**
+   * Keyboard navigation for the suggestion popup
+   */
+  function handleAutocompleteKeydown(event) {
+    if (autocompletePopup.hidden || !event.target.closest?.('.cm-content')) return;
+
+    const count = autocomplete.items.length;
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (count === 0) return;
+        autocomplete.selected = (autocomplete.selected + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        autocompletePopup.querySelectorAll('.ads-autocomplete-item').forEach((el, i) => {
+          el.classList.toggle('selected', i === autocomplete.selected);
+          el.setAttribute('aria-selected', String(i === autocomplete.selected));
+          if (i === autocomplete.selected) el.scrollIntoView({ block: 'nearest' });
+        });
+        break;
+      case 'Enter':
+      case 'Tab':
+        if (count === 0) return;
+        acceptSuggestion(autocomplete.selected);
+        break;
+      case 'Escape':
+        hideAutocomplete();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Replace the partially typed key with the chosen suggestion
+   */
+  async function acceptSuggestion(index) {
+    const item = autocomplete.items[index];
+    const context = autocomplete.context;
+    hideAutocomplete();
+    if (!item || !context) return;
+
+    await runInPage('cite_complete', `
+      ${FIND_CM6_VIEW}
+
+      // Typing may have gone on since the suggestions were read
+      const to = view ? view.state.selection.main.head : -1;
+      if (to < args.from) {
+        reply(false);
+        return;
+      }
+
+      view.dispatch({
+        changes: { from: args.from, to, insert: args.key },
+        selection: { anchor: args.from + args.key.length }
+      });
+      view.focus();
+      reply(true);
+    `, { from: context.from, key: item.key });
+
+    // Keys picked from INSPIRE are not in the .bib yet
+    if (item.doc && state.autoAddToBib) {
+      try {
+        const bibNote = await autoAddToBib([item.doc]);
+        if (bibNote) setStatus(bibNote);
+      } catch (error) {
+        setError(`Failed to add to bib: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Create the card shown for the cite key under the pointer or the cursor
+   */
+  function createCiteCard() {
+    citeCard = document.createElement('div');
+    citeCard.id = 'inspire-cite-card';
+    citeCard.className = 'ads-cite-card';
+    citeCard.setAttribute('role', 'tooltip');
+    citeCard.hidden = true;
+    document.body.appendChild(citeCard);
+
+    document.addEventListener('mousemove', (e) => {
+      if (isEditorText(e.target)) {
+        scheduleCiteCard({ x: e.clientX, y: e.clientY });
+      } else if (!citeCard.contains(e.target)) {
+        clearTimeout(citeCardState.timer);
+        if (citeCardState.source === 'hover') hideCiteCard();
+      }
+    }, true);
+
+    document.addEventListener('mouseup', (e) => {
+      if (isEditorText(e.target)) scheduleCiteCard(null);
+    }, true);
+
+    window.addEventListener('keyup', (e) => {
+      if (CURSOR_KEYS.has(e.key) && isEditorText(e.target)) scheduleCiteCard(null);
+    }, true);
+
+    // Typing and scrolling hide the card; it would cover what is being edited or be left behind
+    window.addEventListener('keydown', (e) => {
+      if (!CURSOR_KEYS.has(e.key) && !['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) hideCiteCard();
+    }, true);
+    document.addEventListener('scroll', (e) => {
+      if (!citeCard.contains(e.target)) hideCiteCard();
+    }, true);
+  }
+
+  function isEditorText(target) {
+    return !!target.closest?.('.cm-content, .ace_content, .ace_text-input');
+  }
+
+  /**
+   * Look for a cite key at a point (pointer) or at the cursor (null) once it
+   * has rested there for CITE_CARD_DELAY_MS
+   */
+  function scheduleCiteCard(point) {
+    clearTimeout(citeCardState.timer);
+    citeCardState.timer = setTimeout(() => updateCiteCard(point), CITE_CARD_DELAY_MS);
+  }
+
+  async function updateCiteCard(point) {
+    const requestId = ++citeCardState.requestId;
+    const found = await getCiteKeyAt(point);
+    if (requestId !== citeCardState.requestId) return;
+
+    // The suggestion popup already describes the key being typed
+    if (!found || !found.coords || !autocompletePopup.hidden) {
+      hideCiteCard();
+      return;
+    }
+    if (found.key === citeCardState.key && !citeCard.hidden) {
+      citeCardState.source = point ? 'hover' : 'cursor';
+      return;
+    }
+    showCiteCard(found.key, found.coords, point ? 'hover' : 'cursor');
+  }
+
+  /**
+   * The cite key at a point of the editor, or at the cursor if no point is given
+   * @param {{x: number, y: number}|null} point - Viewport coordinates
+   * @returns {Promise<{key: string, coords: Object}|null>} coords of the
+   *   point's character, for placing the card
+   */
+  async function getCiteKeyAt(point) {
+    const around = await runInPage('cite_key_at', `
+      ${FIND_CM6_VIEW}
+
+      if (view) {
+        const { main } = view.state.selection;
+        const pos = args.point ? view.posAtCoords(args.point) : (main.empty ? main.head : null);
+        if (pos === null) {
+          reply(null);
+          return;
+        }
+        const start = Math.max(0, pos - args.chars);
+        const end = Math.min(view.state.doc.length, pos + args.chars);
+        const coords = view.coordsAtPos(pos);
+        reply({
+          text: view.state.doc.sliceString(start, end),
+          start,
+          pos,
+          coords: coords ? { left: coords.left, top: coords.top, bottom: coords.bottom } : null
+        });
+        return;
+      }
+
+      ${FIND_ACE_EDITOR}
+
+      if (!aceEditor || (!args.point && !aceEditor.selection.isEmpty())) {
+        reply(null);
+        return;
+      }
+      const session = aceEditor.getSession();
+      const renderer = aceEditor.renderer;
+      const position = args.point
+        ? renderer.screenToTextCoordinates(args.point.x, args.point.y)
+        : aceEditor.getCursorPosition();
+      const pos = session.getDocument().positionToIndex(position);
+      const screen = renderer.textToScreenCoordinates(position.row, position.column);
+      const start = Math.max(0, pos - args.chars);
+      reply({
+        text: session.getValue().slice(start, pos + args.chars),
+        start,
+        pos,
+        coords: { left: screen.pageX, top: screen.pageY, bottom: screen.pageY + renderer.lineHeight }
+      });
+    `, { chars: CITE_CONTEXT_CHARS, point }, 300);
+
+    if (!around) return null;
+
+    const pos = around.pos - around.start;
+    for (const match of around.text.matchAll(CITE_COMMAND_PATTERN)) {
+      const keysEnd = match.index + match[0].length - 1;
+      const keysStart = keysEnd - match[1].length;
+      if (pos < keysStart || pos > keysEnd) continue;
+
+      // Each key owns its text and the spaces around it, up to the commas
+      let from = keysStart;
+      for (const part of match[1].split(',')) {
+        const key = part.trim();
+        if (key && pos >= from && pos <= from + part.length) {
+          return { key, coords: around.coords };
+        }
+        from += part.length + 1;
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * Show the card for a cite key: the .bib entry, then its INSPIRE record if
+   * it has been matched. Keys missing from the loaded .bib are flagged.
+   */
+  function showCiteCard(key, coords, source) {
+    const paper = state.papers.find(p => p.citeKey === key);
+    const missing = !paper && state.papers.length > 0;
+    citeCardState.key = key;
+    citeCardState.source = source;
+    citeCardState.coords = coords;
+
+    let body;
+    if (paper) {
+      const journalRef = formatJournalRef(paper);
+      body = `
+        <div class="ads-cite-card-title">${escapeHtml(paper.title?.[0] || paper.title || 'Untitled')}</div>
+        <div class="ads-cite-card-meta">${escapeHtml(formatAuthors(paper.author, 3))}${paper.year ? ` (${paper.year})` : ''}</div>
+        ${journalRef ? `<div class="ads-cite-card-meta">${escapeHtml(journalRef)}</div>` : ''}
+        <div class="ads-cite-card-inspire"></div>
+      `;
+    } else if (missing) {
+      body = '<div class="ads-cite-card-meta">Not in the loaded .bib files</div>';
+    } else {
+      body = '<div class="ads-cite-card-meta">No .bib loaded. Click "Refresh" in the INSPIRE panel.</div>';
+    }
+
+    citeCard.classList.toggle('missing', missing);
+    citeCard.innerHTML = `
+      <div class="ads-cite-card-head">
+        <span class="ads-cite-card-key">${escapeHtml(key)}</span>
+        ${paper?.bibFile ? `<span class="ads-cite-card-source">${escapeHtml(paper.bibFile)}</span>` : ''}
+      </div>
+      ${body}
+    `;
+    citeCard.hidden = false;
+    positionCiteCard(coords);
+
+    const resolution = paper && state.resolutions[key];
+    if (resolution?.recid && ['auto', 'accepted', 'manual'].includes(resolution.status)) {
+      loadCiteCardRecord(key, resolution.recid);
+    }
+  }
+
+  /**
+   * Place the card below the line, or above it if there is no room below
+   */
+  function positionCiteCard(coords) {
+    const { width, height } = citeCard.getBoundingClientRect();
+    const top = coords.bottom + 4 + height > window.innerHeight
+      ? coords.top - 4 - height
+      : coords.bottom + 4;
+    citeCard.style.left = `${Math.max(0, Math.min(coords.left, window.innerWidth - width - 8))}px`;
+    citeCard.style.top = `${Math.max(0, top)}px`;
+  }
+
+  /**
+   * Add the citation count and abstract of the INSPIRE record a key was matched to
+   */
+  async function loadCiteCardRecord(key, recid) {
+    const section = citeCard.querySelector('.ads-cite-card-inspire');
+    const lookup = JSON.stringify({ recid });
+
+    try {
+      if (!recordDetails.has(lookup)) {
+        section.textContent = 'Loading INSPIRE record...';
+        const result = await sendMessage({ action: 'getRecordDetails', payload: { recid } });
+        recordDetails.set(lookup, result.details);
+      }
+      if (citeCardState.key !== key || citeCard.hidden) return;
+
+      const details = recordDetails.get(lookup);
+      if (!details) {
+        section.textContent = '';
+        return;
+      }
+
+      const abstract = details.abstract && details.abstract.length > CITE_CARD_ABSTRACT_CHARS
+        ? `${details.abstract.slice(0, CITE_CARD_ABSTRACT_CHARS).trimEnd()}…`
+        : details.abstract;
+      section.innerHTML = `
+        <div class="ads-cite-card-meta">
+          <span class="ads-cite-card-citations">${formatCitationCount(details.citationCount)}</span> on INSPIRE
+        </div>
+        ${abstract ? `<div class="ads-cite-card-abstract">${escapeHtml(abstract)}</div>` : ''}
+      `;
+    } catch (error) {
+      if (citeCardState.key === key) section.textContent = '';
+      console.warn(`INSPIRE for Overleaf: Could not load the INSPIRE record of ${key}:`, error);
+    }
+    if (citeCardState.key === key && !citeCard.hidden) {
+      positionCiteCard(citeCardState.coords);
+    }
+  }
+
+  function hideCiteCard() {
+    clearTimeout(citeCardState.timer);
+    citeCardState.requestId++;
+    citeCardState.key = null;
+    citeCardState.source = null;
+    if (citeCard) citeCard.hidden = true;
   }
 
   /**
@@ -1172,9 +4465,11 @@
     try {
       setStatus('Fetching BibTeX...');
 
+      // Key the entry as the paper's \cite button would cite it
+      const doc = findInspireDocument(recid);
       const result = await sendMessage({
         action: 'exportBibtex',
-        payload: { recids: [recid] }
+        payload: { recids: [recid], citeKeys: doc ? { [recid]: getCiteKey(doc) } : {} }
       });
 
       await copyToClipboard(result.bibtex);
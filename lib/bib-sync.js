@@ -0,0 +1,93 @@
+/**
+ * Incremental .bib Parsing
+ *
+ * Keeps the entries of a .bib that is being edited current without parsing
+ * the whole file after every change. The file is split into chunks at lines
+ * starting with `@`, where the parser also resynchronizes after an error, and
+ * only chunks whose text changed since the last parse are parsed again.
+ * Every chunk is parsed with the file's @string macros; if those change, all
+ * chunks are parsed again.
+ */
+
+import { parseBibtexSource } from './bibtex-parser.js';
+import { BibtexUtils } from './shared-import.js';
+
+const STRING_CHUNK = /^\s*@string\s*[{(]/i;
+
+class IncrementalBibParser {
+  constructor() {
+    this.stringsSource = null;
+    this.macros = {};
+    // Chunk text without trailing whitespace -> { papers, errors }, error lines relative to the chunk
+    this.chunks = new Map();
+  }
+
+  /**
+   * Parse the current content of the file
+   * @param {string} content
+   * @returns {{papers: Array<Object>, errors: Array<{message: string, line: number, column: number}>, reparsed: number}}
+   *   Papers in display format (see BibtexUtils.toDisplayEntry) in file order,
+   *   and how many chunks had to be parsed
+   */
+  parse(content) {
+    const chunks = splitChunks(content || '');
+
+    const stringsSource = chunks
+      .filter(chunk => STRING_CHUNK.test(chunk.text))
+      .map(chunk => chunk.text.trim())
+      .join('\n');
+    if (stringsSource !== this.stringsSource) {
+      this.stringsSource = stringsSource;
+      this.macros = parseBibtexSource(stringsSource).strings;
+      this.chunks.clear();
+    }
+
+    const parsedChunks = new Map();
+    const papers = [];
+    const errors = [];
+    let reparsed = 0;
+
+    for (const chunk of chunks) {
+      // Blank lines after an entry do not change it
+      const key = chunk.text.trimEnd();
+      let parsed = this.chunks.get(key) || parsedChunks.get(key);
+      if (!parsed) {
+        parsed = this.parseChunk(key);
+        reparsed++;
+      }
+      parsedChunks.set(key, parsed);
+
+      papers.push(...parsed.papers);
+      errors.push(...parsed.errors.map(error => ({ ...error, line: error.line + chunk.line - 1 })));
+    }
+
+    this.chunks = parsedChunks;
+    return { papers, errors, reparsed };
+  }
+
+  parseChunk(text) {
+    const { entries, errors } = parseBibtexSource(text, { macros: this.macros });
+    return {
+      papers: entries.map(entry => BibtexUtils.toDisplayEntry(entry)),
+      errors: errors.map(e => ({ message: e.reason, line: e.line, column: e.column })),
+    };
+  }
+}
+
+/**
+ * Split a .bib into chunks that each start on a line beginning with `@`
+ * (the text before the first one is a chunk of its own)
+ * @returns {Array<{text: string, line: number}>} 1-based first line of each chunk
+ */
+function splitChunks(content) {
+  const chunks = [];
+  let line = 1;
+  for (const text of content.split(/^(?=[ \t]*@)/m)) {
+    chunks.push({ text, line });
+    line += text.split('\n').length - 1;
+  }
+  return chunks;
+}
+
+// ES Module exports
+export { IncrementalBibParser, splitChunks };
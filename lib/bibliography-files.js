@@ -0,0 +1,141 @@
+/**
+ * Bibliography Files
+ *
+ * Finds the .bib files a LaTeX project reads and matches them to the files
+ * of the project:
+ *   `\bibliography{a,b}`, `\nobibliography{a}` - BibTeX, names without `.bib`
+ *   `\addbibresource{a.bib}`, `\addglobalbib{a.bib}` - biblatex, names as written
+ * including those in files the root document reads with `\input`,
+ * `\include` or `\subfile`.
+ */
+
+import { stripComments } from './cite-commands.js';
+
+// Bibliography command, optional argument and file list
+const BIBLIOGRAPHY_COMMAND = /\\(bibliography|nobibliography|addbibresource|addglobalbib)\s*(?:\[([^\]]*)\])?\s*\{([^{}]*)\}/g;
+
+// biblatex resources fetched from the web rather than read from the project
+const REMOTE_RESOURCE = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// Commands that read another .tex file in place
+const INCLUDE_COMMAND = /\\(?:input|include|subfile)\s*\{([^{}]*)\}/g;
+
+/**
+ * List the bibliography files a .tex file asks for, in order
+ * @param {string} tex - File content
+ * @returns {Array<string>} File names as they are looked up, with `.bib`
+ *   added to BibTeX names; remote biblatex resources are left out
+ */
+function findBibliographyResources(tex) {
+  if (!tex) return [];
+
+  const resources = [];
+  for (const [, command, options = '', files] of stripComments(tex).matchAll(BIBLIOGRAPHY_COMMAND)) {
+    if (command === 'addbibresource' || command === 'addglobalbib') {
+      const resource = files.trim();
+      if (resource && !REMOTE_RESOURCE.test(resource) && !/location\s*=\s*remote/.test(options)) {
+        resources.push(resource);
+      }
+    } else {
+      for (const name of files.split(',').map(n => n.trim()).filter(Boolean)) {
+        resources.push(/\.bib$/i.test(name) ? name : `${name}.bib`);
+      }
+    }
+  }
+  return [...new Set(resources)];
+}
+
+/**
+ * Whether a .tex file is a root document rather than one that is \input
+ * @param {string} tex
+ * @returns {boolean}
+ */
+function isRootDocument(tex) {
+  return /\\documentclass\b/.test(stripComments(tex || ''));
+}
+
+/**
+ * List the bibliography files a root document asks for, in order, following
+ * the .tex files it reads. Like LaTeX, included names are looked up next to
+ * the root document, then from the top of the project; `.tex` is added if
+ * the name has no extension.
+ * @param {{path: string, content: string}} file - File to scan
+ * @param {string} folder - Folder of the root document, e.g. `/` or `/thesis/`
+ * @param {Array<{path: string, content: string}>} texFiles - Project .tex files
+ * @param {Set<string>} [seen] - Paths already scanned, so include cycles end
+ * @returns {Array<string>}
+ */
+function findIncludedResources(file, folder, texFiles, seen = new Set()) {
+  seen.add(file.path);
+  const tex = stripComments(file.content || '');
+  const resources = [];
+  let last = 0;
+
+  for (const match of tex.matchAll(INCLUDE_COMMAND)) {
+    resources.push(...findBibliographyResources(tex.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    const name = match[1].trim();
+    const fileName = /\.[a-z]+$/i.test(name) ? name : `${name}.tex`;
+    const candidates = [normalizePath(folder + fileName), normalizePath(`/${fileName}`)];
+    const included = texFiles.find(texFile => candidates.includes(texFile.path));
+    if (included && !seen.has(included.path)) {
+      resources.push(...findIncludedResources(included, folder, texFiles, seen));
+    }
+  }
+  resources.push(...findBibliographyResources(tex.slice(last)));
+
+  return [...new Set(resources)];
+}
+
+/**
+ * Find the project's .bib files that the root documents use, directly or in
+ * the files they include. A name is looked up next to the root document,
+ * then from the top of the project, then as the only .bib file with that
+ * name anywhere in the project.
+ * @param {Array<{path: string, content: string}>} texFiles - Project .tex files, paths like `/main.tex`
+ * @param {Array<string>} bibPaths - Paths of the project's .bib files
+ * @returns {{files: Array<string>, missing: Array<string>}} Paths of the
+ *   .bib files used, in order, and names that match no file. Both are empty
+ *   if no root document names a bibliography.
+ */
+function resolveBibliographyFiles(texFiles, bibPaths) {
+  const roots = texFiles.filter(file => isRootDocument(file.content));
+  const files = [];
+  const missing = [];
+
+  for (const root of roots.length > 0 ? roots : texFiles) {
+    const folder = root.path.slice(0, root.path.lastIndexOf('/') + 1) || '/';
+
+    for (const resource of findIncludedResources(root, folder, texFiles)) {
+      const candidates = [normalizePath(folder + resource), normalizePath(`/${resource}`)];
+      let path = candidates.find(candidate => bibPaths.includes(candidate));
+      if (!path) {
+        const fileName = resource.split('/').pop();
+        const sameName = bibPaths.filter(p => p.split('/').pop() === fileName);
+        if (sameName.length === 1) path = sameName[0];
+      }
+
+      if (!path) {
+        if (!missing.includes(resource)) missing.push(resource);
+      } else if (!files.includes(path)) {
+        files.push(path);
+      }
+    }
+  }
+
+  return { files, missing };
+}
+
+// Resolve `.` and `..` segments: "/tex/../refs/./a.bib" -> "/refs/a.bib"
+function normalizePath(path) {
+  const segments = [];
+  for (const segment of path.split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  }
+  return `/${segments.join('/')}`;
+}
+
+// ES Module exports
+export { findBibliographyResources, isRootDocument, resolveBibliographyFiles };
@@ -0,0 +1,433 @@
+/**
+ * BibTeX Parser
+ *
+ * A tokenizer and recursive-descent parser for the BibTeX grammar:
+ * - Regular entries delimited by braces or parentheses: @article{key, ...} / @article(key, ...)
+ * - @string macros (plus the standard month macros) and `#` concatenation
+ * - @preamble and @comment, which are kept apart from the entries
+ * - Cite keys containing braces, and field values containing `=`, quotes or commas
+ *
+ * Errors carry line and column numbers. After an error the parser resumes at
+ * the next line starting with `@`, so one broken entry does not hide the rest
+ * of the file.
+ */
+
+// Standard month macros predefined by BibTeX styles
+const MONTH_MACROS = {
+  jan: 'January', feb: 'February', mar: 'March', apr: 'April',
+  may: 'May', jun: 'June', jul: 'July', aug: 'August',
+  sep: 'September', oct: 'October', nov: 'November', dec: 'December',
+};
+
+// Characters that may not appear in entry types, field names or macro names
+const IDENTIFIER_REGEX = /[^\s"#%'(),={}@]+/y;
+
+/**
+ * @typedef {Object} BibtexField
+ * @property {string} name - Lower-case field name
+ * @property {string} value - Value with macros expanded and pieces concatenated
+ * @property {string} rawValue - Value exactly as written in the source (e.g. `{Foo} # bar`)
+ * @property {number} start - Offset of the field name in the source
+ * @property {number} end - Offset just past the value
+ */
+
+/**
+ * @typedef {Object} BibtexEntry
+ * @property {string} entryType - Lower-case entry type (article, book, ...)
+ * @property {string} citeKey - Cite key as written
+ * @property {Object<string, string>} fields - Field name -> expanded value
+ * @property {Array<BibtexField>} fieldList - Fields in source order
+ * @property {string} raw - Entry source text, from `@` to the closing delimiter
+ * @property {string} open - Opening delimiter, `{` or `(`
+ * @property {number} start - Offset of `@` in the source
+ * @property {number} end - Offset just past the closing delimiter
+ * @property {number} line - 1-based line of `@`
+ * @property {number} column - 1-based column of `@`
+ */
+
+class BibtexParseError extends Error {
+  constructor(message, line, column, offset) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'BibtexParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+    this.offset = offset;
+  }
+}
+
+class BibtexParser {
+  /**
+   * @param {string} input - Raw BibTeX source
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.macros] - Extra predefined @string macros
+   */
+  constructor(input, options = {}) {
+    this.input = input || '';
+    this.pos = 0;
+    this.lineStarts = computeLineStarts(this.input);
+
+    // Macro names are case-insensitive
+    this.macros = { ...MONTH_MACROS };
+    for (const [name, value] of Object.entries(options.macros || {})) {
+      this.macros[name.toLowerCase()] = value;
+    }
+
+    this.result = {
+      entries: [],
+      strings: {},
+      preambles: [],
+      comments: [],
+      errors: [],
+      warnings: [],
+    };
+  }
+
+  /**
+   * Parse the whole input
+   * @returns {{entries: Array<BibtexEntry>, strings: Object, preambles: Array<string>,
+   *           comments: Array<string>, errors: Array<BibtexParseError>, warnings: Array<BibtexParseError>}}
+   */
+  parse() {
+    while (this.pos < this.input.length) {
+      const at = this.input.indexOf('@', this.pos);
+      if (at === -1) break;
+
+      this.pos = at;
+      try {
+        this.parseItem();
+      } catch (error) {
+        if (!(error instanceof BibtexParseError)) throw error;
+        this.result.errors.push(error);
+        this.pos = this.findRecoveryPoint(at + 1);
+      }
+    }
+
+    return this.result;
+  }
+
+  /**
+   * Offset of the next `@` at the start of a line (ignoring indentation), or end of input
+   */
+  findRecoveryPoint(from) {
+    const regex = /^[ \t]*@/gm;
+    regex.lastIndex = from;
+    const match = regex.exec(this.input);
+    return match ? match.index + match[0].length - 1 : this.input.length;
+  }
+
+  /**
+   * Parse one `@...` item at the current position
+   */
+  parseItem() {
+    const start = this.pos;
+    this.pos++; // Skip '@'
+    this.skipWhitespace();
+
+    const type = this.readIdentifier();
+    if (!type) {
+      // A stray '@' (e.g. an email address between entries)
+      return;
+    }
+    this.skipWhitespace();
+
+    const open = this.input[this.pos];
+    if (open !== '{' && open !== '(') {
+      // Not an entry; BibTeX treats this as text between entries
+      return;
+    }
+    const close = open === '{' ? '}' : ')';
+    this.pos++;
+
+    const entryType = type.toLowerCase();
+
+    if (entryType === 'comment') {
+      const bodyStart = this.pos;
+      this.skipBalanced(open, close, start);
+      this.result.comments.push(this.input.slice(bodyStart, this.pos - 1));
+      return;
+    }
+
+    if (entryType === 'preamble') {
+      this.skipWhitespace();
+      const { value } = this.parseValue(close);
+      this.expectClose(close, start);
+      this.result.preambles.push(value);
+      return;
+    }
+
+    if (entryType === 'string') {
+      this.skipWhitespace();
+      const name = this.readIdentifier();
+      if (!name) throw this.error('Expected macro name in @string');
+      this.skipWhitespace();
+      this.expect('=');
+      this.skipWhitespace();
+      const { value } = this.parseValue(close);
+      this.expectClose(close, start);
+      this.macros[name.toLowerCase()] = value;
+      this.result.strings[name] = value;
+      return;
+    }
+
+    this.parseEntry(entryType, start, open, close);
+  }
+
+  /**
+   * Parse the body of a regular entry: key, then `name = value` fields
+   */
+  parseEntry(entryType, start, open, close) {
+    this.skipWhitespace();
+    const citeKey = this.readKey(close);
+
+    const fields = {};
+    const fieldList = [];
+
+    this.skipWhitespace();
+    while (this.input[this.pos] === ',') {
+      this.pos++;
+      this.skipWhitespace();
+
+      // Trailing comma before the closing delimiter
+      if (this.input[this.pos] === close) break;
+
+      const fieldStart = this.pos;
+      const name = this.readIdentifier();
+      if (!name) throw this.error('Expected field name');
+      this.skipWhitespace();
+      this.expect('=');
+      this.skipWhitespace();
+
+      const { value, rawValue } = this.parseValue(close);
+      const fieldName = name.toLowerCase();
+
+      if (Object.prototype.hasOwnProperty.call(fields, fieldName)) {
+        this.result.warnings.push(this.error(`Duplicate field "${fieldName}" in entry "${citeKey}"`, fieldStart));
+      } else {
+        fields[fieldName] = value;
+      }
+      fieldList.push({ name: fieldName, value, rawValue, start: fieldStart, end: this.pos });
+
+      this.skipWhitespace();
+    }
+
+    this.expectClose(close, start);
+
+    const { line, column } = this.locate(start);
+    this.result.entries.push({
+      entryType,
+      citeKey,
+      fields,
+      fieldList,
+      raw: this.input.slice(start, this.pos),
+      open,
+      start,
+      end: this.pos,
+      line,
+      column,
+    });
+  }
+
+  /**
+   * Read a cite key. Keys end at a comma or the closing delimiter and may contain balanced braces.
+   */
+  readKey(close) {
+    const start = this.pos;
+    let depth = 0;
+
+    while (this.pos < this.input.length) {
+      const ch = this.input[this.pos];
+      if (depth === 0 && (ch === ',' || ch === close || /\s/.test(ch))) break;
+      if (ch === '{') depth++;
+      else if (ch === '}') {
+        if (depth === 0) break;
+        depth--;
+      } else if (ch === '@' || ch === '\n') {
+        break;
+      }
+      this.pos++;
+    }
+
+    const key = this.input.slice(start, this.pos);
+    if (!key) throw this.error('Expected cite key', start);
+    if (depth !== 0) throw this.error(`Unbalanced braces in cite key "${key}"`, start);
+
+    // Whitespace may separate the key from the comma
+    this.skipWhitespace();
+    const next = this.input[this.pos];
+    if (next !== ',' && next !== close) {
+      throw this.error(`Expected "," or "${close}" after cite key "${key}"`);
+    }
+    return key;
+  }
+
+  /**
+   * Parse a field value: pieces joined by `#`
+   * @returns {{value: string, rawValue: string}}
+   */
+  parseValue(close) {
+    const start = this.pos;
+    let value = '';
+
+    for (;;) {
+      value += this.parsePiece(close);
+      const beforeSpace = this.pos;
+      this.skipWhitespace();
+      if (this.input[this.pos] === '#') {
+        this.pos++;
+        this.skipWhitespace();
+        continue;
+      }
+      this.pos = beforeSpace;
+      break;
+    }
+
+    return { value, rawValue: this.input.slice(start, this.pos) };
+  }
+
+  /**
+   * Parse one value piece: `{...}`, `"..."`, a number or a macro name
+   */
+  parsePiece(close) {
+    const ch = this.input[this.pos];
+
+    if (ch === '{') {
+      const start = this.pos;
+      this.pos++;
+      this.skipBalanced('{', '}', start);
+      return this.input.slice(start + 1, this.pos - 1);
+    }
+
+    if (ch === '"') {
+      const start = this.pos;
+      this.pos++;
+      let depth = 0;
+      while (this.pos < this.input.length) {
+        const c = this.input[this.pos];
+        if (c === '{') depth++;
+        else if (c === '}') depth--;
+        else if (c === '"' && depth === 0) break;
+        this.pos++;
+      }
+      if (this.pos >= this.input.length) {
+        throw this.error('Unterminated quoted value', start);
+      }
+      this.pos++; // Skip closing quote
+      return this.input.slice(start + 1, this.pos - 1);
+    }
+
+    const numberMatch = /\d+/y;
+    numberMatch.lastIndex = this.pos;
+    const number = numberMatch.exec(this.input);
+    if (number) {
+      this.pos += number[0].length;
+      return number[0];
+    }
+
+    const start = this.pos;
+    const name = this.readIdentifier();
+    if (!name) {
+      if (ch === close || ch === ',' || ch === undefined) {
+        throw this.error('Expected field value', start);
+      }
+      throw this.error(`Unexpected character "${ch}" in field value`, start);
+    }
+
+    const macro = this.macros[name.toLowerCase()];
+    if (macro === undefined) {
+      this.result.warnings.push(this.error(`Undefined macro "${name}"`, start));
+      return name;
+    }
+    return macro;
+  }
+
+  /**
+   * Advance past the closing delimiter matching an already consumed opening one
+   * @param {number} errorOffset - Offset reported if the delimiter is never closed
+   */
+  skipBalanced(open, close, errorOffset) {
+    let depth = 1;
+    while (this.pos < this.input.length) {
+      const ch = this.input[this.pos++];
+      if (ch === open) depth++;
+      else if (ch === close && --depth === 0) return;
+    }
+    throw this.error(`Missing closing "${close}"`, errorOffset);
+  }
+
+  readIdentifier() {
+    IDENTIFIER_REGEX.lastIndex = this.pos;
+    const match = IDENTIFIER_REGEX.exec(this.input);
+    if (!match) return '';
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.input.length && /\s/.test(this.input[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  expect(ch) {
+    if (this.input[this.pos] !== ch) {
+      throw this.error(`Expected "${ch}"`);
+    }
+    this.pos++;
+  }
+
+  expectClose(close, entryStart) {
+    this.skipWhitespace();
+    if (this.input[this.pos] === close) {
+      this.pos++;
+      return;
+    }
+    if (this.pos >= this.input.length) {
+      throw this.error(`Missing closing "${close}"`, entryStart);
+    }
+    throw this.error(`Expected "," or "${close}"`);
+  }
+
+  /**
+   * Convert an offset into a 1-based line and column
+   */
+  locate(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  error(message, offset = this.pos) {
+    const { line, column } = this.locate(offset);
+    return new BibtexParseError(message, line, column, offset);
+  }
+}
+
+/**
+ * Offsets at which each line starts
+ */
+function computeLineStarts(input) {
+  const starts = [0];
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Parse BibTeX source
+ * @param {string} input - Raw BibTeX content
+ * @param {Object} [options] - See BibtexParser
+ * @returns {Object} { entries, strings, preambles, comments, errors, warnings }
+ */
+function parseBibtexSource(input, options) {
+  return new BibtexParser(input, options).parse();
+}
+
+// ES Module exports
+export { parseBibtexSource, BibtexParser, BibtexParseError, MONTH_MACROS };
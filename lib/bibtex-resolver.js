@@ -4,17 +4,27 @@
  * Resolves BibTeX entries to INSPIRE records using multiple search strategies:
  * 1. DOI lookup (most reliable)
  * 2. arXiv ID lookup (very reliable)
- * 3. Title + Author search (fallback)
+ * 3. INSPIRE texkey, when the cite key is one (e.g. `Maldacena:1997re`)
+ * 4. Title + Author search (fallback)
  */
 
-import { BibtexUtils } from './shared-import.js';
+import { BibtexUtils, RATE_LIMIT } from './shared-import.js';
+
+// Requests in flight at once; the client's rate limiter spaces them within RATE_LIMIT
+const DEFAULT_CONCURRENCY = Math.max(1, Math.floor(RATE_LIMIT.maxRequests / 3));
+
+// DOIs, arXiv IDs and texkeys combined into one search request
+const BATCH_SIZE = 25;
+
+// Shape of an INSPIRE texkey: name, year and two or three letters (Maldacena:1997re, ATLAS:2012yve)
+const TEXKEY_PATTERN = /^[A-Za-z][\w.'-]*:\d{4}[a-z]{2,3}$/;
 
 /**
  * @typedef {Object} ResolutionResult
  * @property {string} citeKey - Original cite key from BibTeX
  * @property {string} entryType - BibTeX entry type
  * @property {string|null} recid - Resolved INSPIRE record ID (null if not found)
- * @property {string} method - How it was resolved: 'doi', 'arxiv', 'title', or 'not_found'
+ * @property {string} method - How it was resolved: 'doi', 'arxiv', 'texkey', 'recid', 'title', or 'not_found'
  * @property {number} confidence - Confidence score 0-1
  * @property {Object} [document] - INSPIRE document if found
  * @property {string} [error] - Error message if resolution failed
@@ -25,65 +35,55 @@ import { BibtexUtils } from './shared-import.js';
  *
  * @param {Object} entry - Parsed BibTeX entry with citeKey, entryType, fields
  * @param {Object} client - INSPIREClient instance
+ * @param {Object} [options]
+ * @param {boolean} [options.identifiers=true] - Look up the DOI and arXiv ID; false when
+ *   a combined search has already failed to find them
  * @returns {Promise<ResolutionResult>} Resolution result
  */
-export async function resolveEntry(entry, client) {
+export async function resolveEntry(entry, client, options = {}) {
+  const { identifiers: lookUpIdentifiers = true } = options;
   const identifiers = BibtexUtils.extractIdentifiers(entry);
-  const result = {
-    citeKey: entry.citeKey,
-    entryType: entry.entryType,
-    recid: null,
-    bibcode: null, // For compatibility
-    method: 'not_found',
-    confidence: 0,
-    fields: entry.fields,
-  };
+  const result = createResult(entry);
 
   try {
     // 1. DOI lookup (most reliable)
-    if (identifiers.doi) {
+    if (lookUpIdentifiers && identifiers.doi) {
       const doc = await client.lookupByDOI(identifiers.doi);
       if (doc) {
-        result.recid = doc.recid;
-        result.bibcode = doc.recid;
-        result.method = 'doi';
-        result.confidence = 0.99;
-        result.document = doc;
-        return result;
+        return setMatch(result, doc, 'doi', 0.99);
       }
     }
 
     // 2. arXiv lookup (very reliable)
-    if (identifiers.arxivId) {
+    if (lookUpIdentifiers && identifiers.arxivId) {
       const doc = await client.lookupByArxiv(identifiers.arxivId);
       if (doc) {
-        result.recid = doc.recid;
-        result.bibcode = doc.recid;
-        result.method = 'arxiv';
-        result.confidence = 0.98;
-        result.document = doc;
-        return result;
+        return setMatch(result, doc, 'arxiv', 0.98);
       }
     }
 
-    // 3. INSPIRE recid (if known)
+    // 3. INSPIRE texkey (cite keys taken from INSPIRE BibTeX)
+    if (lookUpIdentifiers && isTexkey(entry.citeKey)) {
+      const { byTexkey } = await client.lookupBatch({ texkeys: [entry.citeKey] });
+      const doc = byTexkey.get(entry.citeKey);
+      if (doc) {
+        return setMatch(result, doc, 'texkey', 0.97);
+      }
+    }
+
+    // 4. INSPIRE recid (if known)
     if (identifiers.recid) {
       try {
         const doc = await client.getRecord(identifiers.recid);
         if (doc) {
-          result.recid = doc.recid;
-          result.bibcode = doc.recid;
-          result.method = 'recid';
-          result.confidence = 1.0;
-          result.document = doc;
-          return result;
+          return setMatch(result, doc, 'recid', 1.0);
         }
       } catch (e) {
         // Record not found, continue to title search
       }
     }
 
-    // 4. Title + Author search (fallback)
+    // 5. Title + Author search (fallback)
     const title = entry.fields.title;
     const author = entry.fields.author;
     const year = entry.fields.year;
@@ -96,12 +96,7 @@ export async function resolveEntry(entry, client) {
         // Find best match
         const match = findBestMatch(entry, searchResult.documents);
         if (match) {
-          result.recid = match.document.recid;
-          result.bibcode = match.document.recid;
-          result.method = 'title';
-          result.confidence = match.confidence;
-          result.document = match.document;
-          return result;
+          return setMatch(result, match.document, 'title', match.confidence);
         }
       }
     }
@@ -118,32 +113,284 @@ export async function resolveEntry(entry, client) {
 /**
  * Resolve multiple BibTeX entries with progress reporting
  *
+ * Entries with a DOI, arXiv ID or texkey as cite key are looked up BATCH_SIZE
+ * at a time in combined searches; the rest, and any the combined search missed, are resolved one by one.
+ * Requests run in a bounded pool, so results arrive out of order, but the
+ * returned array follows the order of `entries`: `results[i]` belongs to
+ * `entries[i]`, and is null if the run was aborted before it was resolved.
+ *
  * @param {Array} entries - Array of parsed BibTeX entries
  * @param {Object} client - INSPIREClient instance
- * @param {Function} [onProgress] - Progress callback: (current, total, result) => void
- * @param {number} [delayMs=200] - Delay between requests to avoid rate limiting
- * @returns {Promise<Array<ResolutionResult>>} Array of resolution results
+ * @param {Function} [onProgress] - Progress callback: (completed, total, result, index) => void,
+ *   where index is the entry's position in `entries`
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops starting new requests when aborted
+ * @param {number} [options.concurrency] - Maximum requests in flight
+ * @returns {Promise<Array<ResolutionResult|null>>} One result per entry, in entry order
  */
-export async function resolveEntries(entries, client, onProgress, delayMs = 200) {
-  const results = [];
-
-  for (let i = 0; i < entries.length; i++) {
-    const result = await resolveEntry(entries[i], client);
-    results.push(result);
-
+export async function resolveEntries(entries, client, onProgress, options = {}) {
+  const { signal, concurrency = DEFAULT_CONCURRENCY } = options;
+  const results = new Array(entries.length).fill(null);
+  let completed = 0;
+
+  const finish = (index, result) => {
+    results[index] = result;
+    completed++;
     if (onProgress) {
-      onProgress(i + 1, entries.length, result);
+      onProgress(completed, entries.length, result, index);
     }
+  };
 
-    // Delay between requests to avoid rate limiting
-    if (i < entries.length - 1 && delayMs > 0) {
-      await delay(delayMs);
+  const identified = [];
+  const queue = [];
+  entries.forEach((entry, index) => {
+    const ids = BibtexUtils.extractIdentifiers(entry);
+    if (isTexkey(entry.citeKey)) ids.texkey = entry.citeKey;
+    if (ids.doi || ids.arxivId || ids.texkey) {
+      identified.push({ entry, index, ids });
+    } else {
+      queue.push(async () => finish(index, await resolveEntry(entry, client)));
     }
+  });
+
+  // Batches go first so the fallbacks they queue start early
+  const batches = [];
+  for (let i = 0; i < identified.length; i += BATCH_SIZE) {
+    const batch = identified.slice(i, i + BATCH_SIZE);
+    batches.push(() => resolveBatch(batch, client, finish, queue));
   }
+  queue.unshift(...batches);
+
+  await runPool(queue, concurrency, signal);
 
   return results;
 }
 
+/**
+ * Look up a batch of entries in one combined search. Entries it does not find
+ * are queued for a title/recid lookup; if the search fails, for a full lookup.
+ */
+async function resolveBatch(batch, client, finish, queue) {
+  let found = null;
+  try {
+    found = await client.lookupBatch({
+      dois: batch.map(b => b.ids.doi).filter(Boolean),
+      arxivIds: batch.map(b => b.ids.arxivId).filter(Boolean),
+      texkeys: batch.map(b => b.ids.texkey).filter(Boolean),
+    });
+  } catch (error) {
+    // Fall back to one lookup per entry
+  }
+
+  for (const { entry, index, ids } of batch) {
+    const byDoi = found && ids.doi && found.byDoi.get(ids.doi);
+    const byArxiv = found && ids.arxivId && found.byArxiv.get(ids.arxivId);
+    const byTexkey = found && ids.texkey && found.byTexkey.get(ids.texkey);
+
+    if (byDoi) {
+      finish(index, setMatch(createResult(entry), byDoi, 'doi', 0.99));
+    } else if (byArxiv) {
+      finish(index, setMatch(createResult(entry), byArxiv, 'arxiv', 0.98));
+    } else if (byTexkey) {
+      finish(index, setMatch(createResult(entry), byTexkey, 'texkey', 0.97));
+    } else {
+      queue.push(async () => finish(index, await resolveEntry(entry, client, { identifiers: !found })));
+    }
+  }
+}
+
+/**
+ * Whether a cite key has the shape of an INSPIRE texkey
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isTexkey(key) {
+  return TEXKEY_PATTERN.test(key || '');
+}
+
+/**
+ * Run queued tasks with at most `concurrency` in flight. Tasks may queue more tasks.
+ * If a task throws, no more are started, and the error is rethrown once the
+ * tasks in flight have settled.
+ */
+async function runPool(queue, concurrency, signal) {
+  const active = new Set();
+  let failure = null;
+
+  while (queue.length > 0 || active.size > 0) {
+    while (!failure && queue.length > 0 && active.size < concurrency && !signal?.aborted) {
+      const task = queue.shift()()
+        .catch(error => {
+          failure = failure || { error };
+        })
+        .finally(() => active.delete(task));
+      active.add(task);
+    }
+    if (active.size === 0) break;
+    await Promise.race(active);
+  }
+
+  if (failure) throw failure.error;
+}
+
+/**
+ * Empty result for an entry
+ */
+function createResult(entry) {
+  return {
+    citeKey: entry.citeKey,
+    entryType: entry.entryType,
+    recid: null,
+    bibcode: null, // For compatibility
+    method: 'not_found',
+    confidence: 0,
+    fields: entry.fields,
+  };
+}
+
+/**
+ * Record the matched document on a result
+ */
+function setMatch(result, doc, method, confidence) {
+  result.recid = doc.recid;
+  result.bibcode = doc.recid;
+  result.method = method;
+  result.confidence = confidence;
+  result.document = doc;
+  return result;
+}
+
+/**
+ * @typedef {Object} PublishedUpdate
+ * @property {string} citeKey - Cite key of the local entry
+ * @property {string} recid - INSPIRE record ID
+ * @property {string} method - How the record was found (see ResolutionResult)
+ * @property {number} confidence - Confidence score 0-1
+ * @property {string} title - Title of the INSPIRE record
+ * @property {Object} current - Local { journal, volume, pages }
+ * @property {Object} published - INSPIRE { journal, volume, pages, year, doi }
+ */
+
+/**
+ * Find entries whose INSPIRE record now carries a journal reference the .bib lacks
+ *
+ * Only entries without a complete journal reference (no journal, an arXiv
+ * pseudo-journal, or no volume/pages) are looked up.
+ *
+ * @param {Array} entries - Parsed BibTeX entries
+ * @param {Object} client - INSPIREClient instance
+ * @param {Function} [onProgress] - Progress callback, see resolveEntries
+ * @param {Object} [options] - See resolveEntries
+ * @returns {Promise<{checked: number, updates: Array<PublishedUpdate>}>}
+ */
+export async function findPublishedVersions(entries, client, onProgress, options) {
+  const candidates = entries.filter(needsPublicationCheck);
+  const results = await resolveEntries(candidates, client, onProgress, options);
+
+  const updates = [];
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    if (!result?.document) continue;
+
+    const comparison = comparePublication(candidates[i], result.document);
+    if (comparison) {
+      updates.push({
+        citeKey: result.citeKey,
+        recid: result.recid,
+        method: result.method,
+        confidence: result.confidence,
+        title: result.document.title?.[0] || '',
+        ...comparison,
+      });
+    }
+  }
+
+  return { checked: candidates.length, updates };
+}
+
+/**
+ * Whether an entry lacks a complete journal reference
+ */
+export function needsPublicationCheck(entry) {
+  const { journal, volume, pages } = entry.fields;
+  return !journal || /arxiv/i.test(journal) || !volume || !pages;
+}
+
+/**
+ * Journal reference of an INSPIRE document
+ *
+ * @param {Object} document - Normalized INSPIRE document
+ * @returns {Object|null} { journal, volume, pages, year, doi }, or null if unpublished
+ */
+export function getPublicationInfo(document) {
+  const pubInfo = (document._inspire?.publication_info || []).find(p => p.journal_title);
+  if (!pubInfo) return null;
+
+  let pages = pubInfo.artid || null;
+  if (pubInfo.page_start) {
+    pages = pubInfo.page_end ? `${pubInfo.page_start}--${pubInfo.page_end}` : pubInfo.page_start;
+  }
+
+  return {
+    journal: pubInfo.journal_title,
+    volume: pubInfo.journal_volume || null,
+    pages,
+    year: pubInfo.year ? String(pubInfo.year) : null,
+    doi: document.doi?.[0] || null,
+  };
+}
+
+/**
+ * Compare a local entry's journal reference with its INSPIRE record
+ *
+ * Journal names are only compared when the local one is missing or an arXiv
+ * pseudo-journal, so abbreviation differences alone do not count as an update.
+ *
+ * @param {Object} entry - Parsed BibTeX entry
+ * @param {Object} document - Normalized INSPIRE document
+ * @returns {Object|null} { current, published } if the record has newer information
+ */
+export function comparePublication(entry, document) {
+  const published = getPublicationInfo(document);
+  if (!published) return null;
+
+  const current = {
+    journal: entry.fields.journal || null,
+    volume: entry.fields.volume || null,
+    pages: entry.fields.pages || null,
+  };
+
+  const firstPage = pages => String(pages || '').split(/-+/)[0].trim().toLowerCase();
+  const differs =
+    !current.journal || /arxiv/i.test(current.journal) ||
+    (published.volume && current.volume !== published.volume) ||
+    (published.pages && firstPage(current.pages) !== firstPage(published.pages));
+
+  return differs ? { current, published } : null;
+}
+
+/**
+ * Fields of an entry updated with a journal reference
+ *
+ * @param {Object} entry - Parsed BibTeX entry
+ * @param {Object} published - Journal reference from getPublicationInfo
+ * @returns {Object} { entryType, fields } with the journal, volume, pages, year and DOI set
+ */
+export function applyPublicationInfo(entry, published) {
+  const fields = { ...entry.fields, journal: published.journal };
+  if (published.volume) fields.volume = published.volume;
+  if (published.pages) fields.pages = published.pages;
+  if (published.year) fields.year = published.year;
+  if (published.doi && !fields.doi) fields.doi = published.doi;
+
+  // Preprint entry types become articles once published
+  const entryType = ['misc', 'unpublished', 'online', 'preprint'].includes(entry.entryType)
+    ? 'article'
+    : entry.entryType;
+
+  return { entryType, fields };
+}
+
 /**
  * Build a title + author INSPIRE query
  *
@@ -268,20 +515,15 @@ function calculateTitleSimilarity(title1, title2) {
   return intersection.size / union.size;
 }
 
-/**
- * Simple delay function
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Categorize resolution results
  *
- * @param {Array<ResolutionResult>} results - Resolution results
+ * @param {Array<ResolutionResult|null>} results - Resolution results; entries
+ *   never resolved (null) are left out
  * @returns {Object} Categorized results
  */
-export function categorizeResults(results) {
+export function categorizeResults(allResults) {
+  const results = allResults.filter(Boolean);
   const found = results.filter(r => r.recid !== null);
   const notFound = results.filter(r => r.recid === null && !r.error);
   const errors = results.filter(r => r.error);
@@ -298,6 +540,7 @@ export function categorizeResults(results) {
       byMethod: {
         doi: found.filter(r => r.method === 'doi').length,
         arxiv: found.filter(r => r.method === 'arxiv').length,
+        texkey: found.filter(r => r.method === 'texkey').length,
         recid: found.filter(r => r.method === 'recid').length,
         title: found.filter(r => r.method === 'title').length,
       },
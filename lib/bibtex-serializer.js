@@ -0,0 +1,321 @@
+/**
+ * BibTeX Serializer
+ *
+ * Turns parsed entries (see bibtex-parser.js) and normalized INSPIRE documents
+ * back into BibTeX. Entries that have not been modified are re-emitted exactly
+ * as they were written. Modified entries are patched in place by default, so
+ * only the changed key, type or fields differ from the original text and the
+ * file's history in Overleaf stays readable.
+ */
+
+import { parseBibtexSource } from './bibtex-parser.js';
+
+// Fields are emitted in this order by formatEntry; others follow in their existing order
+const DEFAULT_FIELD_ORDER = [
+  'author', 'editor', 'collaboration', 'title', 'booktitle', 'journal',
+  'volume', 'number', 'pages', 'year', 'month', 'publisher', 'school',
+  'institution', 'address', 'edition', 'series', 'doi', 'eprint',
+  'archiveprefix', 'primaryclass', 'reportnumber', 'url', 'note',
+];
+
+// Fields whose values must never be wrapped across lines
+const NO_WRAP_FIELDS = new Set(['url', 'doi', 'eprint', 'file', 'pdf']);
+
+const DEFAULT_OPTIONS = {
+  fieldOrder: DEFAULT_FIELD_ORDER,
+  indent: '  ',
+  delimiter: 'braces',     // 'braces' or 'quotes'
+  lineWidth: 0,            // Wrap long values at this column; 0 disables wrapping
+  alignValues: false,      // Pad field names so the `=` signs line up
+  trailingComma: false,    // Emit a comma after the last field
+  preserveFormatting: true, // Patch modified entries instead of re-formatting them
+  macros: {},              // @string macros, needed to compare macro-valued fields
+};
+
+// INSPIRE document_type -> BibTeX entry type
+const DOCUMENT_TYPE_MAP = {
+  'article': 'article',
+  'conference paper': 'inproceedings',
+  'proceedings': 'proceedings',
+  'thesis': 'phdthesis',
+  'book': 'book',
+  'book chapter': 'inbook',
+  'report': 'techreport',
+  'note': 'misc',
+};
+
+/**
+ * Serialize a single entry
+ * @param {Object} entry - Parsed entry ({ entryType, citeKey, fields, raw? }) or a new one without `raw`
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {string} BibTeX source for the entry
+ */
+function serializeEntry(entry, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!entry.raw) {
+    return formatEntry(entry, opts);
+  }
+
+  const original = parseBibtexSource(entry.raw, { macros: opts.macros }).entries[0];
+  if (!original) {
+    return formatEntry(entry, opts);
+  }
+
+  if (!isModified(entry, original)) {
+    return entry.raw;
+  }
+
+  return opts.preserveFormatting ? patchEntry(entry, original, opts) : formatEntry(entry, opts);
+}
+
+/**
+ * Serialize several entries, separated by blank lines
+ */
+function serializeEntries(entries, options = {}) {
+  return entries.map(entry => serializeEntry(entry, options)).join('\n\n');
+}
+
+/**
+ * Re-emit a .bib file with some of its entries changed.
+ * Text outside the given entries (comments, @string, other entries) is kept as is.
+ * @param {string} source - Original .bib file content
+ * @param {Array<Object>} entries - Entries to write; parsed ones replace their original text
+ *   (matched by `start`/`end`), entries without a position are appended
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {string} Updated .bib content
+ */
+function updateBibtexSource(source, entries, options = {}) {
+  // Macro-valued fields only compare equal when the file's own @string macros are known
+  const opts = { macros: parseBibtexSource(source).strings, ...options };
+  const placed = entries
+    .filter(e => typeof e.start === 'number' && typeof e.end === 'number')
+    .sort((a, b) => b.start - a.start);
+  const appended = entries.filter(e => typeof e.start !== 'number');
+
+  let output = source;
+  for (const entry of placed) {
+    output = output.slice(0, entry.start) + serializeEntry(entry, opts) + output.slice(entry.end);
+  }
+
+  if (appended.length > 0) {
+    const separator = output.trim() === '' ? '' : (output.endsWith('\n') ? '\n' : '\n\n');
+    output += `${separator}${serializeEntries(appended, opts)}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Format an entry from scratch
+ * @param {Object} entry - { entryType, citeKey, fields }
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {string} BibTeX source
+ */
+function formatEntry(entry, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const names = orderFields(Object.keys(entry.fields || {}), opts.fieldOrder)
+    .filter(name => entry.fields[name] !== undefined && entry.fields[name] !== null);
+  const nameWidth = opts.alignValues ? Math.max(0, ...names.map(n => n.length)) : 0;
+
+  const lines = names.map((name, i) => {
+    const prefix = `${opts.indent}${name.padEnd(nameWidth)} = `;
+    const comma = i < names.length - 1 || opts.trailingComma ? ',' : '';
+    return `${prefix}${formatValue(String(entry.fields[name]), name, prefix.length, opts)}${comma}`;
+  });
+
+  const head = `@${entry.entryType || 'misc'}{${entry.citeKey}`;
+  return lines.length > 0 ? `${head},\n${lines.join('\n')}\n}` : `${head}}`;
+}
+
+/**
+ * Format a field value with delimiters, wrapping it if a line width is set
+ * @param {string} value - Field value
+ * @param {string} name - Field name (some fields are never wrapped)
+ * @param {number} column - Column at which the value starts
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ */
+function formatValue(value, name, column, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const [open, close] = opts.delimiter === 'quotes' && canQuote(value) ? ['"', '"'] : ['{', '}'];
+
+  if (!opts.lineWidth || NO_WRAP_FIELDS.has(name) || column + value.length + 2 <= opts.lineWidth) {
+    return `${open}${value}${close}`;
+  }
+
+  // Wrap at whitespace; continuation lines line up with the start of the value
+  const continuation = ' '.repeat(column + 1);
+  const lines = [];
+  let line = '';
+  for (const word of value.split(/\s+/).filter(Boolean)) {
+    if (line && column + 1 + line.length + 1 + word.length > opts.lineWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+
+  return `${open}${lines.join(`\n${continuation}`)}${close}`;
+}
+
+/**
+ * Convert a normalized INSPIRE document (see INSPIREClient.normalizeDocument) to an entry
+ * @param {Object} doc - Normalized document
+ * @param {Object} [options]
+ * @param {string} [options.citeKey] - Cite key; defaults to the INSPIRE texkey, then the recid
+ * @returns {Object} { entryType, citeKey, fields }
+ */
+function documentToEntry(doc, options = {}) {
+  const meta = doc._inspire || {};
+  const pubInfo = meta.publication_info?.[0] || {};
+  const arxiv = meta.arxiv_eprints?.[0];
+
+  const documentType = meta.document_type?.[0];
+  const entryType = DOCUMENT_TYPE_MAP[documentType] || (pubInfo.journal_title || !arxiv ? 'article' : 'misc');
+
+  const fields = {};
+  if (doc.author?.length) fields.author = doc.author.join(' and ');
+  if (meta.collaborations?.length) fields.collaboration = meta.collaborations.map(c => c.value).join(', ');
+  fields.title = `{${doc.title?.[0] || 'Untitled'}}`;
+  if (doc.pub) fields.journal = doc.pub;
+  if (pubInfo.journal_volume) fields.volume = pubInfo.journal_volume;
+  if (pubInfo.page_start) {
+    fields.pages = pubInfo.page_end ? `${pubInfo.page_start}--${pubInfo.page_end}` : pubInfo.page_start;
+  } else if (pubInfo.artid) {
+    fields.pages = pubInfo.artid;
+  }
+  if (doc.year) fields.year = String(doc.year);
+  if (doc.doi?.[0]) fields.doi = doc.doi[0];
+  if (doc.arxivId) {
+    fields.eprint = doc.arxivId;
+    fields.archiveprefix = 'arXiv';
+    if (arxiv?.categories?.[0]) fields.primaryclass = arxiv.categories[0];
+  }
+  if (meta.report_numbers?.length) fields.reportnumber = meta.report_numbers.map(r => r.value).join(', ');
+
+  return {
+    entryType,
+    citeKey: options.citeKey || meta.texkeys?.[0] || doc.recid,
+    fields,
+  };
+}
+
+/**
+ * Whether an entry differs from the entry parsed from its own raw text
+ */
+function isModified(entry, original) {
+  if (entry.citeKey !== original.citeKey) return true;
+  if ((entry.entryType || '').toLowerCase() !== original.entryType) return true;
+
+  const current = entry.fields || {};
+  const currentNames = Object.keys(current).filter(n => current[n] !== undefined && current[n] !== null);
+  const originalNames = Object.keys(original.fields);
+  if (currentNames.length !== originalNames.length) return true;
+
+  return currentNames.some(name => String(current[name]) !== original.fields[name]);
+}
+
+/**
+ * Apply an entry's changes to its original text, leaving everything else in place
+ */
+function patchEntry(entry, original, opts) {
+  const raw = entry.raw;
+  const current = entry.fields || {};
+  const edits = [];
+
+  // Entry type
+  if ((entry.entryType || '').toLowerCase() !== original.entryType) {
+    const typeMatch = /^@\s*([^\s{(]+)/.exec(raw);
+    const typeStart = typeMatch[0].length - typeMatch[1].length;
+    edits.push({ from: typeStart, to: typeMatch[0].length, text: entry.entryType });
+  }
+
+  // Cite key: first occurrence after the opening delimiter
+  const keyStart = raw.indexOf(original.citeKey, raw.indexOf(original.open) + 1);
+  const keyEnd = keyStart + original.citeKey.length;
+  if (entry.citeKey !== original.citeKey) {
+    edits.push({ from: keyStart, to: keyEnd, text: entry.citeKey });
+  }
+
+  // Indentation used by the existing fields
+  const indentMatch = /\n([ \t]+)\S/.exec(raw);
+  const indent = indentMatch ? indentMatch[1] : opts.indent;
+
+  // Changed and removed fields
+  const seen = new Set();
+  let previousEnd = keyEnd;
+  for (const field of original.fieldList) {
+    const fieldEnd = field.end;
+    if (seen.has(field.name)) {
+      previousEnd = fieldEnd;
+      continue;
+    }
+    seen.add(field.name);
+
+    const value = current[field.name];
+    if (value === undefined || value === null) {
+      // Drop the field together with the comma before it
+      edits.push({ from: previousEnd, to: fieldEnd, text: '' });
+    } else if (String(value) !== field.value) {
+      const valueStart = fieldEnd - field.rawValue.length;
+      const column = valueStart - raw.lastIndexOf('\n', valueStart - 1) - 1;
+      edits.push({ from: valueStart, to: fieldEnd, text: formatValue(String(value), field.name, column, opts) });
+    }
+    previousEnd = fieldEnd;
+  }
+
+  // New fields go after the last existing field
+  const added = orderFields(Object.keys(current), opts.fieldOrder)
+    .filter(name => !seen.has(name) && current[name] !== undefined && current[name] !== null);
+  if (added.length > 0) {
+    const text = added.map(name => {
+      const prefix = `${indent}${name} = `;
+      return `,\n${prefix}${formatValue(String(current[name]), name, prefix.length, opts)}`;
+    }).join('');
+    edits.push({ from: previousEnd, to: previousEnd, text });
+  }
+
+  return edits
+    .sort((a, b) => b.from - a.from)
+    .reduce((text, edit) => text.slice(0, edit.from) + edit.text + text.slice(edit.to), raw);
+}
+
+/**
+ * Sort field names: those in `order` first (in that order), then the rest as given
+ */
+function orderFields(names, order = DEFAULT_FIELD_ORDER) {
+  const rank = name => {
+    const index = order.indexOf(name.toLowerCase());
+    return index === -1 ? order.length : index;
+  };
+  return names
+    .map((name, i) => ({ name, i }))
+    .sort((a, b) => rank(a.name) - rank(b.name) || a.i - b.i)
+    .map(f => f.name);
+}
+
+/**
+ * A value can be quote-delimited if it has no `"` outside braces and balanced braces
+ */
+function canQuote(value) {
+  let depth = 0;
+  for (const ch of value) {
+    if (ch === '{') depth++;
+    else if (ch === '}' && --depth < 0) return false;
+    else if (ch === '"' && depth === 0) return false;
+  }
+  return depth === 0;
+}
+
+// ES Module exports
+export {
+  serializeEntry,
+  serializeEntries,
+  updateBibtexSource,
+  formatEntry,
+  formatValue,
+  documentToEntry,
+  DEFAULT_FIELD_ORDER,
+};
@@ -0,0 +1,138 @@
+/**
+ * Project Citation Scan
+ *
+ * Finds every citation in a project's .tex files and checks it against the
+ * entries of its .bib files: keys cited but not defined, entries never
+ * cited, and keys defined more than once.
+ */
+
+import { BibtexUtils } from './shared-import.js';
+import { stripComments } from './cite-commands.js';
+import { isTexkey } from './bibtex-resolver.js';
+
+// CITE_COMMAND_PATTERN of content/overleaf-injector.js, with the command name captured
+const CITE_COMMAND_PATTERN = /\\([a-zA-Z]*cite[a-zA-Z]*)\*?\s*(?:\[[^\]]*\]\s*){0,2}\{([^{}]*)\}/g;
+
+// Commands matching CITE_COMMAND_PATTERN whose argument is not a list of keys
+const NON_CITE_COMMANDS = new Set(['citestyle', 'citetext']);
+
+// Leading author name and year of a hand-made key (Maldacena1997, witten_1998a, ...)
+const AUTHOR_YEAR_KEY = /^([A-Za-z][A-Za-z'-]*?)[-_:.]?((?:18|19|20)\d{2})(?![0-9])/;
+
+/**
+ * @typedef {Object} KeyLocation
+ * @property {string} file - File name
+ * @property {number} line - 1-based line
+ */
+
+/**
+ * Find the keys cited in a .tex file, skipping comments
+ * @param {string} tex - File content
+ * @returns {Array<{key: string, command: string, line: number}>} In source order.
+ *   `\nocite{*}` gives the key `*`.
+ */
+function extractCitations(tex) {
+  if (!tex) return [];
+
+  const source = stripComments(tex);
+  const citations = [];
+  let line = 1;
+  let lineFrom = 0;
+
+  for (const match of source.matchAll(CITE_COMMAND_PATTERN)) {
+    const command = match[1];
+    if (NON_CITE_COMMANDS.has(command)) continue;
+
+    for (; lineFrom < match.index; lineFrom++) {
+      if (source[lineFrom] === '\n') line++;
+    }
+
+    for (const key of match[2].split(',').map(k => k.trim()).filter(Boolean)) {
+      citations.push({ key, command: `\\${command}`, line });
+    }
+  }
+  return citations;
+}
+
+/**
+ * Check the citations of a project against its bibliography
+ * @param {Object} files
+ * @param {Array<{name: string, content: string}>} files.texFiles
+ * @param {Array<{name: string, content: string}>} files.bibFiles
+ * @returns {{
+ *   cited: number,
+ *   entries: number,
+ *   citesAll: boolean,
+ *   missing: Array<{key: string, texkey: boolean, locations: Array<KeyLocation>}>,
+ *   unused: Array<{key: string, file: string, line: number}>,
+ *   duplicates: Array<{key: string, locations: Array<KeyLocation>}>,
+ *   errors: Array<{file: string, message: string}>
+ * }} Missing keys in order of first citation, unused entries in file order,
+ *   duplicates by key. With `\nocite{*}` no entry is reported unused.
+ */
+function scanProject({ texFiles = [], bibFiles = [] }) {
+  const citations = new Map();
+  let citesAll = false;
+  for (const file of texFiles) {
+    for (const { key, line } of extractCitations(file.content)) {
+      if (key === '*') {
+        citesAll = true;
+        continue;
+      }
+      if (!citations.has(key)) citations.set(key, []);
+      citations.get(key).push({ file: file.name, line });
+    }
+  }
+
+  const definitions = new Map();
+  const errors = [];
+  for (const file of bibFiles) {
+    const { entries, errors: parseErrors } = BibtexUtils.parseBibtexDocument(file.content || '');
+    for (const entry of entries) {
+      if (!definitions.has(entry.citeKey)) definitions.set(entry.citeKey, []);
+      definitions.get(entry.citeKey).push({ file: file.name, line: entry.line });
+    }
+    errors.push(...parseErrors.map(error => ({ file: file.name, message: error.message })));
+  }
+
+  const missing = [...citations]
+    .filter(([key]) => !definitions.has(key))
+    .map(([key, locations]) => ({ key, texkey: isTexkey(key), locations }));
+
+  const unused = citesAll ? [] : [...definitions]
+    .filter(([key]) => !citations.has(key))
+    .map(([key, locations]) => ({ key, ...locations[0] }));
+
+  const duplicates = [...definitions]
+    .filter(([, locations]) => locations.length > 1)
+    .map(([key, locations]) => ({ key, locations }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  return {
+    cited: citations.size,
+    entries: definitions.size,
+    citesAll,
+    missing,
+    unused,
+    duplicates,
+    errors,
+  };
+}
+
+/**
+ * How to find the paper an undefined key stands for on INSPIRE
+ * @param {string} key
+ * @returns {{texkey: string}|{query: string}|null} A texkey to look up
+ *   exactly, a search for the author and year a hand-made key starts with,
+ *   or null if the key says nothing searchable
+ */
+function keyLookup(key) {
+  if (isTexkey(key)) return { texkey: key };
+
+  const match = key.match(AUTHOR_YEAR_KEY);
+  if (!match || match[1].length < 2) return null;
+  return { query: `a ${match[1]} and date ${match[2]}` };
+}
+
+// ES Module exports
+export { extractCitations, scanProject, keyLookup };
@@ -0,0 +1,79 @@
+/**
+ * Citation Commands
+ *
+ * The commands offered by the cite picker, and the default suggested for a
+ * project from the citation package its preamble loads.
+ */
+
+// Commands offered by the cite picker, in menu order
+const CITE_COMMANDS = [
+  '\\cite',
+  '\\citep',
+  '\\citet',
+  '\\citeauthor',
+  '\\parencite',
+  '\\textcite',
+  '\\autocite',
+];
+
+// Citation package -> suggested default command
+const PACKAGE_COMMANDS = {
+  natbib: '\\citep',
+  biblatex: '\\autocite',
+};
+
+// Document classes that load natbib themselves (revtex4-2, aastex631, mnras, ...)
+const NATBIB_CLASSES = /^(?:revtex4|aastex|mnras)/;
+
+/**
+ * Remove LaTeX comments, keeping escaped percent signs
+ * @param {string} tex
+ * @returns {string}
+ */
+function stripComments(tex) {
+  return tex.replace(/(^|[^\\])%.*$/gm, '$1');
+}
+
+/**
+ * Find the citation package loaded by a .tex preamble
+ * @param {string} tex - Source of the main .tex file (only the preamble is read)
+ * @returns {'natbib'|'biblatex'|null} null if neither is loaded
+ */
+function detectCitationPackage(tex) {
+  if (!tex) return null;
+
+  let preamble = stripComments(tex);
+  const bodyStart = preamble.indexOf('\\begin{document}');
+  if (bodyStart !== -1) preamble = preamble.slice(0, bodyStart);
+
+  const packages = [];
+  const usePackage = /\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g;
+  for (const match of preamble.matchAll(usePackage)) {
+    packages.push(...match[1].split(',').map(name => name.trim()));
+  }
+
+  if (packages.includes('biblatex')) return 'biblatex';
+  if (packages.includes('natbib')) return 'natbib';
+
+  const documentClass = preamble.match(/\\documentclass\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/);
+  if (documentClass && NATBIB_CLASSES.test(documentClass[1].trim())) return 'natbib';
+
+  return null;
+}
+
+/**
+ * Suggest a default citation command for a project
+ * @param {string} tex - Source of the main .tex file
+ * @returns {{package: string|null, command: string|null}} command is null
+ *   when no citation package was detected
+ */
+function suggestCiteCommand(tex) {
+  const citationPackage = detectCitationPackage(tex);
+  return {
+    package: citationPackage,
+    command: citationPackage ? PACKAGE_COMMANDS[citationPackage] : null,
+  };
+}
+
+// ES Module exports
+export { CITE_COMMANDS, detectCitationPackage, suggestCiteCommand, stripComments };
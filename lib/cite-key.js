@@ -0,0 +1,300 @@
+/**
+ * Citation Key Templates
+ *
+ * Builds cite keys for INSPIRE records from a template of fields and literal
+ * text, e.g.
+ *   `{auth}{year}{title:1}`       -> `Maldacena1997Large`
+ *   `{auth:lower}:{year}{suffix}` -> `maldacena:1997`, `maldacena:1997a`, ...
+ *   `{texkey}`                    -> `Maldacena:1997re`
+ *
+ * A field is `{name}` or `{name:modifier:...}`. Modifiers are a number
+ * (words of the title, names for `authors`, otherwise leading characters)
+ * and `lower` / `upper`. `{suffix}` marks where `a`, `b`, `c`, ... go when a
+ * key is already taken; without it they are appended.
+ */
+
+const DEFAULT_KEY_TEMPLATE = '{texkey}';
+
+// Record used for the live preview in the settings page
+const SAMPLE_DOCUMENT = {
+  recid: '452933',
+  title: ['The Large N limit of superconformal field theories and supergravity'],
+  author: ['Maldacena, Juan Martin'],
+  year: 1997,
+  pub: 'Adv. Theor. Math. Phys.',
+  arxivId: 'hep-th/9711200',
+  _inspire: { texkeys: ['Maldacena:1997re'] },
+};
+
+// Words skipped by {title}
+const TITLE_STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'of', 'on', 'or', 'the', 'to', 'via', 'with',
+]);
+
+// Characters removed from keys: everything BibTeX or LaTeX would choke on
+const INVALID_KEY_CHARS = /[^A-Za-z0-9_:.+-]/g;
+
+// Field name -> (doc, count) => value
+const KEY_FIELDS = {
+  auth: (doc, count) => truncate(firstAuthorName(doc), count),
+  authors: (doc, count = 3) => {
+    const names = (doc.author || []).map(lastName).filter(Boolean);
+    if (names.length === 0) return firstAuthorName(doc);
+    return names.slice(0, count).join('') + (names.length > count ? 'EtAl' : '');
+  },
+  year: (doc, count) => truncate(String(doc.year || ''), count),
+  shortyear: doc => String(doc.year || '').slice(-2),
+  title: (doc, count = 1) => titleWords(doc).slice(0, count).join(''),
+  journal: (doc, count) => truncate(asciiOnly(doc.pub || '').replace(/[^A-Za-z0-9]/g, ''), count),
+  arxiv: doc => (doc.arxivId || '').replace(/^arXiv:/i, ''),
+  recid: doc => String(doc.recid || ''),
+  // Records without a texkey fall back to INSPIRE's own Author:Year form
+  texkey: doc => doc.texkey || doc._inspire?.texkeys?.[0] || `${firstAuthorName(doc)}:${doc.year || ''}`,
+  suffix: () => '',
+};
+
+const CASE_MODIFIERS = {
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase(),
+};
+
+class KeyTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyTemplateError';
+  }
+}
+
+/**
+ * Split a template into literal text and fields
+ * @param {string} template
+ * @returns {Array<{literal: string}|{field: string, count: number|undefined, transforms: Array<string>}>}
+ * @throws {KeyTemplateError} On unknown fields or modifiers and unbalanced braces
+ */
+function parseKeyTemplate(template) {
+  if (!template || !template.trim()) {
+    throw new KeyTemplateError('Template is empty');
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of template.matchAll(/\{([^{}]*)\}/g)) {
+    if (match.index > last) parts.push(parseLiteral(template.slice(last, match.index)));
+    parts.push(parseField(match[1]));
+    last = match.index + match[0].length;
+  }
+  if (last < template.length) parts.push(parseLiteral(template.slice(last)));
+
+  if (!parts.some(part => part.field && part.field !== 'suffix')) {
+    throw new KeyTemplateError('Template has no fields, so every key would be the same');
+  }
+  return parts;
+}
+
+function parseLiteral(text) {
+  if (/[{}]/.test(text)) {
+    throw new KeyTemplateError('Unbalanced braces');
+  }
+  return { literal: text.replace(INVALID_KEY_CHARS, '') };
+}
+
+function parseField(spec) {
+  const [name, ...modifiers] = spec.split(':').map(s => s.trim());
+  if (!Object.hasOwn(KEY_FIELDS, name)) {
+    throw new KeyTemplateError(`Unknown field {${name}}`);
+  }
+
+  const field = { field: name, count: undefined, transforms: [] };
+  for (const modifier of modifiers) {
+    if (/^\d+$/.test(modifier) && Number(modifier) > 0) {
+      field.count = Number(modifier);
+    } else if (Object.hasOwn(CASE_MODIFIERS, modifier)) {
+      field.transforms.push(modifier);
+    } else {
+      throw new KeyTemplateError(`Unknown modifier "${modifier}" in {${spec}}`);
+    }
+  }
+  return field;
+}
+
+/**
+ * Build the cite key for a document
+ * @param {Object} doc - Normalized INSPIRE document (see INSPIREClient.normalizeDocument)
+ * @param {string} [template]
+ * @param {string} [suffix] - Disambiguation suffix (`a`, `b`, ...)
+ * @returns {string}
+ * @throws {KeyTemplateError} If the template is invalid
+ */
+function formatCiteKey(doc, template = DEFAULT_KEY_TEMPLATE, suffix = '') {
+  const parts = parseKeyTemplate(template);
+  const hasSuffixField = parts.some(part => part.field === 'suffix');
+
+  const key = parts.map(part => {
+    if (part.literal !== undefined) return part.literal;
+    if (part.field === 'suffix') return suffix;
+
+    const value = KEY_FIELDS[part.field](doc, part.count);
+    return part.transforms
+      .reduce((v, transform) => CASE_MODIFIERS[transform](v), value)
+      .replace(INVALID_KEY_CHARS, '');
+  }).join('');
+
+  return hasSuffixField ? key : key + suffix;
+}
+
+/**
+ * Build a cite key that is not in `takenKeys`, adding `a`, `b`, ..., `z`,
+ * `aa`, ... as needed
+ * @param {Object} doc - Normalized INSPIRE document
+ * @param {string} template
+ * @param {Set<string>|Array<string>} takenKeys - Keys already used in the .bib
+ * @returns {string}
+ */
+function uniqueCiteKey(doc, template, takenKeys) {
+  const taken = takenKeys instanceof Set ? takenKeys : new Set(takenKeys);
+  for (let n = 0; ; n++) {
+    const key = formatCiteKey(doc, template, suffixFor(n));
+    if (!taken.has(key)) return key;
+  }
+}
+
+/**
+ * Give each document a `citeKey`: the key of its entry if the .bib already
+ * has the paper, otherwise one built from the template that does not clash
+ * with the .bib, another document in the list or `takenKeys`. An invalid template
+ * falls back to the default.
+ * @param {Array<Object>} documents - Normalized INSPIRE documents
+ * @param {Object} [options]
+ * @param {string} [options.template]
+ * @param {Array<Object>} [options.papers] - Entries of the loaded .bib (see BibtexUtils.toDisplayEntry)
+ * @param {Object<string, Object>} [options.resolutions] - citeKey -> INSPIRE match of .bib entries
+ * @param {Array<string>} [options.takenKeys] - Keys of documents already shown
+ *   alongside these, e.g. earlier pages of the same search
+ * @returns {Array<Object>} Copies of the documents with `citeKey` set
+ */
+function assignCiteKeys(documents, options = {}) {
+  const { papers = [], resolutions = {}, takenKeys = [] } = options;
+  let template = options.template || DEFAULT_KEY_TEMPLATE;
+  try {
+    parseKeyTemplate(template);
+  } catch (error) {
+    console.warn(`Invalid cite key template "${template}", using the default:`, error.message);
+    template = DEFAULT_KEY_TEMPLATE;
+  }
+
+  const taken = new Set([...papers.map(p => p.citeKey), ...takenKeys]);
+  return documents.map(doc => {
+    // References INSPIRE has not linked to a record are not citable
+    if (doc.unlinked) return doc;
+
+    const local = findLocalEntry(papers, doc, resolutions);
+    if (local) return { ...doc, citeKey: local.citeKey };
+
+    // Keys handed out in this pass are taken too: the documents may be added together
+    const citeKey = uniqueCiteKey(doc, template, taken);
+    taken.add(citeKey);
+    return { ...doc, citeKey };
+  });
+}
+
+/**
+ * The .bib entry for the same paper as an INSPIRE document, recognized by
+ * its INSPIRE match, its key being one of the record's texkeys, arXiv ID or DOI
+ */
+function findLocalEntry(papers, doc, resolutions) {
+  const arxivId = normalizeArxivId(doc.arxivId);
+  const doi = doc.doi?.[0]?.toLowerCase();
+  const texkeys = new Set([doc.texkey, ...(doc._inspire?.texkeys || [])].filter(Boolean));
+
+  return papers.find(paper => {
+    const resolution = resolutions[paper.citeKey];
+    if (doc.recid && resolution?.recid && resolution.status !== 'rejected') {
+      return String(resolution.recid) === String(doc.recid);
+    }
+    return texkeys.has(paper.citeKey) ||
+      (arxivId && normalizeArxivId(paper.arxivId) === arxivId) ||
+      (doi && paper.doi?.[0]?.toLowerCase() === doi);
+  }) || null;
+}
+
+/**
+ * The entry of a BibTeX export that belongs to a record, recognized by its
+ * key, arXiv ID or DOI. INSPIRE does not return a multi-record export in the
+ * order the records were asked for, so position is never used.
+ * @param {Array<Object>} entries - Parsed entries of the export (see BibtexUtils.parseBibtexDocument)
+ * @param {Object} record
+ * @param {Array<string>} [record.keys] - Keys the entry may have: cite key, texkeys
+ * @param {string} [record.arxivId]
+ * @param {string} [record.doi]
+ * @returns {Object|null}
+ */
+function findExportEntry(entries, { keys = [], arxivId, doi }) {
+  const byKey = entries.find(entry => keys.includes(entry.citeKey));
+  if (byKey) return byKey;
+
+  const arxiv = normalizeArxivId(arxivId);
+  const lowerDoi = doi?.toLowerCase();
+  return entries.find(entry =>
+    (arxiv && normalizeArxivId(entry.fields.eprint) === arxiv) ||
+    (lowerDoi && entry.fields.doi?.toLowerCase() === lowerDoi)
+  ) || null;
+}
+
+// 0 -> '', 1 -> 'a', 26 -> 'z', 27 -> 'aa', ...
+function suffixFor(n) {
+  let suffix = '';
+  while (n > 0) {
+    n--;
+    suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+    n = Math.floor(n / 26);
+  }
+  return suffix;
+}
+
+function normalizeArxivId(arxivId) {
+  return arxivId ? arxivId.trim().replace(/^arXiv:/i, '').replace(/v\d+$/, '').toLowerCase() : '';
+}
+
+function asciiOnly(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+}
+
+// "Last, First" or "First Last" -> "Last", letters and digits only
+function lastName(name) {
+  if (!name) return '';
+  const last = name.includes(',') ? name.split(',')[0] : name.trim().split(/\s+/).pop();
+  return asciiOnly(last).replace(/[^A-Za-z0-9]/g, '');
+}
+
+// Collaboration papers are keyed by the collaboration, as INSPIRE texkeys are
+function firstAuthorName(doc) {
+  const collaboration = doc._inspire?.collaborations?.[0]?.value;
+  if (collaboration) return asciiOnly(collaboration).replace(/[^A-Za-z0-9]/g, '');
+  return lastName(doc.author?.[0]) || 'Unknown';
+}
+
+function titleWords(doc) {
+  const title = Array.isArray(doc.title) ? doc.title[0] : doc.title;
+  return asciiOnly(title || '')
+    .replace(/\$[^$]*\$/g, ' ')
+    .replace(/\\[a-zA-Z]+/g, ' ')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(word => word && !TITLE_STOPWORDS.has(word.toLowerCase()))
+    .map(word => word[0].toUpperCase() + word.slice(1));
+}
+
+function truncate(value, count) {
+  return count ? value.slice(0, count) : value;
+}
+
+// ES Module exports
+export {
+  formatCiteKey,
+  uniqueCiteKey,
+  assignCiteKeys,
+  findExportEntry,
+  parseKeyTemplate,
+  KeyTemplateError,
+  DEFAULT_KEY_TEMPLATE,
+  SAMPLE_DOCUMENT,
+};
@@ -5,6 +5,9 @@
  * API Documentation: https://github.com/inspirehep/rest-api-doc
  */
 
+import { cacheKey } from './response-cache.js';
+import { formatCiteKey } from './cite-key.js';
+
 const INSPIRE_API_BASE = 'https://inspirehep.net/api';
 
 // Rate limiting configuration
@@ -16,6 +19,9 @@ const RATE_LIMIT = {
   maxRetries: 3         // Max retry attempts
 };
 
+// Records fetched per `recid:a or recid:b` search
+const RECID_BATCH_SIZE = 50;
+
 // Simple rate limiter
 const rateLimiter = {
   requests: [],
@@ -36,15 +42,77 @@ const rateLimiter = {
   }
 };
 
+/**
+ * Endpoint type of an API path, used to pick the response cache TTL
+ * @param {string} endpoint - Path plus query string
+ * @returns {'bibtex'|'search'|'record'|'doi'|'arxiv'|'other'}
+ */
+function endpointType(endpoint) {
+  const [path, query = ''] = endpoint.split('?');
+  if (new URLSearchParams(query).get('format') === 'bibtex') return 'bibtex';
+  if (path === '/literature') return 'search';
+  if (/^\/literature\/\d+$/.test(path)) return 'record';
+  if (path.startsWith('/doi/')) return 'doi';
+  if (path.startsWith('/arxiv/')) return 'arxiv';
+  return 'other';
+}
+
+/**
+ * Record ID from a JSON reference such as
+ * `{ $ref: 'https://inspirehep.net/api/literature/4328' }`
+ * @returns {string|null}
+ */
+function recidFromRef(record) {
+  const match = record?.$ref?.match(/\/literature\/(\d+)$/);
+  return match ? match[1] : null;
+}
+
 class INSPIREClient {
-  constructor() {
-    // No authentication needed for INSPIRE
+  /**
+   * No authentication needed for INSPIRE
+   * @param {Object} [options]
+   * @param {ResponseCache} [options.cache] - Cache for GET responses (see lib/response-cache.js)
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+  }
+
+  /**
+   * Make a request to the INSPIRE API, answering GET requests from the
+   * response cache when possible. 404s are cached too, so identifiers that
+   * INSPIRE does not know are not looked up again on every resolution.
+   */
+  async request(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (!this.cache || method !== 'GET') {
+      return this.fetchWithRetry(endpoint, options);
+    }
+
+    const key = cacheKey(endpoint);
+    const cached = await this.cache.get(key);
+    if (cached) {
+      if (cached.status === 404) {
+        throw new INSPIREError('HTTP 404: Not Found', 404);
+      }
+      return cached.body;
+    }
+
+    try {
+      const body = await this.fetchWithRetry(endpoint, options);
+      await this.cache.set(key, { body }, endpointType(endpoint));
+      return body;
+    } catch (error) {
+      if (error instanceof INSPIREError && error.status === 404) {
+        await this.cache.set(key, { status: 404 }, 'notFound');
+      }
+      throw error;
+    }
   }
 
   /**
-   * Make a request to the INSPIRE API with rate limiting and retry
+   * Fetch from the INSPIRE API with rate limiting and retry
    */
-  async request(endpoint, options = {}, retryCount = 0) {
+  async fetchWithRetry(endpoint, options = {}, retryCount = 0) {
     // Apply rate limiting
     await rateLimiter.throttle();
 
@@ -71,7 +139,7 @@ class INSPIREClient {
         if (response.status === 429 && retryCount < RATE_LIMIT.maxRetries) {
           const retryAfter = parseInt(response.headers.get('Retry-After') || '5', 10) * 1000;
           await new Promise(resolve => setTimeout(resolve, retryAfter));
-          return this.request(endpoint, options, retryCount + 1);
+          return this.fetchWithRetry(endpoint, options, retryCount + 1);
         }
 
         throw new INSPIREError(
@@ -97,7 +165,7 @@ class INSPIREClient {
       // Retry on network errors
       if (retryCount < RATE_LIMIT.maxRetries && error.name !== 'AbortError') {
         await new Promise(resolve => setTimeout(resolve, RATE_LIMIT.retryAfterMs));
-        return this.request(endpoint, options, retryCount + 1);
+        return this.fetchWithRetry(endpoint, options, retryCount + 1);
       }
 
       throw new INSPIREError(`Network error: ${error.message}`, 0);
@@ -118,7 +186,7 @@ class INSPIREClient {
       size: size.toString(),
       page: page.toString(),
       sort: sort,
-      fields: 'control_number,titles,authors,publication_info,dois,arxiv_eprints,abstracts,citation_count,earliest_date'
+      fields: 'control_number,texkeys,titles,authors,publication_info,dois,arxiv_eprints,abstracts,citation_count,earliest_date'
     });
 
     const data = await this.request(`/literature?${params}`);
@@ -166,6 +234,29 @@ class INSPIREClient {
     return bibtex;
   }
 
+  /**
+   * Get the texkeys of records: the keys INSPIRE gives their BibTeX entries
+   * @param {Array<string|number>} recids - INSPIRE record IDs
+   * @returns {Promise<Map<string, Array<string>>>} recid -> texkeys, primary first
+   */
+  async getTexkeys(recids) {
+    const texkeys = new Map();
+    for (let i = 0; i < recids.length; i += RECID_BATCH_SIZE) {
+      const batch = recids.slice(i, i + RECID_BATCH_SIZE);
+      const params = new URLSearchParams({
+        q: batch.map(id => `recid:${id}`).join(' or '),
+        size: batch.length.toString(),
+        fields: 'control_number,texkeys'
+      });
+
+      const data = await this.request(`/literature?${params}`);
+      for (const hit of data.hits?.hits || []) {
+        texkeys.set(String(hit.metadata.control_number), hit.metadata.texkeys || []);
+      }
+    }
+    return texkeys;
+  }
+
   /**
    * Lookup a record by DOI
    * @param {string} doi - DOI (e.g., "10.1103/PhysRevLett.116.061102")
@@ -191,8 +282,7 @@ class INSPIREClient {
    */
   async lookupByArxiv(arxivId) {
     try {
-      // Clean arXiv ID - remove "arXiv:" prefix if present
-      const cleanId = arxivId.replace(/^arXiv:/i, '').replace(/v\d+$/, '');
+      const cleanId = cleanArxivId(arxivId);
       const data = await this.request(`/arxiv/${encodeURIComponent(cleanId)}`);
       if (data.metadata) {
         return this.normalizeDocument({ metadata: data.metadata });
@@ -204,6 +294,64 @@ class INSPIREClient {
     }
   }
 
+  /**
+   * Look up several records by DOI, arXiv ID and texkey in one search
+   * (`doi:"..." or arxiv:... or texkey:"..."`). Identifiers INSPIRE does not know are left out.
+   * @param {Object} ids
+   * @param {Array<string>} [ids.dois] - DOIs
+   * @param {Array<string>} [ids.arxivIds] - arXiv IDs, with or without "arXiv:" prefix and version
+   * @param {Array<string>} [ids.texkeys] - INSPIRE texkeys, e.g. `Maldacena:1997re`
+   * @returns {Promise<{byDoi: Map<string, Object>, byArxiv: Map<string, Object>, byTexkey: Map<string, Object>}>}
+   *   Normalized documents keyed by the identifiers as passed in
+   */
+  async lookupBatch({ dois = [], arxivIds = [], texkeys = [] }) {
+    const byDoi = new Map();
+    const byArxiv = new Map();
+    const byTexkey = new Map();
+
+    const clauses = [
+      ...dois.map(doi => `doi:"${doi.replace(/"/g, '')}"`),
+      ...arxivIds.map(id => `arxiv:${cleanArxivId(id)}`),
+      ...texkeys.map(key => `texkey:"${key.replace(/"/g, '')}"`),
+    ];
+    if (clauses.length === 0) {
+      return { byDoi, byArxiv, byTexkey };
+    }
+
+    const { documents } = await this.search(clauses.join(' or '), clauses.length);
+
+    // Index every DOI, eprint and texkey of each record, not just the first
+    const docsByDoi = new Map();
+    const docsByArxiv = new Map();
+    const docsByTexkey = new Map();
+    for (const doc of documents) {
+      for (const { value } of doc._inspire.dois || []) {
+        docsByDoi.set(value.toLowerCase(), doc);
+      }
+      for (const { value } of doc._inspire.arxiv_eprints || []) {
+        docsByArxiv.set(value, doc);
+      }
+      for (const texkey of doc._inspire.texkeys || []) {
+        docsByTexkey.set(texkey, doc);
+      }
+    }
+
+    for (const doi of dois) {
+      const doc = docsByDoi.get(doi.toLowerCase());
+      if (doc) byDoi.set(doi, doc);
+    }
+    for (const id of arxivIds) {
+      const doc = docsByArxiv.get(cleanArxivId(id));
+      if (doc) byArxiv.set(id, doc);
+    }
+    for (const key of texkeys) {
+      const doc = docsByTexkey.get(key);
+      if (doc) byTexkey.set(key, doc);
+    }
+
+    return { byDoi, byArxiv, byTexkey };
+  }
+
   /**
    * Get a single record by recid
    * @param {string|number} recid - INSPIRE record ID
@@ -214,6 +362,77 @@ class INSPIREClient {
     return this.normalizeDocument(data);
   }
 
+  /**
+   * Get the reference list of a record, in citation order. References INSPIRE
+   * has linked to a record come back as full documents (fetched in batches of
+   * `recid:` searches); the rest are built from the reference metadata and
+   * have no recid (`unlinked: true`).
+   * @param {string|number} recid - INSPIRE record ID
+   * @returns {Promise<{documents: Array, numFound: number}>}
+   */
+  async getReferences(recid) {
+    const data = await this.request(`/literature/${recid}?fields=references`);
+    const references = data.metadata?.references || [];
+
+    const refRecids = references.map(ref => recidFromRef(ref.record));
+    const linked = [...new Set(refRecids.filter(Boolean))];
+
+    const byRecid = new Map();
+    for (let i = 0; i < linked.length; i += RECID_BATCH_SIZE) {
+      const batch = linked.slice(i, i + RECID_BATCH_SIZE);
+      const query = batch.map(id => `recid:${id}`).join(' or ');
+      const { documents } = await this.search(query, batch.length);
+      documents.forEach(doc => byRecid.set(doc.recid, doc));
+    }
+
+    const documents = references.map((ref, index) =>
+      byRecid.get(refRecids[index]) || this.normalizeReference(ref.reference || {})
+    );
+    return { documents, numFound: documents.length };
+  }
+
+  /**
+   * Get the records citing a record (`refersto:recid:`)
+   * @param {string|number} recid - INSPIRE record ID
+   * @param {number} page - Page number (1-indexed)
+   * @param {number} size - Results per page
+   * @param {string} sort - Sort order ('mostrecent', 'mostcited')
+   * @returns {Promise<{documents: Array, numFound: number}>}
+   */
+  async getCitations(recid, page = 1, size = 25, sort = 'mostcited') {
+    return this.search(`refersto:recid:${recid}`, size, page, sort);
+  }
+
+  /**
+   * Normalize an entry of a record's `references` that INSPIRE has not linked
+   * to a record, in the same shape as normalizeDocument
+   * @param {Object} reference - The `reference` object of a references entry
+   * @returns {Object} Document without a recid
+   */
+  normalizeReference(reference) {
+    const pubInfo = reference.publication_info || {};
+    const doi = reference.dois?.[0] || null;
+    const arxivId = reference.arxiv_eprint || null;
+    const title = reference.title?.title || reference.misc?.join(' ') || 'Untitled';
+
+    return {
+      bibcode: '',
+      recid: '',
+      title: [title],
+      author: (reference.authors || []).map(a => a.full_name).filter(Boolean),
+      year: pubInfo.year || null,
+      pub: pubInfo.journal_title || null,
+      volume: pubInfo.journal_volume || null,
+      page: pubInfo.page_start || pubInfo.artid || null,
+      published: Boolean(pubInfo.journal_title),
+      doi: doi ? [doi] : undefined,
+      arxivId: arxivId,
+      texkey: null,
+      identifier: this.buildIdentifiers('', doi, arxivId),
+      unlinked: true,
+    };
+  }
+
   /**
    * Normalize INSPIRE document format to internal format
    * @param {Object} hit - Raw INSPIRE API response hit
@@ -254,10 +473,12 @@ class INSPIREClient {
     // Extract arXiv ID
     const arxivEprint = meta.arxiv_eprints?.[0];
     const arxivId = arxivEprint?.value || null;
+    const arxivCategory = arxivEprint?.categories?.[0] || null;
 
-    // Extract journal/venue
-    const pubInfo = meta.publication_info?.[0];
+    // Extract journal/venue, preferring the journal publication over e.g. a proceedings entry
+    const pubInfo = meta.publication_info?.find(p => p.journal_title) || meta.publication_info?.[0];
     const venue = pubInfo?.journal_title || pubInfo?.pubinfo_freetext || null;
+    const page = pubInfo?.page_start || pubInfo?.artid || null;
 
     // Extract abstract
     const abstract = meta.abstracts?.[0]?.value || null;
@@ -273,9 +494,15 @@ class INSPIREClient {
       author: authors,
       year: year,
       pub: venue,
+      volume: pubInfo?.journal_volume || null,
+      page: page,
+      published: Boolean(pubInfo?.journal_title),
       abstract: abstract,
       doi: doi ? [doi] : undefined,
       arxivId: arxivId,
+      arxivCategory: arxivCategory,
+      // Primary texkey: the key of the record's INSPIRE BibTeX, e.g. Maldacena:1997re
+      texkey: meta.texkeys?.[0] || null,
       identifier: this.buildIdentifiers(recid, doi, arxivId),
       citation_count: meta.citation_count || 0,
       // Keep original metadata for reference
@@ -296,16 +523,21 @@ class INSPIREClient {
 
   /**
    * Convert a normalized document to a citable key
-   * Uses INSPIRE's preferred key format: AuthorYear
+   * @param {Object} doc - Normalized document
+   * @param {string} [template] - Key template (see cite-key.js); defaults to the INSPIRE texkey
    */
-  generateCiteKey(doc) {
-    const firstAuthor = doc.author?.[0] || 'Unknown';
-    const lastName = firstAuthor.split(',')[0].replace(/[^a-zA-Z]/g, '');
-    const year = doc.year || '';
-    return `${lastName}:${year}${doc.recid}`;
+  generateCiteKey(doc, template) {
+    return formatCiteKey(doc, template);
   }
 }
 
+/**
+ * Bare arXiv ID: without "arXiv:" prefix or version suffix
+ */
+function cleanArxivId(arxivId) {
+  return arxivId.trim().replace(/^arXiv:/i, '').replace(/v\d+$/, '');
+}
+
 class INSPIREError extends Error {
   constructor(message, status) {
     super(message);
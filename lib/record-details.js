@@ -0,0 +1,324 @@
+/**
+ * Record Details
+ *
+ * Builds the expandable detail view of a paper from its INSPIRE record:
+ * abstract, full author list with affiliations, keywords, report numbers,
+ * collaborations and links. LaTeX in titles and abstracts is rendered as
+ * readable Unicode text (`$\alpha_s(m_Z^2)$` -> `αₛ(m_Z²)`), since the
+ * sidebar has no math renderer.
+ */
+
+// Symbol commands, in and out of math mode
+const LATEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+  zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+  lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+  tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  longrightarrow: '⟶', mapsto: '↦',
+  times: '×', pm: '±', mp: '∓', cdot: '·', div: '÷', ast: '∗', star: '⋆',
+  sim: '∼', simeq: '≃', approx: '≈', cong: '≅', equiv: '≡', propto: '∝',
+  lesssim: '≲', gtrsim: '≳', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+  ll: '≪', gg: '≫', neq: '≠', ne: '≠',
+  infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', prime: '′',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', langle: '⟨', rangle: '⟩',
+  dagger: '†', perp: '⊥', parallel: '∥', in: '∈', subset: '⊂', otimes: '⊗',
+  oplus: '⊕', odot: '⊙', circ: '∘', degree: '°', ldots: '…', dots: '…', cdots: '⋯',
+  sqrt: '√', surd: '√',
+  '%': '%', '&': '&', '_': '_', '#': '#', '$': '$', '{': '{', '}': '}',
+};
+
+// Commands whose argument is kept as is (fonts, text in math)
+const LATEX_WRAPPERS = new Set([
+  'mathrm', 'mathit', 'mathbf', 'mathcal', 'mathsf', 'mathtt', 'mathbb', 'boldsymbol',
+  'text', 'textrm', 'textit', 'textbf', 'textsc', 'texttt', 'emph', 'operatorname', 'mbox', 'rm',
+]);
+
+// Accents, rendered with combining characters
+const LATEX_ACCENTS = {
+  bar: '̄', overline: '̅', tilde: '̃', widetilde: '̃',
+  hat: '̂', widehat: '̂', vec: '⃗', dot: '̇', ddot: '̈',
+};
+
+// Sizing and spacing commands that are dropped
+const LATEX_IGNORED = new Set([
+  'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+  'displaystyle', 'textstyle', 'limits', 'nolimits',
+]);
+
+// Stand-in for `\$` while math is located
+const ESCAPED_DOLLAR = '\u0000';
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', '′': '′', '∗': '*', '*': '*',
+};
+
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎',
+  a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ',
+  o: 'ₒ', p: 'ₚ', r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ',
+};
+
+/**
+ * Render LaTeX markup as readable plain text. Math (`$...$`, `$$...$$`,
+ * `\(...\)`, `\[...\]`) gets Unicode symbols, super- and subscripts; text
+ * mode gets dashes, quotes and font commands stripped.
+ * @param {string} text
+ * @returns {string}
+ */
+function latexToText(text) {
+  if (!text) return '';
+
+  // Escaped dollars are text; set them aside so they cannot open or close math
+  const source = text.replace(/\\\$/g, ESCAPED_DOLLAR);
+
+  const mathRegex = /\$\$([\s\S]+?)\$\$|\$([^$]+?)\$|\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+  let out = '';
+  let last = 0;
+  let match;
+
+  while ((match = mathRegex.exec(source)) !== null) {
+    out += convertLatex(source.slice(last, match.index), false);
+    out += convertLatex(match[1] ?? match[2] ?? match[3] ?? match[4], true);
+    last = mathRegex.lastIndex;
+  }
+  out += convertLatex(source.slice(last), false);
+
+  return out
+    .split(ESCAPED_DOLLAR).join('$')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+/**
+ * Convert one run of math or text-mode LaTeX
+ */
+function convertLatex(src, math) {
+  let out = '';
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\\') {
+      const { name, end } = readCommand(src, i);
+      i = end;
+
+      if (LATEX_WRAPPERS.has(name)) {
+        const arg = readArgument(src, i);
+        i = arg.end;
+        out += convertLatex(arg.content, math && !name.startsWith('text') && name !== 'mbox');
+      } else if (LATEX_ACCENTS[name]) {
+        const arg = readArgument(src, i);
+        i = arg.end;
+        out += convertLatex(arg.content, math) + LATEX_ACCENTS[name];
+      } else if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+        const numerator = readArgument(src, i);
+        const denominator = readArgument(src, numerator.end);
+        i = denominator.end;
+        out += `${parenthesize(convertLatex(numerator.content, math))}/${parenthesize(convertLatex(denominator.content, math))}`;
+      } else if (name === 'sqrt') {
+        const arg = readArgument(src, i);
+        i = arg.end;
+        out += `√${parenthesize(convertLatex(arg.content, math))}`;
+      } else if (LATEX_SYMBOLS[name] !== undefined) {
+        out += LATEX_SYMBOLS[name];
+      } else if (name === ',' || name === ';' || name === ':' || name === ' ' || name === 'quad' || name === 'qquad') {
+        out += ' ';
+      } else if (name === '!' || name === '\\' || LATEX_IGNORED.has(name)) {
+        // Negative space, line break or sizing: nothing to show
+      } else {
+        // Unknown command: its name is usually the most readable rendering
+        out += name;
+      }
+      continue;
+    }
+
+    if (math && (ch === '^' || ch === '_')) {
+      const arg = readArgument(src, i + 1);
+      i = arg.end;
+      out += script(convertLatex(arg.content, true), ch === '^' ? SUPERSCRIPTS : SUBSCRIPTS, ch);
+      continue;
+    }
+
+    if (ch === '{' || ch === '}') {
+      i++;
+      continue;
+    }
+
+    if (ch === '~') {
+      out += ' ';
+      i++;
+      continue;
+    }
+
+    if (!math && src.startsWith('---', i)) {
+      out += '—';
+      i += 3;
+      continue;
+    }
+    if (!math && src.startsWith('--', i)) {
+      out += '–';
+      i += 2;
+      continue;
+    }
+    if (!math && (src.startsWith('``', i) || src.startsWith("''", i))) {
+      out += src[i] === '`' ? '“' : '”';
+      i += 2;
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Read the command starting at the backslash at `start`: a run of letters or one other character
+ * @returns {{name: string, end: number}}
+ */
+function readCommand(src, start) {
+  const letters = /[A-Za-z]+/y;
+  letters.lastIndex = start + 1;
+  const match = letters.exec(src);
+  if (match) {
+    return { name: match[0], end: start + 1 + match[0].length };
+  }
+  return { name: src[start + 1] || '', end: start + 2 };
+}
+
+/**
+ * Read a command argument: a braced group, a command, or a single character
+ * @returns {{content: string, end: number}}
+ */
+function readArgument(src, start) {
+  let i = start;
+  while (src[i] === ' ') i++;
+
+  if (src[i] === '{') {
+    let depth = 1;
+    let j = i + 1;
+    while (j < src.length && depth > 0) {
+      if (src[j] === '\\') {
+        j += 2;
+        continue;
+      }
+      if (src[j] === '{') depth++;
+      else if (src[j] === '}') depth--;
+      j++;
+    }
+    return { content: src.slice(i + 1, depth === 0 ? j - 1 : j), end: j };
+  }
+
+  if (src[i] === '\\') {
+    const { end } = readCommand(src, i);
+    return { content: src.slice(i, end), end };
+  }
+
+  return { content: src[i] || '', end: Math.min(i + 1, src.length) };
+}
+
+/**
+ * Render a super- or subscript with Unicode characters when every character
+ * has one, otherwise as `^x` / `_(xy)`
+ */
+function script(text, map, marker) {
+  if (text && [...text].every(c => map[c] !== undefined)) {
+    return [...text].map(c => map[c]).join('');
+  }
+  return [...text].length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+}
+
+function parenthesize(text) {
+  return /^[\p{L}\p{N}.]+$/u.test(text) || [...text].length <= 1 ? text : `(${text})`;
+}
+
+/**
+ * HEPData record of a paper, if it has one: INSPIRE lists it as an external
+ * system identifier or among the record's URLs. Most papers have none.
+ */
+function hepdataLink(meta, recid) {
+  const url = (meta.urls || []).find(u => /^https?:\/\/(www\.)?hepdata\.net\//i.test(u.value || ''));
+  if (url) return url.value;
+
+  const identifier = (meta.external_system_identifiers || []).find(id => /^hepdata$/i.test(id.schema || ''));
+  if (identifier) {
+    return `https://www.hepdata.net/record/${identifier.value || `ins${recid}`}`;
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} RecordDetails
+ * @property {string} recid
+ * @property {string} title - Rendered title
+ * @property {string|null} abstract - Rendered abstract
+ * @property {Array<{name: string, affiliations: Array<string>}>} authors
+ * @property {Array<string>} collaborations
+ * @property {Array<string>} keywords
+ * @property {Array<string>} reportNumbers
+ * @property {number} citationCount
+ * @property {number} referenceCount
+ * @property {Object<string, string>} links - inspire, pdf, doi and hepdata URLs (when applicable)
+ */
+
+/**
+ * Extract the detail view of a normalized INSPIRE document
+ * @param {Object} document - From INSPIREClient.normalizeDocument, with `_inspire` metadata
+ * @returns {RecordDetails}
+ */
+function getRecordDetails(document) {
+  const meta = document._inspire || {};
+  const recid = document.recid;
+
+  // Prefer the arXiv abstract, which tends to keep its LaTeX math intact
+  const abstracts = meta.abstracts || [];
+  const abstract = (abstracts.find(a => a.source === 'arXiv') || abstracts[0])?.value || document.abstract || null;
+
+  const authors = (meta.authors || []).map(author => ({
+    name: author.full_name || '',
+    affiliations: (author.affiliations || []).map(a => a.value).filter(Boolean),
+  }));
+
+  const links = {};
+  if (recid) {
+    links.inspire = `https://inspirehep.net/literature/${recid}`;
+  }
+  const hepdata = hepdataLink(meta, recid);
+  if (hepdata) {
+    links.hepdata = hepdata;
+  }
+  if (document.arxivId) {
+    links.pdf = `https://arxiv.org/pdf/${document.arxivId}`;
+  }
+  if (document.doi?.[0]) {
+    links.doi = `https://doi.org/${document.doi[0]}`;
+  }
+
+  return {
+    recid,
+    title: latexToText(document.title?.[0] || ''),
+    abstract: abstract ? latexToText(abstract) : null,
+    authors,
+    collaborations: unique((meta.collaborations || []).map(c => c.value)),
+    keywords: unique((meta.keywords || []).map(k => k.value)),
+    reportNumbers: unique((meta.report_numbers || []).map(r => r.value)),
+    citationCount: document.citation_count || 0,
+    referenceCount: (meta.references || []).length,
+    links,
+  };
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// ES Module exports
+export { latexToText, getRecordDetails };
@@ -0,0 +1,335 @@
+/**
+ * INSPIRE Response Cache
+ *
+ * A persistent cache for INSPIRE API responses, keyed by endpoint and
+ * parameters. Entries live in IndexedDB so they survive service-worker
+ * restarts; each one expires after the TTL configured for its endpoint type,
+ * and once the cache grows past its size cap the least recently used
+ * entries are evicted. The size of the stored entries is tracked as they are
+ * written, so the metadata is only scanned when the cap is passed.
+ *
+ * Cache failures never fail a request: a broken or missing IndexedDB just
+ * means every lookup is a miss.
+ */
+
+const DB_NAME = 'inspire-cache';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const VALUE_STORE = 'values';
+
+/**
+ * @typedef {Object} CacheMeta
+ * @property {string} key - Cache key (see cacheKey)
+ * @property {string} type - Endpoint type, used to pick the TTL
+ * @property {number} size - Approximate size of the value in bytes
+ * @property {number} expires - Expiry timestamp
+ * @property {number} lastAccess - Last read or write, for LRU eviction
+ */
+
+/**
+ * IndexedDB storage. Metadata and values are kept in separate stores so
+ * eviction can scan the small metadata records without loading every response.
+ */
+class IndexedDBBackend {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+          }
+          if (!db.objectStoreNames.contains(VALUE_STORE)) {
+            db.createObjectStore(VALUE_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Allow a later call to try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run `fn(stores)` in a transaction and resolve with the result of the
+   * request it returns once the transaction has completed
+   */
+  async transaction(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([META_STORE, VALUE_STORE], mode);
+      const request = fn({
+        meta: tx.objectStore(META_STORE),
+        values: tx.objectStore(VALUE_STORE),
+      });
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  getMeta(key) {
+    return this.transaction('readonly', stores => stores.meta.get(key));
+  }
+
+  getValue(key) {
+    return this.transaction('readonly', stores => stores.values.get(key));
+  }
+
+  allMeta() {
+    return this.transaction('readonly', stores => stores.meta.getAll());
+  }
+
+  put(meta, value) {
+    return this.transaction('readwrite', stores => {
+      stores.meta.put(meta);
+      stores.values.put(value, meta.key);
+    });
+  }
+
+  touch(meta) {
+    return this.transaction('readwrite', stores => {
+      stores.meta.put(meta);
+    });
+  }
+
+  delete(keys) {
+    return this.transaction('readwrite', stores => {
+      for (const key of keys) {
+        stores.meta.delete(key);
+        stores.values.delete(key);
+      }
+    });
+  }
+
+  clear() {
+    return this.transaction('readwrite', stores => {
+      stores.meta.clear();
+      stores.values.clear();
+    });
+  }
+}
+
+/**
+ * In-memory storage with the same interface, used where IndexedDB is not
+ * available (tests, or a browser that blocks it)
+ */
+class MemoryBackend {
+  constructor() {
+    this.meta = new Map();
+    this.values = new Map();
+  }
+
+  async getMeta(key) {
+    const meta = this.meta.get(key);
+    return meta ? { ...meta } : undefined;
+  }
+
+  async getValue(key) {
+    return this.values.get(key);
+  }
+
+  async allMeta() {
+    return [...this.meta.values()].map(meta => ({ ...meta }));
+  }
+
+  async put(meta, value) {
+    this.meta.set(meta.key, { ...meta });
+    this.values.set(meta.key, value);
+  }
+
+  async touch(meta) {
+    if (this.meta.has(meta.key)) this.meta.set(meta.key, { ...meta });
+  }
+
+  async delete(keys) {
+    for (const key of keys) {
+      this.meta.delete(key);
+      this.values.delete(key);
+    }
+  }
+
+  async clear() {
+    this.meta.clear();
+    this.values.clear();
+  }
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.backend] - Storage backend (defaults to IndexedDB when available)
+   * @param {Object<string, number>} [options.ttls] - TTL in ms per endpoint type
+   * @param {number} [options.defaultTTL] - TTL for types missing from `ttls`
+   * @param {number} [options.maxBytes] - Size cap; least recently used entries are evicted past it
+   */
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      (typeof indexedDB !== 'undefined' ? new IndexedDBBackend() : new MemoryBackend());
+    this.ttls = options.ttls || {};
+    this.defaultTTL = options.defaultTTL ?? 5 * 60 * 1000;
+    this.maxBytes = options.maxBytes ?? 20 * 1024 * 1024;
+
+    // Running total of the stored sizes, so writes only scan the metadata
+    // once the cap is passed; null until the first scan
+    this.totalBytes = null;
+  }
+
+  ttlFor(type) {
+    return this.ttls[type] ?? this.defaultTTL;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key
+   * @returns {Promise<*>} The value, or undefined on a miss or expired entry
+   */
+  async get(key) {
+    try {
+      const meta = await this.backend.getMeta(key);
+      if (!meta) return undefined;
+
+      if (meta.expires <= Date.now()) {
+        await this.backend.delete([key]);
+        if (this.totalBytes !== null) this.totalBytes -= meta.size;
+        return undefined;
+      }
+
+      const value = await this.backend.getValue(key);
+      if (value === undefined) return undefined;
+
+      await this.backend.touch({ ...meta, lastAccess: Date.now() });
+      return value;
+    } catch (error) {
+      console.warn('Response cache read failed:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value - Structured-cloneable value
+   * @param {string} type - Endpoint type, selects the TTL
+   * @param {number} [ttl] - Overrides the type's TTL
+   */
+  async set(key, value, type, ttl = this.ttlFor(type)) {
+    if (!(ttl > 0)) return;
+
+    try {
+      const size = approximateSize(value);
+      if (size > this.maxBytes) return;
+
+      if (this.totalBytes === null) {
+        this.totalBytes = await this.storedBytes();
+      }
+      const replaced = await this.backend.getMeta(key);
+
+      const now = Date.now();
+      await this.backend.put({ key, type, size, expires: now + ttl, lastAccess: now }, value);
+      this.totalBytes += size - (replaced?.size || 0);
+
+      if (this.totalBytes > this.maxBytes) {
+        await this.evict();
+      }
+    } catch (error) {
+      // Recount on the next write
+      this.totalBytes = null;
+      console.warn('Response cache write failed:', error);
+    }
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones until the cache
+   * fits under the size cap
+   */
+  async evict() {
+    const now = Date.now();
+    const all = await this.backend.allMeta();
+
+    const victims = [];
+    const live = [];
+    for (const meta of all) {
+      if (meta.expires <= now) victims.push(meta.key);
+      else live.push(meta);
+    }
+
+    let total = live.reduce((sum, meta) => sum + meta.size, 0);
+    live.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const meta of live) {
+      if (total <= this.maxBytes) break;
+      victims.push(meta.key);
+      total -= meta.size;
+    }
+
+    if (victims.length > 0) {
+      await this.backend.delete(victims);
+    }
+    this.totalBytes = total;
+  }
+
+  async storedBytes() {
+    const all = await this.backend.allMeta();
+    return all.reduce((sum, meta) => sum + meta.size, 0);
+  }
+
+  async clear() {
+    try {
+      await this.backend.clear();
+      this.totalBytes = 0;
+    } catch (error) {
+      this.totalBytes = null;
+      console.warn('Response cache clear failed:', error);
+    }
+  }
+
+  /**
+   * @returns {Promise<{entries: number, bytes: number}>}
+   */
+  async stats() {
+    try {
+      const all = await this.backend.allMeta();
+      return {
+        entries: all.length,
+        bytes: all.reduce((sum, meta) => sum + meta.size, 0),
+      };
+    } catch (error) {
+      return { entries: 0, bytes: 0 };
+    }
+  }
+}
+
+/**
+ * Build a cache key from an API endpoint, with query parameters sorted so
+ * equivalent requests share an entry
+ * @param {string} endpoint - Path plus query string, e.g. `/literature?q=...`
+ * @returns {string}
+ */
+function cacheKey(endpoint) {
+  const [path, query = ''] = endpoint.split('?');
+  const params = new URLSearchParams(query);
+  params.sort();
+  const sorted = params.toString();
+  return sorted ? `${path}?${sorted}` : path;
+}
+
+/**
+ * Approximate size in bytes of a value once stored (UTF-16)
+ */
+function approximateSize(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return (text ? text.length : 0) * 2;
+}
+
+// ES Module exports
+export { ResponseCache, IndexedDBBackend, MemoryBackend, cacheKey };
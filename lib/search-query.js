@@ -0,0 +1,103 @@
+/**
+ * INSPIRE Search Query Builder
+ *
+ * Turns the quick filters of the Search INSPIRE tab into INSPIRE query
+ * clauses and appends them to the user's query, e.g.
+ *   `a Witten` + { dateFrom: 2015, published: true }
+ *   -> `(a Witten) and date >= 2015 and tc p`
+ */
+
+// Sort orders accepted by the INSPIRE literature search
+const SEARCH_SORTS = ['mostrecent', 'mostcited'];
+
+// Document type filter -> type-code clause
+const DOCUMENT_TYPES = {
+  article: 'tc article',
+  conference: 'tc c',
+  thesis: 'tc t',
+  review: 'tc r',
+};
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {number|string} [dateFrom] - Earliest year
+ * @property {number|string} [dateTo] - Latest year
+ * @property {boolean} [published] - Only records with a journal publication
+ * @property {string} [documentType] - One of the DOCUMENT_TYPES keys
+ * @property {string} [collaboration] - Collaboration name, e.g. `ATLAS`
+ * @property {number|string} [maxAuthors] - Exclude papers with more authors than this
+ */
+
+/**
+ * Build the INSPIRE query clauses for a set of filters. Empty or invalid
+ * filters are skipped.
+ * @param {SearchFilters} filters
+ * @returns {Array<string>}
+ */
+function filterClauses(filters = {}) {
+  const clauses = [];
+
+  const from = parseYear(filters.dateFrom);
+  const to = parseYear(filters.dateTo);
+  if (from && to) {
+    clauses.push(`date ${Math.min(from, to)}->${Math.max(from, to)}`);
+  } else if (from) {
+    clauses.push(`date >= ${from}`);
+  } else if (to) {
+    clauses.push(`date <= ${to}`);
+  }
+
+  if (filters.published) {
+    clauses.push('tc p');
+  }
+
+  const documentType = DOCUMENT_TYPES[filters.documentType];
+  if (documentType) {
+    clauses.push(documentType);
+  }
+
+  const collaboration = String(filters.collaboration || '').replace(/"/g, '').trim();
+  if (collaboration) {
+    clauses.push(/\s/.test(collaboration) ? `cn "${collaboration}"` : `cn ${collaboration}`);
+  }
+
+  const maxAuthors = parseInt(filters.maxAuthors, 10);
+  if (maxAuthors > 0) {
+    clauses.push(`ac 1->${maxAuthors}`);
+  }
+
+  return clauses;
+}
+
+/**
+ * Combine a user query with filter clauses
+ * @param {string} query - Query as typed (INSPIRE syntax or free text)
+ * @param {SearchFilters} [filters]
+ * @returns {string} The query sent to INSPIRE
+ */
+function buildSearchQuery(query, filters) {
+  const base = (query || '').trim();
+  const clauses = filterClauses(filters);
+
+  if (clauses.length === 0) return base;
+  if (!base) return clauses.join(' and ');
+
+  // Parenthesize so an `or` in the user's query does not swallow the filters
+  return [`(${base})`, ...clauses].join(' and ');
+}
+
+/**
+ * @param {string} sort
+ * @returns {string} `sort` if INSPIRE accepts it, otherwise `mostrecent`
+ */
+function normalizeSort(sort) {
+  return SEARCH_SORTS.includes(sort) ? sort : SEARCH_SORTS[0];
+}
+
+function parseYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 1000 && year <= 9999 ? year : null;
+}
+
+// ES Module exports
+export { buildSearchQuery, filterClauses, normalizeSort, SEARCH_SORTS, DOCUMENT_TYPES };
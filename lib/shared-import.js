@@ -8,32 +8,42 @@
 // Import INSPIRE client and storage
 import { INSPIREClient, INSPIREError, RATE_LIMIT } from './inspire-api.js';
 import { Storage, CACHE_CONFIG } from './storage.js';
+import { ResponseCache } from './response-cache.js';
+import { parseBibtexSource, BibtexParseError } from './bibtex-parser.js';
+import { serializeEntry, updateBibtexSource, documentToEntry, formatEntry } from './bibtex-serializer.js';
+import { formatCiteKey, KeyTemplateError } from './cite-key.js';
 
-// Re-export Storage
-export { Storage, CACHE_CONFIG, RATE_LIMIT };
+// Re-export Storage and the INSPIRE response cache
+export { Storage, CACHE_CONFIG, RATE_LIMIT, ResponseCache };
 
 // ============================================================================
 // BibtexUtils - Local implementation for parsing and utilities
 // ============================================================================
 
+// Named key formats, as cite key templates (see cite-key.js)
+const KEY_FORMAT_TEMPLATES = {
+  'author:year': '{auth}:{year}',
+  'authoryear': '{auth}{year}',
+  'texkey': '{texkey}',
+};
+
 const BibtexUtils = {
   /**
    * Generate a citation key from document metadata
-   * For INSPIRE, we use Author:Year format by default
+   * @param {Object} doc - Normalized INSPIRE document
+   * @param {string} [format] - A KEY_FORMAT_TEMPLATES name, `recid`, or a cite
+   *   key template; anything else (e.g. an old preference value) gives `author:year`
    */
   generateKey(doc, format = 'authoryear') {
-    const firstAuthor = this.getFirstAuthorLastName(doc);
-    const year = doc.year || '';
+    if (format === 'recid') {
+      return doc.recid || doc.bibcode || formatCiteKey(doc, KEY_FORMAT_TEMPLATES.authoryear);
+    }
 
-    switch (format) {
-      case 'author:year':
-        return `${firstAuthor}:${year}`;
-      case 'authoryear':
-        return `${firstAuthor}${year}`;
-      case 'recid':
-        return doc.recid || doc.bibcode || `${firstAuthor}${year}`;
-      default:
-        return `${firstAuthor}:${year}`;
+    try {
+      return formatCiteKey(doc, KEY_FORMAT_TEMPLATES[format] || format || KEY_FORMAT_TEMPLATES['author:year']);
+    } catch (error) {
+      if (!(error instanceof KeyTemplateError)) throw error;
+      return formatCiteKey(doc, KEY_FORMAT_TEMPLATES['author:year']);
     }
   },
 
@@ -86,43 +96,53 @@ const BibtexUtils = {
    * @returns {Array} Array of parsed entries with citeKey, entryType, fields, raw
    */
   parseBibtex(bibtexString) {
-    const entries = [];
-    if (!bibtexString) return entries;
-
-    // Match BibTeX entries: @type{key, ... }
-    // This regex handles nested braces properly
-    const entryStartRegex = /@(\w+)\s*\{\s*([^,\s]+)\s*,/g;
-    let match;
-
-    while ((match = entryStartRegex.exec(bibtexString)) !== null) {
-      const entryType = match[1].toLowerCase();
-      const citeKey = match[2].trim();
-      const startPos = match.index;
-
-      // Find the matching closing brace
-      let braceCount = 1;
-      let pos = match.index + match[0].length;
-      while (pos < bibtexString.length && braceCount > 0) {
-        if (bibtexString[pos] === '{') braceCount++;
-        else if (bibtexString[pos] === '}') braceCount--;
-        pos++;
-      }
+    if (!bibtexString) return [];
 
-      const rawEntry = bibtexString.substring(startPos, pos);
-      const fieldsContent = bibtexString.substring(match.index + match[0].length, pos - 1);
-      const fields = this.parseFields(fieldsContent);
-
-      entries.push({
-        type: entryType,
-        key: citeKey,
-        entryType: entryType,
-        citeKey: citeKey,
-        fields: fields,
-        raw: rawEntry,
-      });
-    }
+    return this.parseBibtexDocument(bibtexString).entries.map(entry => ({
+      type: entry.entryType,
+      key: entry.citeKey,
+      ...entry,
+    }));
+  },
 
-    return entries;
+  /**
+   * Parse a BibTeX string, keeping @string macros, preambles, comments and errors
+   * @param {string} bibtexString - Raw BibTeX content
+   * @returns {Object} { entries, strings, preambles, comments, errors, warnings }
+   */
+  parseBibtexDocument(bibtexString) {
+    return parseBibtexSource(bibtexString);
+  },
+
+  /**
+   * Serialize a parsed entry; unmodified entries come back exactly as written
+   * @param {Object} entry - Entry from parseBibtex, possibly with changed citeKey, entryType or fields
+   * @param {Object} [options] - Formatting options (see bibtex-serializer.js)
+   * @returns {string} BibTeX source
+   */
+  serializeEntry(entry, options) {
+    return serializeEntry(entry, options);
+  },
+
+  /**
+   * Write changed entries back into a .bib file without touching anything else
+   * @param {string} bibtexString - Original .bib content
+   * @param {Array} entries - Changed entries (from parseBibtex) and new entries to append
+   * @param {Object} [options] - Formatting options (see bibtex-serializer.js)
+   * @returns {string} Updated .bib content
+   */
+  updateBibtex(bibtexString, entries, options) {
+    return updateBibtexSource(bibtexString, entries, options);
+  },
+
+  /**
+   * Format a normalized INSPIRE document as a BibTeX entry
+   * @param {Object} doc - Normalized document
+   * @param {Object} [options] - citeKey plus formatting options (see bibtex-serializer.js)
+   * @returns {string} BibTeX source
+   */
+  documentToBibtex(doc, options = {}) {
+    return formatEntry(documentToEntry(doc, options), options);
   },
 
   /**
@@ -131,39 +151,8 @@ const BibtexUtils = {
    * @returns {Object} Field name -> value mapping
    */
   parseFields(content) {
-    const fields = {};
-
-    // Simple field regex for quoted or numeric values
-    const simpleFieldRegex = /(\w+)\s*=\s*(?:"([^"]*)"|(\d+)(?![.\d]))/g;
-    let match;
-    while ((match = simpleFieldRegex.exec(content)) !== null) {
-      const fieldName = match[1].toLowerCase();
-      const value = match[2] ?? match[3] ?? '';
-      fields[fieldName] = value.trim();
-    }
-
-    // Handle brace-delimited fields with proper brace matching
-    const braceFieldRegex = /(\w+)\s*=\s*\{/g;
-    while ((match = braceFieldRegex.exec(content)) !== null) {
-      const fieldName = match[1].toLowerCase();
-      const startPos = match.index + match[0].length;
-
-      // Find matching closing brace
-      let braceCount = 1;
-      let pos = startPos;
-      while (pos < content.length && braceCount > 0) {
-        if (content[pos] === '{') braceCount++;
-        else if (content[pos] === '}') braceCount--;
-        pos++;
-      }
-
-      if (braceCount === 0) {
-        const value = content.substring(startPos, pos - 1);
-        fields[fieldName] = value.trim();
-      }
-    }
-
-    return fields;
+    const { entries } = parseBibtexSource(`@misc{fields,${content}}`);
+    return entries[0]?.fields || {};
   },
 
   /**
@@ -171,44 +160,54 @@ const BibtexUtils = {
    * Returns entries suitable for the sidebar display
    */
   parseBibtexForDisplay(bibtexString) {
-    const entries = this.parseBibtex(bibtexString);
-
-    return entries.map(entry => {
-      const fields = entry.fields;
+    return this.parseBibtex(bibtexString).map(entry => this.toDisplayEntry(entry));
+  },
 
-      // Extract authors into array format
-      let authors = [];
-      if (fields.author) {
-        // Split by " and " to get individual authors
-        authors = fields.author.split(/\s+and\s+/i).map(a => a.trim());
-      }
+  /**
+   * Convert a single parsed entry to the sidebar display format
+   */
+  toDisplayEntry(entry) {
+    const fields = entry.fields;
+
+    // Extract authors into array format
+    let authors = [];
+    if (fields.author) {
+      // Split by " and " to get individual authors
+      authors = fields.author.split(/\s+and\s+/i).map(a => a.trim());
+    }
 
-      // Extract year
-      let year = null;
-      if (fields.year) {
-        year = parseInt(fields.year, 10);
-      }
+    // Extract year
+    let year = null;
+    if (fields.year) {
+      year = parseInt(fields.year, 10);
+    }
 
-      return {
-        citeKey: entry.citeKey,
-        bibcode: entry.citeKey, // Use cite key as identifier
-        title: [fields.title || 'Untitled'],
-        author: authors,
-        year: year,
-        pub: fields.journal || fields.booktitle || fields.publisher || null,
-        doi: fields.doi ? [fields.doi] : undefined,
-        arxivId: fields.eprint || null,
-        entryType: entry.entryType,
-        raw: entry.raw,
-      };
-    });
+    // A journal reference that is not just the arXiv pseudo-journal
+    const published = Boolean(fields.journal) && !/arxiv/i.test(fields.journal);
+
+    return {
+      citeKey: entry.citeKey,
+      bibcode: entry.citeKey, // Use cite key as identifier
+      title: [fields.title || 'Untitled'],
+      author: authors,
+      year: year,
+      pub: fields.journal || fields.booktitle || fields.publisher || null,
+      volume: fields.volume || null,
+      page: fields.pages ? fields.pages.split(/-+/)[0] : null,
+      published: published,
+      doi: fields.doi ? [fields.doi] : undefined,
+      arxivId: fields.eprint || null,
+      arxivCategory: fields.primaryclass || null,
+      entryType: entry.entryType,
+      raw: entry.raw,
+    };
   },
 
   /**
    * Check if a BibTeX string contains a specific key
    */
   containsKey(bibtexString, key) {
-    const regex = new RegExp(`@\\w+\\{${this.escapeRegex(key)},`, 'i');
+    const regex = new RegExp(`@\\s*\\w+\\s*[{(]\\s*${this.escapeRegex(key)}\\s*[,)}]`, 'i');
     return regex.test(bibtexString);
   },
 
@@ -286,4 +285,5 @@ export {
   INSPIREClient,
   INSPIREError,
   BibtexUtils,
+  BibtexParseError,
 };
@@ -7,8 +7,33 @@
 const CACHE_CONFIG = {
   defaultTTL: 5 * 60 * 1000, // 5 minutes in ms
   bibFileTTL: 24 * 60 * 60 * 1000, // 24 hours for bib file cache
+  // INSPIRE response cache (IndexedDB), TTL per endpoint type
+  apiTTL: {
+    record: 24 * 60 * 60 * 1000,     // /literature/<recid>
+    doi: 7 * 24 * 60 * 60 * 1000,    // /doi/<doi>
+    arxiv: 7 * 24 * 60 * 60 * 1000,  // /arxiv/<id>
+    bibtex: 24 * 60 * 60 * 1000,     // format=bibtex, single record or export
+    search: 60 * 60 * 1000,          // /literature?q=... (includes batched lookups)
+    notFound: 60 * 60 * 1000,        // 404s, so unknown identifiers are retried hourly
+  },
+  apiCacheMaxBytes: 20 * 1024 * 1024,
+};
+
+// Default user preferences (stored preferences are merged over these)
+const DEFAULT_PREFERENCES = {
+  citeCommand: '\\cite',
+  citeKeyTemplate: '{texkey}',
+  maxAuthors: 10,
+  autocomplete: true,
+  autocompleteCommands: ['\\cite', '\\citep', '\\citet'],
 };
 
+// Storage key prefix for per-project .bib caches (`bibCache:<projectId>`)
+const BIB_CACHE_PREFIX = 'bibCache:';
+
+// Storage key prefix for resolution jobs, one per Overleaf project
+const RESOLVE_JOB_PREFIX = 'resolveJob:';
+
 // Browser API detection (Firefox uses `browser`, Chrome uses `chrome`)
 const browserStorage = (() => {
   if (typeof browser !== 'undefined' && browser.storage) {
@@ -116,10 +141,7 @@ const Storage = {
    */
   async getPreferences() {
     const result = await this.get(['preferences']);
-    return result.preferences || {
-      citeCommand: '\\cite',
-      maxAuthors: 10,
-    };
+    return { ...DEFAULT_PREFERENCES, ...result.preferences };
   },
 
   /**
@@ -131,66 +153,260 @@ const Storage = {
   },
 
   // ============================================================================
-  // Local .bib File Cache
+  // Local .bib File Cache (per Overleaf project)
   // ============================================================================
 
   /**
-   * Store cached .bib file content
+   * Storage key for a project's .bib cache
+   * @param {string} projectId - Overleaf project ID
+   */
+  bibCacheKey(projectId) {
+    return `${BIB_CACHE_PREFIX}${projectId}`;
+  },
+
+  /**
+   * Get the cached .bib data for a project
+   * @param {string} projectId - Overleaf project ID
+   * @returns {Promise<Object|null>} { projectId, projectName, files: { [fileName]: {...} }, lastUsed }
+   */
+  async getBibProject(projectId) {
+    const key = this.bibCacheKey(projectId);
+    const result = await this.get([key]);
+    return result[key] || null;
+  },
+
+  /**
+   * Read-modify-write a project's .bib cache record
+   * @param {string} projectId - Overleaf project ID
+   * @param {Function} update - Receives the (possibly new) record and mutates it
+   */
+  async updateBibProject(projectId, update) {
+    const project = await this.getBibProject(projectId) || {
+      projectId,
+      projectName: null,
+      files: {},
+      lastUsed: null,
+    };
+    update(project);
+    project.lastUsed = Date.now();
+    await this.set({ [this.bibCacheKey(projectId)]: project });
+    return project;
+  },
+
+  /**
+   * Store cached .bib file content for a project
+   * @param {string} projectId - Overleaf project ID
+   * @param {string} fileName - Name of the .bib file
    * @param {string} content - Raw .bib file content
-   * @param {string} fileName - Name of the .bib file for display
+   * @param {string} [projectName] - Project name for display in popup/options
    */
-  async setBibFileContent(content, fileName) {
-    await this.set({
-      bibFileContent: content,
-      bibFileName: fileName,
-      bibFileLastRead: Date.now(),
+  async setBibFileContent(projectId, fileName, content, projectName) {
+    await this.updateBibProject(projectId, project => {
+      const file = project.files[fileName] || { papers: [], parsedPapersTime: null };
+      project.files[fileName] = { ...file, content, lastRead: Date.now() };
+      if (projectName) project.projectName = projectName;
     });
   },
 
   /**
-   * Get cached .bib file content
-   * @returns {Promise<{content: string|null, fileName: string|null, lastRead: number|null}>}
+   * Get cached .bib file content for a project
+   * @param {string} projectId - Overleaf project ID
+   * @param {string} [fileName] - File to read; defaults to the most recently read one
+   * @returns {Promise<{content: string|null, fileName: string|null, lastRead: number|null, fileNames: Array<string>}>}
    */
-  async getBibFileContent() {
-    const result = await this.get(['bibFileContent', 'bibFileName', 'bibFileLastRead']);
+  async getBibFileContent(projectId, fileName) {
+    const project = await this.getBibProject(projectId);
+    const fileNames = project ? Object.keys(project.files) : [];
+
+    if (!fileName && fileNames.length > 0) {
+      fileName = fileNames.reduce((latest, name) =>
+        (project.files[name].lastRead || 0) > (project.files[latest].lastRead || 0) ? name : latest
+      );
+    }
+
+    const file = project?.files[fileName];
     return {
-      content: result.bibFileContent || null,
-      fileName: result.bibFileName || null,
-      lastRead: result.bibFileLastRead || null,
+      content: file?.content || null,
+      fileName: file ? fileName : null,
+      lastRead: file?.lastRead || null,
+      fileNames,
     };
   },
 
   /**
-   * Store parsed papers from .bib file
+   * Store parsed papers from one of a project's .bib files
+   * @param {string} projectId - Overleaf project ID
+   * @param {string} fileName - Name of the .bib file the papers came from
    * @param {Array} papers - Parsed paper entries
    */
-  async setParsedPapers(papers) {
-    await this.set({
-      parsedPapers: papers,
-      parsedPapersTime: Date.now(),
+  async setParsedPapers(projectId, fileName, papers) {
+    await this.updateBibProject(projectId, project => {
+      const file = project.files[fileName] || { content: null, lastRead: null };
+      project.files[fileName] = {
+        ...file,
+        papers: papers.map(p => ({ ...p, bibFile: fileName })),
+        parsedPapersTime: Date.now(),
+      };
     });
   },
 
   /**
-   * Get parsed papers from cache
+   * Get parsed papers for a project, combined across all of its .bib files
+   * @param {string} projectId - Overleaf project ID
    * @returns {Promise<Array|null>}
    */
-  async getParsedPapers() {
-    const result = await this.get(['parsedPapers', 'parsedPapersTime']);
-    return result.parsedPapers || null;
+  async getParsedPapers(projectId) {
+    const project = await this.getBibProject(projectId);
+    if (!project) return null;
+    return Object.values(project.files).flatMap(file => file.papers || []);
+  },
+
+  /**
+   * Store INSPIRE matches for cite keys in a project, merged with those already stored
+   * @param {string} projectId - Overleaf project ID
+   * @param {Object<string, Object>} resolutions - citeKey -> { recid, method, confidence, status, ... }
+   */
+  async setResolutions(projectId, resolutions) {
+    await this.updateBibProject(projectId, project => {
+      project.resolutions = { ...project.resolutions, ...resolutions };
+    });
+  },
+
+  /**
+   * Get the stored INSPIRE matches for a project
+   * @param {string} projectId - Overleaf project ID
+   * @returns {Promise<Object<string, Object>>} citeKey -> resolution
+   */
+  async getResolutions(projectId) {
+    const project = await this.getBibProject(projectId);
+    return project?.resolutions || {};
+  },
+
+  /**
+   * Remember the citation command last chosen in a project
+   * @param {string} projectId - Overleaf project ID
+   * @param {string} command - e.g. `\citep`
+   */
+  async setCiteCommand(projectId, command) {
+    await this.updateBibProject(projectId, project => {
+      project.citeCommand = command;
+    });
+  },
+
+  /**
+   * Get the citation command last chosen in a project
+   * @param {string} projectId - Overleaf project ID
+   * @returns {Promise<string|null>}
+   */
+  async getCiteCommand(projectId) {
+    const project = await this.getBibProject(projectId);
+    return project?.citeCommand || null;
+  },
+
+  /**
+   * Remember the .bib file new entries are written into in a project
+   * @param {string} projectId - Overleaf project ID
+   * @param {string|null} fileName - Name of the .bib file, or null for the default
+   */
+  async setTargetBibFile(projectId, fileName) {
+    await this.updateBibProject(projectId, project => {
+      project.targetBibFile = fileName;
+    });
+  },
+
+  /**
+   * Get the .bib file new entries are written into in a project
+   * @param {string} projectId - Overleaf project ID
+   * @returns {Promise<string|null>}
+   */
+  async getTargetBibFile(projectId) {
+    const project = await this.getBibProject(projectId);
+    return project?.targetBibFile || null;
+  },
+
+  /**
+   * List every project with a cached bibliography, most recently used first
+   * @returns {Promise<Array<{projectId: string, projectName: string|null, lastUsed: number, files: Array}>>}
+   */
+  async listBibProjects() {
+    const all = await this.get(null);
+    return Object.keys(all)
+      .filter(k => k.startsWith(BIB_CACHE_PREFIX))
+      .map(k => all[k])
+      .map(project => ({
+        projectId: project.projectId,
+        projectName: project.projectName || null,
+        lastUsed: project.lastUsed || 0,
+        files: Object.entries(project.files).map(([fileName, file]) => ({
+          fileName,
+          count: (file.papers || []).length,
+          lastRead: file.lastRead || null,
+        })),
+      }))
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+  },
+
+  /**
+   * Clear cached .bib data
+   * @param {string} [projectId] - Project to clear; clears every project if omitted
+   * @param {string} [fileName] - Single file to clear within the project
+   */
+  async clearBibFile(projectId, fileName) {
+    if (!projectId) {
+      const all = await this.get(null);
+      const keys = Object.keys(all).filter(k => k.startsWith(BIB_CACHE_PREFIX));
+      if (keys.length > 0) {
+        await this.remove(keys);
+      }
+      return;
+    }
+
+    if (!fileName) {
+      await this.remove([this.bibCacheKey(projectId)]);
+      return;
+    }
+
+    const project = await this.getBibProject(projectId);
+    if (!project || !project.files[fileName]) return;
+
+    delete project.files[fileName];
+    if (Object.keys(project.files).length === 0) {
+      await this.remove([this.bibCacheKey(projectId)]);
+    } else {
+      await this.set({ [this.bibCacheKey(projectId)]: project });
+    }
+  },
+
+  // ============================================================================
+  // Resolution Jobs (survive service worker restarts)
+  // ============================================================================
+
+  /**
+   * Save a resolution job's state
+   * @param {string} projectId - Overleaf project ID
+   * @param {Object} job - { entries, results, status, startedAt }
+   */
+  async setResolveJob(projectId, job) {
+    await this.set({ [`${RESOLVE_JOB_PREFIX}${projectId}`]: { ...job, updatedAt: Date.now() } });
+  },
+
+  /**
+   * Get a project's resolution job
+   * @param {string} projectId - Overleaf project ID
+   * @returns {Promise<Object|null>}
+   */
+  async getResolveJob(projectId) {
+    const key = `${RESOLVE_JOB_PREFIX}${projectId}`;
+    const result = await this.get([key]);
+    return result[key] || null;
   },
 
   /**
-   * Clear cached .bib file and parsed papers
+   * Remove a project's resolution job
+   * @param {string} projectId - Overleaf project ID
    */
-  async clearBibFile() {
-    await this.remove([
-      'bibFileContent',
-      'bibFileName',
-      'bibFileLastRead',
-      'parsedPapers',
-      'parsedPapersTime',
-    ]);
+  async clearResolveJob(projectId) {
+    await this.remove([`${RESOLVE_JOB_PREFIX}${projectId}`]);
   },
 
   // ============================================================================
@@ -216,6 +432,7 @@ const Storage = {
   setCacheTTL(config) {
     if (config.bibFileTTL) CACHE_CONFIG.bibFileTTL = config.bibFileTTL;
     if (config.defaultTTL) CACHE_CONFIG.defaultTTL = config.defaultTTL;
+    if (config.apiTTL) Object.assign(CACHE_CONFIG.apiTTL, config.apiTTL);
   }
 };
 
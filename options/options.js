@@ -4,9 +4,14 @@
 
 document.addEventListener('DOMContentLoaded', init);
 
+// Error from the last preview of the cite key template; invalid templates are not saved
+let keyTemplateError = null;
+let keyPreviewRequest = 0;
+
 async function init() {
   // Load saved settings
   await loadSettings();
+  await loadBibProjects();
 
   // Event listeners
   document.getElementById('clear-bib').addEventListener('click', clearBibCache);
@@ -15,6 +20,21 @@ async function init() {
   // Auto-save preferences on change
   document.getElementById('max-authors').addEventListener('change', savePreferences);
   document.getElementById('cite-command').addEventListener('change', savePreferences);
+  document.getElementById('autocomplete').addEventListener('change', savePreferences);
+  document.getElementById('autocomplete-commands').addEventListener('change', savePreferences);
+
+  // Cite key template: presets fill in the template, which is previewed as it is typed
+  document.getElementById('cite-key-preset').addEventListener('change', async (e) => {
+    if (!e.target.value) return;
+    document.getElementById('cite-key-template').value = e.target.value;
+    await updateKeyPreview();
+    await savePreferences();
+  });
+  document.getElementById('cite-key-template').addEventListener('input', updateKeyPreview);
+  document.getElementById('cite-key-template').addEventListener('change', async () => {
+    await updateKeyPreview();
+    await savePreferences();
+  });
 }
 
 async function loadSettings() {
@@ -28,6 +48,16 @@ async function loadSettings() {
     if (response.citeCommand) {
       document.getElementById('cite-command').value = response.citeCommand;
     }
+
+    if (response.citeKeyTemplate) {
+      document.getElementById('cite-key-template').value = response.citeKeyTemplate;
+    }
+    await updateKeyPreview();
+
+    document.getElementById('autocomplete').checked = response.autocomplete !== false;
+    if (response.autocompleteCommands) {
+      document.getElementById('autocomplete-commands').value = response.autocompleteCommands.join(', ');
+    }
   } catch (error) {
     console.error('Error loading settings:', error);
   }
@@ -36,9 +66,19 @@ async function loadSettings() {
 async function savePreferences() {
   const prefs = {
     maxAuthors: parseInt(document.getElementById('max-authors').value, 10),
-    citeCommand: document.getElementById('cite-command').value
+    citeCommand: document.getElementById('cite-command').value,
+    autocomplete: document.getElementById('autocomplete').checked,
+    autocompleteCommands: document.getElementById('autocomplete-commands').value
+      .split(',')
+      .map(c => c.trim())
+      .filter(Boolean)
+      .map(c => (c.startsWith('\\') ? c : `\\${c}`))
   };
 
+  if (!keyTemplateError) {
+    prefs.citeKeyTemplate = document.getElementById('cite-key-template').value.trim();
+  }
+
   try {
     await chrome.runtime.sendMessage({
       action: 'setPreferences',
@@ -49,9 +89,99 @@ async function savePreferences() {
   }
 }
 
+/**
+ * Show the key the template gives a sample paper, or why the template is invalid
+ */
+async function updateKeyPreview() {
+  const template = document.getElementById('cite-key-template').value.trim();
+  const preview = document.getElementById('cite-key-preview');
+  const presets = document.getElementById('cite-key-preset');
+  presets.value = [...presets.options].some(o => o.value === template) ? template : '';
+
+  const request = ++keyPreviewRequest;
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'previewCiteKey', payload: { template } });
+    if (request !== keyPreviewRequest) return;
+
+    keyTemplateError = result.error || null;
+    preview.classList.toggle('error', Boolean(result.error));
+    preview.textContent = '';
+
+    if (result.error) {
+      preview.textContent = result.error;
+      return;
+    }
+
+    const key = document.createElement('code');
+    key.textContent = result.key;
+    const suffixed = document.createElement('code');
+    suffixed.textContent = result.suffixed;
+    preview.append('Maldacena (1997) → ', key, ', or ', suffixed, ' if that key is taken');
+  } catch (error) {
+    console.error('Error previewing cite key:', error);
+  }
+}
+
+async function loadBibProjects() {
+  const list = document.getElementById('bib-projects');
+
+  try {
+    const { projects = [] } = await chrome.runtime.sendMessage({ action: 'listBibProjects' });
+    list.textContent = '';
+
+    if (projects.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'project-empty';
+      empty.textContent = 'No cached bibliographies.';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const project of projects) {
+      const count = project.files.reduce((sum, f) => sum + f.count, 0);
+
+      const item = document.createElement('li');
+      item.className = 'project-item';
+
+      const info = document.createElement('div');
+      info.className = 'project-info';
+
+      const name = document.createElement('div');
+      name.className = 'project-name';
+      name.textContent = project.projectName || project.projectId;
+
+      const files = document.createElement('div');
+      files.className = 'hint';
+      files.textContent = `${project.files.map(f => f.fileName).join(', ')} — ${count} papers`;
+
+      info.append(name, files);
+
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn secondary';
+      clearBtn.textContent = 'Clear';
+      clearBtn.addEventListener('click', () => clearProjectCache(project.projectId));
+
+      item.append(info, clearBtn);
+      list.appendChild(item);
+    }
+  } catch (error) {
+    console.error('Error loading cached projects:', error);
+  }
+}
+
+async function clearProjectCache(projectId) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearBibFile', payload: { projectId } });
+    await loadBibProjects();
+  } catch (error) {
+    alert(`Error clearing cache: ${error.message}`);
+  }
+}
+
 async function clearBibCache() {
   try {
     await chrome.runtime.sendMessage({ action: 'clearBibFile' });
+    await loadBibProjects();
     alert('BibTeX cache cleared successfully!');
   } catch (error) {
     alert(`Error clearing cache: ${error.message}`);
@@ -61,6 +191,7 @@ async function clearBibCache() {
 async function clearAllCache() {
   try {
     await chrome.runtime.sendMessage({ action: 'clearCaches' });
+    await loadBibProjects();
     alert('All cached data cleared successfully!');
   } catch (error) {
     alert(`Error clearing cache: ${error.message}`);
@@ -23,19 +23,69 @@ function openOptions(e) {
 
 async function loadBibStatus() {
   try {
-    const result = await chrome.runtime.sendMessage({ action: 'getBibFile' });
+    const result = await chrome.runtime.sendMessage({ action: 'listBibProjects' });
+    renderBibProjects(result.projects || []);
+  } catch (error) {
+    console.log('Could not load bib status:', error.message);
+  }
+}
+
+/**
+ * Render one row per project with a cached bibliography
+ */
+function renderBibProjects(projects) {
+  const container = document.getElementById('bib-projects');
+  if (projects.length === 0) return;
+
+  container.textContent = '';
+  for (const project of projects) {
+    const count = project.files.reduce((sum, f) => sum + f.count, 0);
+
+    const row = document.createElement('div');
+    row.className = 'bib-status';
+
+    const info = document.createElement('div');
+    info.className = 'bib-info';
 
-    if (result.fileName) {
-      document.getElementById('bib-name').textContent = result.fileName;
+    const name = document.createElement('div');
+    name.className = 'bib-name';
+    name.textContent = project.projectName || project.projectId;
 
-      // Get paper count
-      const papers = await chrome.runtime.sendMessage({ action: 'getParsedPapers' });
-      if (papers.papers && papers.papers.length > 0) {
-        document.getElementById('bib-count').textContent = `${papers.papers.length} papers`;
-      }
+    const files = document.createElement('div');
+    files.className = 'bib-files';
+    files.textContent = project.files.map(f => f.fileName).join(', ');
+
+    info.append(name, files);
+
+    const badge = document.createElement('div');
+    badge.className = 'bib-count';
+    badge.textContent = `${count} papers`;
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'bib-clear';
+    clearBtn.title = 'Clear cached .bib for this project';
+    clearBtn.setAttribute('aria-label', `Clear cached .bib for ${name.textContent}`);
+    clearBtn.textContent = '×';
+    clearBtn.addEventListener('click', () => clearProject(project.projectId));
+
+    row.append(info, badge, clearBtn);
+    container.appendChild(row);
+  }
+}
+
+async function clearProject(projectId) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearBibFile', payload: { projectId } });
+    const result = await chrome.runtime.sendMessage({ action: 'listBibProjects' });
+    const projects = result.projects || [];
+    if (projects.length === 0) {
+      document.getElementById('bib-projects').innerHTML =
+        '<div class="bib-status"><div class="bib-name">No .bib file loaded</div></div>';
+    } else {
+      renderBibProjects(projects);
     }
   } catch (error) {
-    console.log('Could not load bib status:', error.message);
+    console.log('Could not clear bib cache:', error.message);
   }
 }
 
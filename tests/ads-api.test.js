@@ -123,7 +123,7 @@ function mockFetchError(errorMessage) {
 }
 
 // Test Runner
-function runTests() {
+async function runTests() {
   let passed = 0;
   let failed = 0;
 
@@ -175,7 +175,7 @@ function runTests() {
   // Constructor tests
   console.log('--- Constructor ---');
 
-  test('stores token', () => {
+  await test('stores token', () => {
     const client = new ADSClient('test-token');
     assertEqual(client.token, 'test-token');
   });
@@ -183,22 +183,22 @@ function runTests() {
   // sanitizeBibcode tests
   console.log('\n--- sanitizeBibcode ---');
 
-  test('passes through valid bibcode', () => {
+  await test('passes through valid bibcode', () => {
     const client = new ADSClient('token');
     assertEqual(client.sanitizeBibcode('2024ApJ...100..123A'), '2024ApJ...100..123A');
   });
 
-  test('removes invalid characters', () => {
+  await test('removes invalid characters', () => {
     const client = new ADSClient('token');
     assertEqual(client.sanitizeBibcode('2024ApJ<script>alert(1)</script>'), '2024ApJscriptalert1script');
   });
 
-  test('preserves dots and ampersands', () => {
+  await test('preserves dots and ampersands', () => {
     const client = new ADSClient('token');
     assertEqual(client.sanitizeBibcode('2024A&A...100..123A'), '2024A&A...100..123A');
   });
 
-  test('returns empty string for non-string input', () => {
+  await test('returns empty string for non-string input', () => {
     const client = new ADSClient('token');
     assertEqual(client.sanitizeBibcode(null), '');
     assertEqual(client.sanitizeBibcode(undefined), '');
@@ -208,7 +208,7 @@ function runTests() {
   // getLibraries tests
   console.log('\n--- getLibraries ---');
 
-  test('returns libraries from API', async () => {
+  await test('returns libraries from API', async () => {
     const client = new ADSClient('test-token');
     mockFetch({
       libraries: [
@@ -222,7 +222,7 @@ function runTests() {
     assertEqual(libraries[0].name, 'My Library');
   });
 
-  test('returns empty array when no libraries', async () => {
+  await test('returns empty array when no libraries', async () => {
     const client = new ADSClient('test-token');
     mockFetch({});
 
@@ -230,7 +230,7 @@ function runTests() {
     assertDeepEqual(libraries, []);
   });
 
-  test('sends authorization header', async () => {
+  await test('sends authorization header', async () => {
     const client = new ADSClient('my-secret-token');
     mockFetch({ libraries: [] });
 
@@ -241,7 +241,7 @@ function runTests() {
   // search tests
   console.log('\n--- search ---');
 
-  test('returns search results', async () => {
+  await test('returns search results', async () => {
     const client = new ADSClient('test-token');
     mockFetch({
       response: {
@@ -257,7 +257,7 @@ function runTests() {
     assertEqual(result.numFound, 1);
   });
 
-  test('passes query parameters', async () => {
+  await test('passes query parameters', async () => {
     const client = new ADSClient('test-token');
     mockFetch({ response: { docs: [], numFound: 0 } });
 
@@ -268,7 +268,7 @@ function runTests() {
     assertTrue(mockFetch.lastRequest.url.includes('start=10'));
   });
 
-  test('returns empty results for no matches', async () => {
+  await test('returns empty results for no matches', async () => {
     const client = new ADSClient('test-token');
     mockFetch({ response: { docs: [], numFound: 0 } });
 
@@ -280,7 +280,7 @@ function runTests() {
   // exportBibtex tests
   console.log('\n--- exportBibtex ---');
 
-  test('returns bibtex string', async () => {
+  await test('returns bibtex string', async () => {
     const client = new ADSClient('test-token');
     const expectedBibtex = '@article{Smith2024, author={Smith}}';
     mockFetch({ export: expectedBibtex });
@@ -289,7 +289,7 @@ function runTests() {
     assertEqual(bibtex, expectedBibtex);
   });
 
-  test('sends bibcodes in request body', async () => {
+  await test('sends bibcodes in request body', async () => {
     const client = new ADSClient('test-token');
     mockFetch({ export: '' });
 
@@ -299,7 +299,7 @@ function runTests() {
     assertDeepEqual(body.bibcode, ['bib1', 'bib2']);
   });
 
-  test('includes options in request', async () => {
+  await test('includes options in request', async () => {
     const client = new ADSClient('test-token');
     mockFetch({ export: '' });
 
@@ -318,7 +318,7 @@ function runTests() {
   // Error handling tests
   console.log('\n--- Error Handling ---');
 
-  test('throws ADSError on HTTP error', async () => {
+  await test('throws ADSError on HTTP error', async () => {
     const client = new ADSClient('test-token');
     mockFetch({ error: 'Unauthorized' }, { ok: false, status: 401 });
 
@@ -329,7 +329,7 @@ function runTests() {
     );
   });
 
-  test('throws ADSError on network error', async () => {
+  await test('throws ADSError on network error', async () => {
     const client = new ADSClient('test-token');
     mockFetchError('Network failure');
 
@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for the per-project .bib cache in lib/storage.js
+ */
+
+// Install the extension API mocks when run on its own
+if (!globalThis.chrome?.storage) {
+  await import('./setup.js');
+}
+
+const { Storage } = await import('../lib/storage.js');
+
+const PROJECT_A = '64f1234567890abcdef12345';
+const PROJECT_B = '64f1234567890abcdef67890';
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    await Storage.clear();
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Per-project .bib Cache Tests ===\n');
+
+  await test('getParsedPapers returns null for unknown project', async () => {
+    assertEqual(await Storage.getParsedPapers(PROJECT_A), null);
+  });
+
+  await test('projects do not see each other\'s papers', async () => {
+    await Storage.setParsedPapers(PROJECT_A, 'refs.bib', [{ citeKey: 'a1' }]);
+    await Storage.setParsedPapers(PROJECT_B, 'refs.bib', [{ citeKey: 'b1' }]);
+
+    const papersA = await Storage.getParsedPapers(PROJECT_A);
+    const papersB = await Storage.getParsedPapers(PROJECT_B);
+    assertDeepEqual(papersA.map(p => p.citeKey), ['a1']);
+    assertDeepEqual(papersB.map(p => p.citeKey), ['b1']);
+  });
+
+  await test('papers from several files are combined and tagged with their file', async () => {
+    await Storage.setParsedPapers(PROJECT_A, 'main.bib', [{ citeKey: 'a1' }]);
+    await Storage.setParsedPapers(PROJECT_A, 'collab.bib', [{ citeKey: 'c1' }, { citeKey: 'c2' }]);
+
+    const papers = await Storage.getParsedPapers(PROJECT_A);
+    assertDeepEqual(papers.map(p => `${p.bibFile}:${p.citeKey}`),
+      ['main.bib:a1', 'collab.bib:c1', 'collab.bib:c2']);
+  });
+
+  await test('getBibFileContent defaults to the most recently read file', async () => {
+    await Storage.setBibFileContent(PROJECT_A, 'old.bib', '@misc{old,}');
+    const project = await Storage.getBibProject(PROJECT_A);
+    project.files['old.bib'].lastRead -= 1000;
+    await Storage.set({ [Storage.bibCacheKey(PROJECT_A)]: project });
+    await Storage.setBibFileContent(PROJECT_A, 'new.bib', '@misc{new,}');
+
+    const latest = await Storage.getBibFileContent(PROJECT_A);
+    assertEqual(latest.fileName, 'new.bib');
+    assertEqual(latest.content, '@misc{new,}');
+    assertDeepEqual(latest.fileNames, ['old.bib', 'new.bib']);
+
+    const named = await Storage.getBibFileContent(PROJECT_A, 'old.bib');
+    assertEqual(named.content, '@misc{old,}');
+  });
+
+  await test('listBibProjects summarizes each project', async () => {
+    await Storage.setBibFileContent(PROJECT_A, 'refs.bib', '', 'Paper A');
+    await Storage.setParsedPapers(PROJECT_A, 'refs.bib', [{ citeKey: 'a1' }, { citeKey: 'a2' }]);
+    await Storage.setParsedPapers(PROJECT_B, 'other.bib', [{ citeKey: 'b1' }]);
+
+    const projects = await Storage.listBibProjects();
+    assertEqual(projects.length, 2);
+
+    const a = projects.find(p => p.projectId === PROJECT_A);
+    assertEqual(a.projectName, 'Paper A');
+    assertDeepEqual(a.files.map(f => [f.fileName, f.count]), [['refs.bib', 2]]);
+  });
+
+  await test('clearBibFile clears a single file, a project, or everything', async () => {
+    await Storage.setParsedPapers(PROJECT_A, 'main.bib', [{ citeKey: 'a1' }]);
+    await Storage.setParsedPapers(PROJECT_A, 'collab.bib', [{ citeKey: 'c1' }]);
+    await Storage.setParsedPapers(PROJECT_B, 'refs.bib', [{ citeKey: 'b1' }]);
+
+    await Storage.clearBibFile(PROJECT_A, 'collab.bib');
+    assertDeepEqual((await Storage.getParsedPapers(PROJECT_A)).map(p => p.citeKey), ['a1']);
+
+    await Storage.clearBibFile(PROJECT_A);
+    assertEqual(await Storage.getParsedPapers(PROJECT_A), null);
+    assertEqual((await Storage.listBibProjects()).length, 1);
+
+    await Storage.clearBibFile();
+    assertEqual((await Storage.listBibProjects()).length, 0);
+  });
+
+  await test('clearCaches removes project caches but keeps preferences', async () => {
+    await Storage.setPreferences({ citeCommand: '\\citep' });
+    await Storage.setParsedPapers(PROJECT_A, 'refs.bib', [{ citeKey: 'a1' }]);
+
+    await Storage.clearCaches();
+    assertEqual(await Storage.getParsedPapers(PROJECT_A), null);
+    assertEqual((await Storage.getPreferences()).citeCommand, '\\citep');
+  });
+
+  await test('resolution jobs are stored per project until cleared', async () => {
+    await Storage.setResolveJob(PROJECT_A, { entries: [{ citeKey: 'a1' }], results: [], status: 'running' });
+
+    const job = await Storage.getResolveJob(PROJECT_A);
+    assertEqual(job.status, 'running');
+    assertEqual(typeof job.updatedAt, 'number');
+    assertEqual(await Storage.getResolveJob(PROJECT_B), null);
+
+    await Storage.clearResolveJob(PROJECT_A);
+    assertEqual(await Storage.getResolveJob(PROJECT_A), null);
+  });
+
+  await test('resolutions are merged per project and survive re-parsing', async () => {
+    await Storage.setResolutions(PROJECT_A, { a1: { recid: '1', status: 'auto' } });
+    await Storage.setResolutions(PROJECT_A, { a2: { recid: null, status: 'rejected' } });
+    await Storage.setParsedPapers(PROJECT_A, 'refs.bib', [{ citeKey: 'a1' }]);
+
+    const resolutions = await Storage.getResolutions(PROJECT_A);
+    assertDeepEqual(Object.keys(resolutions), ['a1', 'a2']);
+    assertEqual(resolutions.a2.status, 'rejected');
+    assertDeepEqual(await Storage.getResolutions(PROJECT_B), {});
+  });
+
+  await test('cite command is remembered per project', async () => {
+    await Storage.setCiteCommand(PROJECT_A, '\\citet');
+    assertEqual(await Storage.getCiteCommand(PROJECT_A), '\\citet');
+    assertEqual(await Storage.getCiteCommand(PROJECT_B), null);
+  });
+
+  await test('target .bib file is remembered per project', async () => {
+    await Storage.setTargetBibFile(PROJECT_A, 'refs/extra.bib');
+    assertEqual(await Storage.getTargetBibFile(PROJECT_A), 'refs/extra.bib');
+    assertEqual(await Storage.getTargetBibFile(PROJECT_B), null);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for incremental .bib parsing (lib/bib-sync.js)
+ */
+
+import { IncrementalBibParser, splitChunks } from '../lib/bib-sync.js';
+import { BibtexUtils } from '../lib/shared-import.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Incremental .bib Parsing Tests ===\n');
+
+  const bib = [
+    '% Shared references',
+    '@string{prl = "Phys. Rev. Lett."}',
+    '@article{a, title = {First}, journal = prl, year = 2016}',
+    '',
+    '@article{b,',
+    '  title = {Second},',
+    '  year = 2017',
+    '}',
+  ].join('\n');
+
+  test('splits at lines starting with @ and keeps line numbers', () => {
+    assertDeepEqual(splitChunks(bib).map(c => c.line), [1, 2, 3, 5]);
+    assertEqual(splitChunks(bib).map(c => c.text).join(''), bib);
+  });
+
+  test('gives the same papers as parsing the whole file', () => {
+    const { papers, reparsed } = new IncrementalBibParser().parse(bib);
+    assertDeepEqual(papers, BibtexUtils.parseBibtexForDisplay(bib));
+    assertEqual(reparsed, 4);
+    assertEqual(papers[0].pub, 'Phys. Rev. Lett.');
+  });
+
+  test('only parses the entries that changed', () => {
+    const parser = new IncrementalBibParser();
+    parser.parse(bib);
+
+    const edited = bib.replace('{Second}', '{Second, revised}') + '\n@misc{c, title = {Third}}';
+    const { papers, reparsed } = parser.parse(edited);
+    assertEqual(reparsed, 2);
+    assertDeepEqual(papers.map(p => p.title[0]), ['First', 'Second, revised', 'Third']);
+
+    const removed = parser.parse(edited.replace(/@article\{a[^\n]*\n/, ''));
+    assertEqual(removed.reparsed, 0);
+    assertDeepEqual(removed.papers.map(p => p.citeKey), ['b', 'c']);
+  });
+
+  test('changing a macro re-parses every entry', () => {
+    const parser = new IncrementalBibParser();
+    parser.parse(bib);
+    const { papers, reparsed } = parser.parse(bib.replace('"Phys. Rev. Lett."', '"PRL"'));
+    assertEqual(reparsed, 4);
+    assertEqual(papers[0].pub, 'PRL');
+  });
+
+  test('reports errors at their line in the file', () => {
+    const { papers, errors } = new IncrementalBibParser().parse(bib + '\n@article{broken, title = {Unclosed\n');
+    assertEqual(papers.length, 2);
+    assertEqual(errors.length, 1);
+    assertEqual(errors[0].line, 9);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
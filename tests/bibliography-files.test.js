@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for bibliography file discovery (lib/bibliography-files.js)
+ */
+
+import {
+  findBibliographyResources,
+  isRootDocument,
+  resolveBibliographyFiles,
+} from '../lib/bibliography-files.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Bibliography Files Tests ===\n');
+
+  test('BibTeX names get .bib, biblatex names are kept as written', () => {
+    const tex = [
+      '\\addbibresource{local.bib}',
+      '\\addbibresource[location=remote]{https://example.org/refs.bib}',
+      '\\addglobalbib{shared/collab.bib}',
+      '\\bibliography{ refs, ../common/inspire ,local}',
+      '\\nobibliography{extra.bib}',
+      '% \\bibliography{old}',
+    ].join('\n');
+    assertDeepEqual(findBibliographyResources(tex), [
+      'local.bib', 'shared/collab.bib', 'refs.bib', '../common/inspire.bib', 'extra.bib',
+    ]);
+  });
+
+  test('root documents have a \\documentclass', () => {
+    assertEqual(isRootDocument('\\documentclass{article}\n\\begin{document}'), true);
+    assertEqual(isRootDocument('\\section{Intro}\n% \\documentclass{article}'), false);
+  });
+
+  test('resolves names next to the root document, at the top, or by a unique file name', () => {
+    const texFiles = [
+      { path: '/paper/main.tex', content: '\\documentclass{revtex4-2}\n\\bibliography{refs,../collab,shared,gone}' },
+      { path: '/paper/intro.tex', content: '\\bibliography{ignored}' },
+    ];
+    const bibPaths = ['/paper/refs.bib', '/collab.bib', '/bib/shared.bib', '/ignored.bib'];
+    assertDeepEqual(resolveBibliographyFiles(texFiles, bibPaths), {
+      files: ['/paper/refs.bib', '/collab.bib', '/bib/shared.bib'],
+      missing: ['gone.bib'],
+    });
+  });
+
+  test('names shared by several .bib files in different folders are not guessed', () => {
+    const texFiles = [{ path: '/main.tex', content: '\\documentclass{article}\\addbibresource{refs.bib}' }];
+    assertDeepEqual(resolveBibliographyFiles(texFiles, ['/a/refs.bib', '/b/refs.bib']), {
+      files: [],
+      missing: ['refs.bib'],
+    });
+  });
+
+  test('without a root document every .tex file is read', () => {
+    const texFiles = [{ path: '/body.tex', content: '\\bibliography{refs}' }];
+    assertDeepEqual(resolveBibliographyFiles(texFiles, ['/refs.bib']).files, ['/refs.bib']);
+  });
+
+  test('follows \\input, \\include and \\subfile from the root document', () => {
+    const texFiles = [
+      { path: '/thesis/main.tex', content: '\\documentclass{book}\n\\include{chapters/one}\n\\input{back.tex}\n\\bibliography{main}' },
+      { path: '/thesis/chapters/one.tex', content: '\\subfile{chapters/two}\n\\addbibresource{one.bib}' },
+      { path: '/thesis/chapters/two.tex', content: '\\input{chapters/one}\n% \\bibliography{commented}\n\\bibliography{two}' },
+      { path: '/back.tex', content: '\\addbibresource{refs/back.bib}' },
+    ];
+    const bibPaths = ['/thesis/main.bib', '/thesis/one.bib', '/thesis/two.bib', '/refs/back.bib'];
+    assertDeepEqual(resolveBibliographyFiles(texFiles, bibPaths), {
+      files: ['/thesis/two.bib', '/thesis/one.bib', '/refs/back.bib', '/thesis/main.bib'],
+      missing: [],
+    });
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for the BibTeX parser (lib/bibtex-parser.js)
+ * and the BibtexUtils functions built on it
+ */
+
+import { parseBibtexSource } from '../lib/bibtex-parser.js';
+import { BibtexUtils } from '../lib/shared-import.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== BibTeX Parser Tests ===\n');
+
+  console.log('--- Entries ---');
+
+  test('parses brace-delimited entry', () => {
+    const { entries, errors } = parseBibtexSource('@Article{Maldacena:1997re, title = {The Large N limit}, year = 1999}');
+    assertEqual(errors.length, 0);
+    assertEqual(entries.length, 1);
+    assertEqual(entries[0].entryType, 'article');
+    assertEqual(entries[0].citeKey, 'Maldacena:1997re');
+    assertDeepEqual(entries[0].fields, { title: 'The Large N limit', year: '1999' });
+  });
+
+  test('parses parenthesis-delimited entry', () => {
+    const { entries, errors } = parseBibtexSource('@article(Witten:1998qj,\n  title = "Anti de Sitter space (and holography)",\n)');
+    assertEqual(errors.length, 0);
+    assertEqual(entries[0].citeKey, 'Witten:1998qj');
+    assertEqual(entries[0].fields.title, 'Anti de Sitter space (and holography)');
+  });
+
+  test('parses cite keys containing braces', () => {
+    const { entries } = parseBibtexSource('@misc{G{\\"o}del1931, year = 1931}');
+    assertEqual(entries[0].citeKey, 'G{\\"o}del1931');
+    assertEqual(entries[0].fields.year, '1931');
+  });
+
+  test('keeps raw text and source position', () => {
+    const source = '% header\n\n  @book{k, title={T}}\ntrailing';
+    const { entries } = parseBibtexSource(source);
+    assertEqual(entries[0].raw, '@book{k, title={T}}');
+    assertEqual(entries[0].line, 3);
+    assertEqual(entries[0].column, 3);
+    assertEqual(source.slice(entries[0].start, entries[0].end), entries[0].raw);
+  });
+
+  test('allows trailing comma and entries without fields', () => {
+    const { entries, errors } = parseBibtexSource('@misc{a, note = {x},}\n@misc{b}');
+    assertEqual(errors.length, 0);
+    assertDeepEqual(entries.map(e => e.citeKey), ['a', 'b']);
+  });
+
+  console.log('\n--- Field values ---');
+
+  test('handles = and quotes inside braced values', () => {
+    const { entries } = parseBibtexSource('@misc{k, title = {E = mc^2 and "quotes"}, note = "a {"} b"}');
+    assertEqual(entries[0].fields.title, 'E = mc^2 and "quotes"');
+    assertEqual(entries[0].fields.note, 'a {"} b');
+  });
+
+  test('keeps nested braces in values', () => {
+    const { entries } = parseBibtexSource('@misc{k, title = {The {LHC} at {{CERN}}}}');
+    assertEqual(entries[0].fields.title, 'The {LHC} at {{CERN}}');
+  });
+
+  test('expands @string macros and # concatenation', () => {
+    const { entries, strings } = parseBibtexSource(
+      '@string{prl = "Phys. Rev. Lett."}\n@article{k, journal = prl, note = prl # { } # "vol. " # 116}'
+    );
+    assertEqual(strings.prl, 'Phys. Rev. Lett.');
+    assertEqual(entries[0].fields.journal, 'Phys. Rev. Lett.');
+    assertEqual(entries[0].fields.note, 'Phys. Rev. Lett. vol. 116');
+    assertEqual(entries[0].fieldList[1].rawValue, 'prl # { } # "vol. " # 116');
+  });
+
+  test('macro names are case-insensitive and months are predefined', () => {
+    const { entries } = parseBibtexSource('@String(JHEP = {JHEP})\n@article{k, journal = jhep, month = feb}');
+    assertEqual(entries[0].fields.journal, 'JHEP');
+    assertEqual(entries[0].fields.month, 'February');
+  });
+
+  test('warns about undefined macros', () => {
+    const { entries, warnings } = parseBibtexSource('@article{k, journal = nosuchmacro}');
+    assertEqual(entries[0].fields.journal, 'nosuchmacro');
+    assertEqual(warnings.length, 1);
+  });
+
+  console.log('\n--- Comments and preambles ---');
+
+  test('does not treat @comment or @preamble as entries', () => {
+    const { entries, comments, preambles } = parseBibtexSource(
+      '@comment{jabref-meta: databaseType:bibtex;}\n@preamble{"\\newcommand{\\noop}[1]{}"}\n@misc{k, year = 2020}'
+    );
+    assertDeepEqual(entries.map(e => e.citeKey), ['k']);
+    assertEqual(comments.length, 1);
+    assertDeepEqual(preambles, ['\\newcommand{\\noop}[1]{}']);
+  });
+
+  test('ignores stray @ between entries', () => {
+    const { entries, errors } = parseBibtexSource('Contact: someone@example.org\n@misc{k, year = 2020}');
+    assertEqual(errors.length, 0);
+    assertDeepEqual(entries.map(e => e.citeKey), ['k']);
+  });
+
+  console.log('\n--- Errors ---');
+
+  test('reports errors with line and column', () => {
+    const { errors } = parseBibtexSource('@misc{ok, year = 2020}\n@article{bad,\n  title = {Fine},\n  year 2021\n}');
+    assertEqual(errors.length, 1);
+    assertEqual(errors[0].line, 4);
+    assertEqual(errors[0].column, 8);
+  });
+
+  test('recovers at the next entry after an error', () => {
+    const { entries, errors } = parseBibtexSource('@article{bad, title = {Unclosed\n@misc{good, year = 2020}');
+    assertEqual(errors.length, 1);
+    assertDeepEqual(entries.map(e => e.citeKey), ['good']);
+  });
+
+  console.log('\n--- BibtexUtils ---');
+
+  test('parseBibtex keeps the existing entry shape', () => {
+    const [entry] = BibtexUtils.parseBibtex('@article{k, author = {Doe, J.}}');
+    assertEqual(entry.type, 'article');
+    assertEqual(entry.key, 'k');
+    assertEqual(entry.entryType, 'article');
+    assertEqual(entry.citeKey, 'k');
+    assertEqual(entry.fields.author, 'Doe, J.');
+    assertEqual(entry.raw, '@article{k, author = {Doe, J.}}');
+  });
+
+  test('parseBibtexForDisplay expands macros', () => {
+    const [paper] = BibtexUtils.parseBibtexForDisplay(
+      '@string{npb = {Nucl. Phys. B}}\n@article(k, author = "Doe, J. and Roe, R.", journal = npb, year = 1999)'
+    );
+    assertEqual(paper.citeKey, 'k');
+    assertEqual(paper.pub, 'Nucl. Phys. B');
+    assertDeepEqual(paper.author, ['Doe, J.', 'Roe, R.']);
+    assertEqual(paper.year, 1999);
+  });
+
+  test('parseBibtexForDisplay extracts journal reference and arXiv details', () => {
+    const [published, preprint] = BibtexUtils.parseBibtexForDisplay(
+      '@article{a, journal = {Phys. Rev. Lett.}, volume = 116, pages = {061102--061108}}\n' +
+      '@article{b, journal = {arXiv e-prints}, eprint = {2301.01234}, primaryClass = {hep-th}}'
+    );
+    assertEqual(published.published, true);
+    assertEqual(published.volume, '116');
+    assertEqual(published.page, '061102');
+    assertEqual(preprint.published, false);
+    assertEqual(preprint.arxivCategory, 'hep-th');
+  });
+
+  test('containsKey finds parenthesis-delimited and spaced entries', () => {
+    assertEqual(BibtexUtils.containsKey('@article( k1 ,\n year = 1)', 'k1'), true);
+    assertEqual(BibtexUtils.containsKey('@article{k10, year = 1}', 'k1'), false);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
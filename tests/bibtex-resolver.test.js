@@ -0,0 +1,266 @@
+/**
+ * Unit Tests for published-version detection (lib/bibtex-resolver.js)
+ */
+
+import { BibtexUtils } from '../lib/shared-import.js';
+import {
+  resolveEntries,
+  findPublishedVersions,
+  comparePublication,
+  applyPublicationInfo,
+} from '../lib/bibtex-resolver.js';
+
+// Normalized INSPIRE document as returned by INSPIREClient
+function makeDocument(recid, publicationInfo) {
+  return {
+    recid,
+    title: ['Observation of Gravitational Waves from a Binary Black Hole Merger'],
+    doi: ['10.1103/PhysRevLett.116.061102'],
+    _inspire: { publication_info: publicationInfo },
+  };
+}
+
+const PUBLISHED = makeDocument('1421100', [
+  { journal_title: 'Phys.Rev.Lett.', journal_volume: '116', artid: '061102', year: 2016 },
+]);
+
+// Client that knows one arXiv ID and answers title searches after a delay
+const mockClient = {
+  lookups: [],
+  batches: [],
+  searches: [],
+  async lookupByDOI() { return null; },
+  async lookupByArxiv(arxivId) {
+    this.lookups.push(arxivId);
+    return arxivId === '1602.03837' ? PUBLISHED : null;
+  },
+  async lookupBatch({ dois = [], arxivIds = [], texkeys = [] }) {
+    this.batches.push([...dois, ...arxivIds, ...texkeys]);
+    this.lookups.push(...arxivIds);
+    const byArxiv = new Map(arxivIds.filter(id => id === '1602.03837').map(id => [id, PUBLISHED]));
+    const byDoi = new Map(dois.map(doi => [doi, makeDocument(`doi-${doi}`, [])]));
+    const byTexkey = new Map(texkeys.filter(key => key === 'LIGOScientific:2016aoc').map(key => [key, PUBLISHED]));
+    return { byDoi, byArxiv, byTexkey };
+  },
+  async getRecord() { return null; },
+  async search(query) {
+    this.searches.push(query);
+    // Later queries answer sooner, so results complete out of order
+    await new Promise(resolve => setTimeout(resolve, 30 - this.searches.length * 5));
+    return { numFound: 0, documents: [] };
+  },
+};
+
+function resetClient() {
+  mockClient.lookups = [];
+  mockClient.batches = [];
+  mockClient.searches = [];
+}
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Published Version Tests ===\n');
+
+  console.log('--- comparePublication ---');
+
+  await test('reports preprints without a journal', () => {
+    const entry = { fields: { eprint: '1602.03837' } };
+    const result = comparePublication(entry, PUBLISHED);
+    assertEqual(result.published.journal, 'Phys.Rev.Lett.');
+    assertEqual(result.published.pages, '061102');
+    assertEqual(result.published.year, '2016');
+    assertEqual(result.current.journal, null);
+  });
+
+  await test('treats arXiv pseudo-journals as unpublished', () => {
+    const entry = { fields: { journal: 'arXiv e-prints', volume: '116', pages: '061102' } };
+    assertEqual(comparePublication(entry, PUBLISHED) !== null, true);
+  });
+
+  await test('ignores journal abbreviation differences', () => {
+    const entry = { fields: { journal: 'Physical Review Letters', volume: '116', pages: '061102' } };
+    assertEqual(comparePublication(entry, PUBLISHED), null);
+  });
+
+  await test('returns null for unpublished records', () => {
+    assertEqual(comparePublication({ fields: {} }, makeDocument('1', [])), null);
+  });
+
+  console.log('\n--- applyPublicationInfo ---');
+
+  await test('sets the journal reference and turns misc into article', () => {
+    const entry = { entryType: 'misc', fields: { title: 'T', eprint: '1602.03837' } };
+    const { entryType, fields } = applyPublicationInfo(entry, comparePublication(entry, PUBLISHED).published);
+    assertEqual(entryType, 'article');
+    assertEqual(fields.journal, 'Phys.Rev.Lett.');
+    assertEqual(fields.volume, '116');
+    assertEqual(fields.doi, '10.1103/PhysRevLett.116.061102');
+    assertEqual(fields.eprint, '1602.03837');
+  });
+
+  console.log('\n--- findPublishedVersions ---');
+
+  await test('only looks up entries without a complete journal reference', async () => {
+    resetClient();
+    const entries = BibtexUtils.parseBibtex(`
+      @misc{LIGO, title = {Observation}, eprint = {1602.03837}, archivePrefix = {arXiv}}
+      @article{Done, journal = {Phys. Rev. D}, volume = {1}, pages = {2}, eprint = {1234.56789}}
+      @misc{Still, eprint = {2401.00001}}
+    `);
+    const { checked, updates } = await findPublishedVersions(entries, mockClient);
+    assertEqual(checked, 2);
+    assertEqual(mockClient.lookups.join(','), '1602.03837,2401.00001');
+    assertEqual(updates.length, 1);
+    assertEqual(updates[0].citeKey, 'LIGO');
+    assertEqual(updates[0].method, 'arxiv');
+    assertEqual(updates[0].recid, '1421100');
+  });
+
+  await test('compares each record with its own entry when the run is aborted', async () => {
+    resetClient();
+    const entries = BibtexUtils.parseBibtex(`
+      @article{Pending, title = {Some other paper}, journal = {Nucl. Phys. B}}
+      @misc{LIGO, title = {Observation}, eprint = {1602.03837}, archivePrefix = {arXiv}}
+    `);
+    const controller = new AbortController();
+    const { updates } = await findPublishedVersions(entries, mockClient, () => controller.abort(), {
+      signal: controller.signal, concurrency: 1,
+    });
+    assertEqual(mockClient.searches.length, 0, 'the title lookup should not start');
+    assertEqual(updates.length, 1);
+    assertEqual(updates[0].citeKey, 'LIGO');
+    assertEqual(updates[0].current.journal, null);
+  });
+
+  console.log('\n--- resolveEntries ---');
+
+  const titleEntries = count => Array.from({ length: count }, (_, i) => ({
+    citeKey: `t${i}`, entryType: 'article', fields: { title: `Paper number ${i}`, author: 'Doe, J.' },
+  }));
+
+  await test('combines DOI and arXiv lookups into batched searches', async () => {
+    resetClient();
+    const entries = Array.from({ length: 30 }, (_, i) => ({
+      citeKey: `d${i}`, entryType: 'article', fields: { doi: `10.1000/${i}` },
+    }));
+    const results = await resolveEntries(entries, mockClient);
+    assertEqual(mockClient.batches.map(b => b.length).join(','), '25,5');
+    assertEqual(results.map(r => r.citeKey).join(','), entries.map(e => e.citeKey).join(','));
+    assertEqual(results[29].method, 'doi');
+    assertEqual(results[29].recid, 'doi-10.1000/29');
+  });
+
+  await test('links entries keyed by an INSPIRE texkey without a separate lookup', async () => {
+    resetClient();
+    const entries = [
+      { citeKey: 'LIGOScientific:2016aoc', entryType: 'article', fields: { title: 'Observation' } },
+      { citeKey: 'd0', entryType: 'article', fields: { doi: '10.1000/0' } },
+    ];
+    const results = await resolveEntries(entries, mockClient);
+    assertEqual(mockClient.batches.length, 1);
+    assertEqual(mockClient.batches[0].join(','), '10.1000/0,LIGOScientific:2016aoc');
+    assertEqual(mockClient.searches.length, 0);
+    assertEqual(results[0].method, 'texkey');
+    assertEqual(results[0].recid, '1421100');
+  });
+
+  await test('entries a batch misses fall back to a title search', async () => {
+    resetClient();
+    const entries = [{ citeKey: 'x', entryType: 'misc', fields: { eprint: '2401.00001', title: 'Some Title Words', author: 'Doe, J.' } }];
+    const [result] = await resolveEntries(entries, mockClient);
+    assertEqual(mockClient.searches.length, 1);
+    assertEqual(result.method, 'not_found');
+  });
+
+  await test('returns results in entry order when requests finish out of order', async () => {
+    resetClient();
+    const completionOrder = [];
+    const results = await resolveEntries(titleEntries(4), mockClient, (completed, total, result, index) => {
+      completionOrder.push(index);
+    });
+    assertEqual(results.map(r => r.citeKey).join(','), 't0,t1,t2,t3');
+    assertEqual(completionOrder.join(',') !== '0,1,2,3', true, 'requests should overlap');
+  });
+
+  await test('stops starting requests once aborted', async () => {
+    resetClient();
+    const controller = new AbortController();
+    const results = await resolveEntries(titleEntries(3), mockClient, (completed) => {
+      if (completed === 2) controller.abort();
+    }, { signal: controller.signal, concurrency: 1 });
+    assertEqual(results.length, 3, 'results stay aligned with entries');
+    assertEqual(results.map(r => r?.citeKey ?? null).join(','), 't0,t1,');
+    assertEqual(mockClient.searches.length, 2);
+  });
+
+  await test('a failing task stops the run only after the others in flight settle', async () => {
+    resetClient();
+    let calls = 0;
+    let error = null;
+    try {
+      await resolveEntries(titleEntries(4), mockClient, () => {
+        calls++;
+        if (calls === 1) throw new Error('progress failed');
+      }, { concurrency: 2 });
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error?.message, 'progress failed');
+    assertEqual(mockClient.searches.length, 2, 'no task started after the failure');
+    assertEqual(calls, 2, 'the task in flight finished before the error was thrown');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assertEqual(calls, 2, 'nothing ran after resolveEntries returned');
+  });
+
+  console.log('\n--- Rewriting ---');
+
+  await test('updated entries keep the rest of the file untouched', () => {
+    const source = '% refs\n@misc{LIGO,\n  title = {Observation},\n  eprint = {1602.03837}\n}\n';
+    const [entry] = BibtexUtils.parseBibtex(source);
+    const changed = { ...entry, ...applyPublicationInfo(entry, comparePublication(entry, PUBLISHED).published) };
+    assertEqual(
+      BibtexUtils.updateBibtex(source, [changed]),
+      '% refs\n@article{LIGO,\n  title = {Observation},\n  eprint = {1602.03837},\n' +
+      '  journal = {Phys.Rev.Lett.},\n  volume = {116},\n  pages = {061102},\n  year = {2016},\n' +
+      '  doi = {10.1103/PhysRevLett.116.061102}\n}\n'
+    );
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for the BibTeX serializer (lib/bibtex-serializer.js)
+ */
+
+import { parseBibtexSource } from '../lib/bibtex-parser.js';
+import {
+  serializeEntry,
+  updateBibtexSource,
+  formatEntry,
+  documentToEntry,
+} from '../lib/bibtex-serializer.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  const SOURCE = [
+    '% My references',
+    '@string{prl = "Phys. Rev. Lett."}',
+    '',
+    '@Article{Abbott:2016blz,',
+    '    author  = "Abbott, B. P. and others",',
+    '    title   = {{Observation of Gravitational Waves from a Binary Black Hole Merger}},',
+    '    journal = prl,',
+    '    year    = 2016',
+    '}',
+    '',
+    '@misc( Witten:1998qj , title={Anti de Sitter space and holography}, eprint = {hep-th/9802150} )',
+    '',
+  ].join('\n');
+
+  console.log('\n=== BibTeX Serializer Tests ===\n');
+
+  console.log('--- Round trip ---');
+
+  test('unmodified entries are emitted byte for byte', () => {
+    const { entries, strings } = parseBibtexSource(SOURCE);
+    for (const entry of entries) {
+      assertEqual(serializeEntry(entry, { macros: strings }), entry.raw);
+    }
+  });
+
+  test('updateBibtexSource without changes returns the source', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    assertEqual(updateBibtexSource(SOURCE, entries), SOURCE);
+  });
+
+  console.log('\n--- Patching ---');
+
+  test('re-keying only changes the key', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    entries[1].citeKey = 'Witten:1998';
+    const updated = updateBibtexSource(SOURCE, [entries[1]]);
+    assertEqual(updated, SOURCE.replace('Witten:1998qj', 'Witten:1998'));
+  });
+
+  test('adding a field keeps the existing lines and indentation', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    entries[0].fields.doi = '10.1103/PhysRevLett.116.061102';
+    const updated = updateBibtexSource(SOURCE, [entries[0]]);
+    assertEqual(updated, SOURCE.replace(
+      '    year    = 2016\n',
+      '    year    = 2016,\n    doi = {10.1103/PhysRevLett.116.061102}\n'
+    ));
+  });
+
+  test('changing a field replaces only its value; macros elsewhere survive', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    entries[0].fields.year = '2017';
+    const updated = updateBibtexSource(SOURCE, [entries[0]]);
+    assertEqual(updated, SOURCE.replace('= 2016', '= {2017}'));
+  });
+
+  test('removing a field drops it with its comma', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    delete entries[1].fields.eprint;
+    assertEqual(serializeEntry(entries[1]), '@misc( Witten:1998qj , title={Anti de Sitter space and holography} )');
+  });
+
+  test('changing the entry type keeps the rest', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    entries[1].entryType = 'article';
+    assertEqual(serializeEntry(entries[1]).slice(0, 22), '@article( Witten:1998q');
+  });
+
+  test('preserveFormatting: false re-formats modified entries', () => {
+    const { entries } = parseBibtexSource(SOURCE);
+    entries[1].fields.year = '1998';
+    assertEqual(
+      serializeEntry(entries[1], { preserveFormatting: false }),
+      '@misc{Witten:1998qj,\n  title = {Anti de Sitter space and holography},\n  year = {1998},\n  eprint = {hep-th/9802150}\n}'
+    );
+  });
+
+  console.log('\n--- Formatting ---');
+
+  const ENTRY = {
+    entryType: 'article',
+    citeKey: 'k',
+    fields: { year: '2020', note: 'Say "hi"', author: 'Doe, J.' },
+  };
+
+  test('orders fields and supports quotes, alignment and custom indentation', () => {
+    const text = formatEntry(ENTRY, { delimiter: 'quotes', alignValues: true, indent: '\t' });
+    assertEqual(text, '@article{k,\n\tauthor = "Doe, J.",\n\tyear   = "2020",\n\tnote   = {Say "hi"}\n}');
+  });
+
+  test('respects a custom field order and trailing comma', () => {
+    const text = formatEntry(ENTRY, { fieldOrder: ['year'], trailingComma: true });
+    assertEqual(text, '@article{k,\n  year = {2020},\n  note = {Say "hi"},\n  author = {Doe, J.},\n}');
+  });
+
+  test('wraps long values but never URLs', () => {
+    const text = formatEntry({
+      entryType: 'misc',
+      citeKey: 'k',
+      fields: {
+        title: 'one two three four five six seven eight',
+        url: 'https://example.org/a/very/long/path/that/should/not/be/wrapped',
+      },
+    }, { lineWidth: 30 });
+    const lines = text.split('\n');
+    assertEqual(lines[1], '  title = {one two three four');
+    assertEqual(lines[2], '           five six seven');
+    assertEqual(lines[3], '           eight},');
+    assertEqual(lines[4], '  url = {https://example.org/a/very/long/path/that/should/not/be/wrapped}');
+  });
+
+  test('formatted entries parse back to the same fields', () => {
+    const text = formatEntry(ENTRY, { delimiter: 'quotes' });
+    const [entry] = parseBibtexSource(text).entries;
+    assertEqual(JSON.stringify(entry.fields), JSON.stringify({ author: 'Doe, J.', year: '2020', note: 'Say "hi"' }));
+  });
+
+  console.log('\n--- INSPIRE documents ---');
+
+  test('converts a normalized document to an entry', () => {
+    const entry = documentToEntry({
+      recid: '1424636',
+      title: ['Observation of Gravitational Waves'],
+      author: ['Abbott, B. P.'],
+      year: 2016,
+      pub: 'Phys.Rev.Lett.',
+      doi: ['10.1103/PhysRevLett.116.061102'],
+      arxivId: '1602.03837',
+      _inspire: {
+        texkeys: ['LIGOScientific:2016aoc'],
+        document_type: ['article'],
+        publication_info: [{ journal_title: 'Phys.Rev.Lett.', journal_volume: '116', artid: '061102' }],
+        arxiv_eprints: [{ value: '1602.03837', categories: ['gr-qc'] }],
+      },
+    });
+    assertEqual(entry.citeKey, 'LIGOScientific:2016aoc');
+    assertEqual(entry.entryType, 'article');
+    assertEqual(entry.fields.volume, '116');
+    assertEqual(entry.fields.pages, '061102');
+    assertEqual(entry.fields.primaryclass, 'gr-qc');
+    assertEqual(entry.fields.title, '{Observation of Gravitational Waves}');
+  });
+
+  test('falls back to the recid as cite key', () => {
+    const entry = documentToEntry({ recid: '42', title: ['T'], author: [], _inspire: {} });
+    assertEqual(entry.citeKey, '42');
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for the project citation scan (lib/citation-scan.js)
+ */
+
+import { extractCitations, scanProject, keyLookup } from '../lib/citation-scan.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Citation Scan Tests ===\n');
+
+  test('extracts keys of every cite command with their lines', () => {
+    const tex = [
+      'As shown in \\cite{Maldacena:1997re, Witten:1998qj}',
+      'and \\citep[see][p.~3]{Gubser:1998bc}.',
+      '\\citestyle{aa} \\citetext{not a key} \\parencite*{a,,b}',
+    ].join('\n');
+    assertDeepEqual(extractCitations(tex).map(c => `${c.key}@${c.line}`), [
+      'Maldacena:1997re@1', 'Witten:1998qj@1', 'Gubser:1998bc@2', 'a@3', 'b@3',
+    ]);
+    assertEqual(extractCitations(tex)[2].command, '\\citep');
+  });
+
+  test('skips commented-out citations but not escaped percent signs', () => {
+    const tex = '% \\cite{old}\n50\\% of \\cite{new} % \\cite{gone}';
+    assertDeepEqual(extractCitations(tex).map(c => `${c.key}@${c.line}`), ['new@2']);
+  });
+
+  const bib = `
+@article{Maldacena:1997re, title = {Large N}}
+@article{unused, title = {Never cited}}
+@article{twice, title = {First}}
+`;
+
+  test('reports missing, unused and duplicate keys', () => {
+    const report = scanProject({
+      texFiles: [
+        { name: 'main.tex', content: '\\cite{Maldacena:1997re,twice,Witten:1998qj}\n\\cite{Smith2020}' },
+        { name: 'intro.tex', content: '\\cite{Witten:1998qj}' },
+      ],
+      bibFiles: [
+        { name: 'refs.bib', content: bib },
+        { name: 'extra.bib', content: '@misc{twice, title = {Again}}' },
+      ],
+    });
+
+    assertEqual(report.cited, 4);
+    assertEqual(report.entries, 3);
+    assertDeepEqual(report.missing.map(m => m.key), ['Witten:1998qj', 'Smith2020']);
+    assertEqual(report.missing[0].texkey, true);
+    assertEqual(report.missing[1].texkey, false);
+    assertDeepEqual(report.missing[0].locations, [{ file: 'main.tex', line: 1 }, { file: 'intro.tex', line: 1 }]);
+    assertDeepEqual(report.unused, [{ key: 'unused', file: 'refs.bib', line: 3 }]);
+    assertDeepEqual(report.duplicates, [
+      { key: 'twice', locations: [{ file: 'refs.bib', line: 4 }, { file: 'extra.bib', line: 1 }] },
+    ]);
+  });
+
+  test('\\nocite{*} leaves no entry unused', () => {
+    const report = scanProject({
+      texFiles: [{ name: 'main.tex', content: '\\nocite{*}' }],
+      bibFiles: [{ name: 'refs.bib', content: bib }],
+    });
+    assertEqual(report.citesAll, true);
+    assertEqual(report.unused.length, 0);
+    assertEqual(report.missing.length, 0);
+  });
+
+  test('keyLookup uses the texkey or the author and year of a key', () => {
+    assertDeepEqual(keyLookup('Maldacena:1997re'), { texkey: 'Maldacena:1997re' });
+    assertDeepEqual(keyLookup('Witten1998a'), { query: 'a Witten and date 1998' });
+    assertDeepEqual(keyLookup('smith_2020'), { query: 'a smith and date 2020' });
+    assertEqual(keyLookup('fig:setup'), null);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
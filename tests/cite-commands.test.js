@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for citation package detection (lib/cite-commands.js)
+ */
+
+import { detectCitationPackage, suggestCiteCommand } from '../lib/cite-commands.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Cite Commands Tests ===\n');
+
+  test('detects natbib and biblatex, with options and package lists', () => {
+    assertEqual(detectCitationPackage('\\documentclass{article}\n\\usepackage[numbers,sort]{natbib}'), 'natbib');
+    assertEqual(detectCitationPackage('\\usepackage{amsmath, biblatex ,graphicx}'), 'biblatex');
+    assertEqual(detectCitationPackage('\\usepackage[style=phys,backend=biber]{biblatex}'), 'biblatex');
+  });
+
+  test('ignores commented-out packages and the document body', () => {
+    assertEqual(detectCitationPackage('% \\usepackage{natbib}\n\\usepackage{amsmath}'), null);
+    assertEqual(detectCitationPackage('\\begin{document}\nWe load \\usepackage{natbib} here'), null);
+    assertEqual(detectCitationPackage('50\\% \\usepackage{natbib}'), 'natbib');
+  });
+
+  test('classes that load natbib themselves', () => {
+    assertEqual(detectCitationPackage('\\documentclass[aps,prd,twocolumn]{revtex4-2}'), 'natbib');
+    assertEqual(detectCitationPackage('\\documentclass{JHEP}'), null);
+  });
+
+  test('suggestCiteCommand maps the package to a default command', () => {
+    assertDeepEqual(suggestCiteCommand('\\usepackage{natbib}'), { package: 'natbib', command: '\\citep' });
+    assertDeepEqual(suggestCiteCommand('\\usepackage{biblatex}'), { package: 'biblatex', command: '\\autocite' });
+    assertDeepEqual(suggestCiteCommand(null), { package: null, command: null });
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
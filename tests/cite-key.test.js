@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for cite key templates (lib/cite-key.js)
+ */
+
+import {
+  formatCiteKey,
+  uniqueCiteKey,
+  assignCiteKeys,
+  findExportEntry,
+  parseKeyTemplate,
+  KeyTemplateError,
+  SAMPLE_DOCUMENT,
+} from '../lib/cite-key.js';
+import { BibtexUtils } from '../lib/shared-import.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertThrows(fn, message) {
+    try {
+      fn();
+    } catch (error) {
+      if (!(error instanceof KeyTemplateError)) throw error;
+      if (!error.message.includes(message)) {
+        throw new Error(`Expected error containing "${message}", got "${error.message}"`);
+      }
+      return;
+    }
+    throw new Error(`Expected KeyTemplateError "${message}"`);
+  }
+
+  const doc = SAMPLE_DOCUMENT;
+
+  console.log('\n=== Cite Key Tests ===\n');
+
+  console.log('--- formatCiteKey ---');
+
+  test('fields, literals and the texkey', () => {
+    assertEqual(formatCiteKey(doc, '{texkey}'), 'Maldacena:1997re');
+    assertEqual(formatCiteKey(doc, '{auth}{year}{title:1}'), 'Maldacena1997Large');
+    assertEqual(formatCiteKey(doc, '{auth}_{shortyear}-{title:3}'), 'Maldacena_97-LargeNLimit');
+    assertEqual(formatCiteKey(doc, '{journal}:{arxiv}'), 'AdvTheorMathPhys:hep-th9711200');
+  });
+
+  test('case and length modifiers', () => {
+    assertEqual(formatCiteKey(doc, '{auth:lower}:{year}'), 'maldacena:1997');
+    assertEqual(formatCiteKey(doc, '{auth:3:upper}{shortyear}'), 'MAL97');
+  });
+
+  test('suffix goes at {suffix} or the end', () => {
+    assertEqual(formatCiteKey(doc, '{auth:lower}{suffix}:{year}', 'b'), 'maldacenab:1997');
+    assertEqual(formatCiteKey(doc, '{auth}{year}', 'a'), 'Maldacena1997a');
+  });
+
+  test('names are reduced to ASCII letters', () => {
+    const accented = { author: ['Gürsey, Feza', "O'Raifeartaigh, L."], year: 1980, title: ['Über $\\alpha$-Teilchen'] };
+    assertEqual(formatCiteKey(accented, '{auth}{year}{title}'), 'Gursey1980Uber');
+    assertEqual(formatCiteKey(accented, '{authors:1}'), 'GurseyEtAl');
+    assertEqual(formatCiteKey(accented, '{authors}'), 'GurseyORaifeartaigh');
+  });
+
+  test('collaboration papers use the collaboration, missing texkeys fall back to Author:Year', () => {
+    const atlas = { author: ['Aad, Georges'], year: 2012, _inspire: { collaborations: [{ value: 'ATLAS' }] } };
+    assertEqual(formatCiteKey(atlas, '{auth}{year}'), 'ATLAS2012');
+    assertEqual(formatCiteKey({ author: ['Witten, Edward'], year: 1998 }, '{texkey}'), 'Witten:1998');
+  });
+
+  test('invalid templates', () => {
+    assertThrows(() => parseKeyTemplate(''), 'empty');
+    assertThrows(() => parseKeyTemplate('{author}'), 'Unknown field {author}');
+    assertThrows(() => parseKeyTemplate('{auth:small}'), 'Unknown modifier "small"');
+    assertThrows(() => parseKeyTemplate('{auth}}'), 'Unbalanced');
+    assertThrows(() => parseKeyTemplate('paper{suffix}'), 'no fields');
+  });
+
+  console.log('\n--- Collisions ---');
+
+  test('uniqueCiteKey adds a, b, c ... past z', () => {
+    assertEqual(uniqueCiteKey(doc, '{auth}{year}', ['Maldacena1997']), 'Maldacena1997a');
+    assertEqual(uniqueCiteKey(doc, '{auth}{year}', new Set(['Maldacena1997', 'Maldacena1997a'])), 'Maldacena1997b');
+
+    const taken = ['Maldacena1997', ...'abcdefghijklmnopqrstuvwxyz'].map((c, i) => i === 0 ? c : `Maldacena1997${c}`);
+    assertEqual(uniqueCiteKey(doc, '{auth}{year}', taken), 'Maldacena1997aa');
+  });
+
+  test('assignCiteKeys reuses the key of the same paper in the .bib', () => {
+    const papers = [
+      { citeKey: 'Maldacena1997', arxivId: 'hep-th/9711200' },
+      { citeKey: 'Witten1998', doi: ['10.4310/ATMP.1998.v2.n2.a2'] },
+    ];
+    const documents = [
+      doc,
+      { recid: '1', author: ['Maldacena, Juan'], year: 1997, title: ['Another paper'] },
+      { recid: '2', author: ['Witten, Edward'], year: 1998, doi: ['10.4310/atmp.1998.v2.n2.a2'] },
+      { recid: '', title: ['Unlinked'], unlinked: true },
+    ];
+
+    const keyed = assignCiteKeys(documents, { template: '{auth}{year}', papers });
+    assertDeepEqual(keyed.map(d => d.citeKey), ['Maldacena1997', 'Maldacena1997a', 'Witten1998', undefined]);
+  });
+
+  test('assignCiteKeys treats keys from earlier pages as taken', () => {
+    const page1 = assignCiteKeys([{ recid: '1', author: ['Smith, John'], year: 2020 }], { template: '{auth}{year}' });
+    const page2 = assignCiteKeys([{ recid: '2', author: ['Smith, Jane'], year: 2020 }], {
+      template: '{auth}{year}',
+      takenKeys: page1.map(d => d.citeKey),
+    });
+    assertEqual(page1[0].citeKey, 'Smith2020');
+    assertEqual(page2[0].citeKey, 'Smith2020a');
+  });
+
+  test('BibtexUtils.generateKey falls back to author:year for unknown format names', () => {
+    const smith = { recid: '', author: ['Smith, John'], year: 2024, title: ['T'] };
+    assertEqual(BibtexUtils.generateKey(smith, 'bibcode'), 'Smith:2024');
+    assertEqual(BibtexUtils.generateKey(smith, 'author:year:journal'), 'Smith:2024');
+    assertEqual(BibtexUtils.generateKey(smith, null), 'Smith:2024');
+    assertEqual(BibtexUtils.generateKey(smith, 'authoryear'), 'Smith2024');
+    assertEqual(BibtexUtils.generateKey(smith, '{auth:lower}{year}'), 'smith2024');
+    assertEqual(BibtexUtils.generateKey(smith, 'recid'), 'Smith2024', 'no recid');
+    assertEqual(BibtexUtils.generateKey({ ...smith, recid: '42' }, 'recid'), '42');
+  });
+
+  test('findExportEntry recognizes entries by key, arXiv ID or DOI, never by position', () => {
+    const { entries } = BibtexUtils.parseBibtexDocument(`
+@article{Witten:1998qj,
+    title = "{Anti-de Sitter space and holography}",
+    doi = "10.4310/ATMP.1998.v2.n2.a2"
+}
+@article{Maldacena:1997re,
+    title = "{The Large N limit of superconformal field theories and supergravity}",
+    eprint = "hep-th/9711200"
+}
+`);
+
+    assertEqual(findExportEntry(entries, { keys: ['Maldacena:1997re'] }).citeKey, 'Maldacena:1997re');
+    assertEqual(findExportEntry(entries, { keys: ['adscft'], arxivId: 'arXiv:hep-th/9711200v2' }).citeKey, 'Maldacena:1997re');
+    assertEqual(findExportEntry(entries, { doi: '10.4310/atmp.1998.v2.n2.a2' }).citeKey, 'Witten:1998qj');
+    assertEqual(findExportEntry(entries, { keys: ['Gubser:1998bc'], arxivId: 'hep-th/9802109' }), null);
+  });
+
+  test('assignCiteKeys gives colliding documents in one list different keys', () => {
+    const documents = [
+      { recid: '1', author: ['Smith, John'], year: 2020, title: ['First'] },
+      { recid: '2', author: ['Smith, Jane'], year: 2020, title: ['Second'] },
+    ];
+
+    const fresh = assignCiteKeys(documents, { template: '{auth}{year}' });
+    assertDeepEqual(fresh.map(d => d.citeKey), ['Smith2020', 'Smith2020a']);
+
+    const papers = [{ citeKey: 'Smith2020', title: ['Already cited'] }];
+    const suffixed = assignCiteKeys(documents, { template: '{auth}{year}', papers });
+    assertDeepEqual(suffixed.map(d => d.citeKey), ['Smith2020a', 'Smith2020b']);
+  });
+
+  test('assignCiteKeys follows INSPIRE matches and ignores rejected ones', () => {
+    const papers = [{ citeKey: 'adscft', arxivId: 'hep-th/9711200' }];
+
+    const matched = assignCiteKeys([doc], { papers, resolutions: { adscft: { recid: '452933', status: 'auto' } } });
+    assertEqual(matched[0].citeKey, 'adscft');
+
+    const rejected = assignCiteKeys([doc], { papers, resolutions: { adscft: { recid: '452933', status: 'rejected' } } });
+    assertEqual(rejected[0].citeKey, 'adscft', 'still the same arXiv ID');
+
+    const other = assignCiteKeys([doc], { papers, resolutions: { adscft: { recid: '999', status: 'manual' } } });
+    assertEqual(other[0].citeKey, 'Maldacena:1997re');
+  });
+
+  test('assignCiteKeys links .bib entries keyed by one of the record\'s texkeys', () => {
+    const papers = [{ citeKey: 'Maldacena:1997re', title: 'Large N' }];
+    const keyed = assignCiteKeys([doc], { template: '{auth}{year}', papers });
+    assertEqual(keyed[0].citeKey, 'Maldacena:1997re');
+  });
+
+  test('assignCiteKeys falls back to the default template when the template is invalid', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assertEqual(assignCiteKeys([doc], { template: '{nope}' })[0].citeKey, 'Maldacena:1997re');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for INSPIREClient methods built on other requests
+ * (references and citations), with fetch stubbed
+ */
+
+import { INSPIREClient } from '../lib/inspire-api.js';
+
+// Replace fetch with a stub; `respond(path, params)` returns the JSON body
+function stubFetch(respond) {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace('/api', '');
+    calls.push({ path, params: searchParams });
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => respond(path, searchParams),
+    };
+  };
+  return calls;
+}
+
+function hit(recid, title) {
+  return { metadata: { control_number: recid, titles: [{ title }] } };
+}
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== INSPIRE Client Tests ===\n');
+
+  await test('getReferences keeps citation order and fills in unlinked references', async () => {
+    const calls = stubFetch((path, params) => {
+      if (path === '/literature/100') {
+        return {
+          metadata: {
+            references: [
+              { record: { $ref: 'https://inspirehep.net/api/literature/2' }, reference: { label: '1' } },
+              { reference: { title: { title: 'Unlinked paper' }, arxiv_eprint: '1234.5678', authors: [{ full_name: 'Doe, J.' }] } },
+              { record: { $ref: 'https://inspirehep.net/api/literature/1' } },
+            ],
+          },
+        };
+      }
+      // The batched recid search returns hits in its own order
+      assertEqual(params.get('q'), 'recid:2 or recid:1');
+      return { hits: { hits: [hit(1, 'First'), hit(2, 'Second')], total: 2 } };
+    });
+
+    const client = new INSPIREClient();
+    const { documents, numFound } = await client.getReferences(100);
+
+    assertEqual(numFound, 3);
+    assertDeepEqual(documents.map(d => d.title[0]), ['Second', 'Unlinked paper', 'First']);
+    assertEqual(documents[1].recid, '');
+    assertEqual(documents[1].unlinked, true);
+    assertEqual(documents[1].arxivId, '1234.5678');
+    assertDeepEqual(documents[1].author, ['Doe, J.']);
+    assertEqual(calls[0].params.get('fields'), 'references');
+    assertEqual(calls.length, 2);
+  });
+
+  await test('getReferences makes no search when nothing is linked', async () => {
+    const calls = stubFetch(() => ({ metadata: { references: [{ reference: { misc: ['Some', 'text'] } }] } }));
+    const { documents } = await new INSPIREClient().getReferences(100);
+
+    assertEqual(documents[0].title[0], 'Some text');
+    assertEqual(calls.length, 1);
+  });
+
+  await test('getCitations searches refersto:recid: with paging', async () => {
+    const calls = stubFetch(() => ({ hits: { hits: [hit(7, 'Citing')], total: 40 } }));
+    const { documents, numFound } = await new INSPIREClient().getCitations(100, 2, 25);
+
+    assertEqual(calls[0].params.get('q'), 'refersto:recid:100');
+    assertEqual(calls[0].params.get('page'), '2');
+    assertEqual(calls[0].params.get('size'), '25');
+    assertEqual(calls[0].params.get('sort'), 'mostcited');
+    assertEqual(documents[0].recid, '7');
+    assertEqual(numFound, 40);
+  });
+
+  await test('getTexkeys maps recids to texkeys in one search', async () => {
+    const calls = stubFetch(() => ({
+      hits: {
+        hits: [
+          { metadata: { control_number: 452933, texkeys: ['Maldacena:1997re'] } },
+          { metadata: { control_number: 7 } },
+        ],
+      },
+    }));
+    const texkeys = await new INSPIREClient().getTexkeys(['452933', '7']);
+
+    assertEqual(calls[0].params.get('q'), 'recid:452933 or recid:7');
+    assertEqual(calls[0].params.get('fields'), 'control_number,texkeys');
+    assertDeepEqual(texkeys.get('452933'), ['Maldacena:1997re']);
+    assertDeepEqual(texkeys.get('7'), []);
+  });
+
+  await test('lookupBatch matches texkeys against every texkey of a record', async () => {
+    const calls = stubFetch(() => ({
+      hits: { hits: [{ metadata: { control_number: 452933, texkeys: ['Maldacena:1997re', 'Maldacena:1997abc'] } }] },
+    }));
+    const { byTexkey } = await new INSPIREClient().lookupBatch({ texkeys: ['Maldacena:1997abc', 'Nobody:2000xx'] });
+
+    assertEqual(calls[0].params.get('q'), 'texkey:"Maldacena:1997abc" or texkey:"Nobody:2000xx"');
+    assertEqual(byTexkey.get('Maldacena:1997abc').recid, '452933');
+    assertEqual(byTexkey.get('Maldacena:1997abc').texkey, 'Maldacena:1997re');
+    assertEqual(byTexkey.has('Nobody:2000xx'), false);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for the record detail view (lib/record-details.js)
+ */
+
+import { latexToText, getRecordDetails } from '../lib/record-details.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Record Details Tests ===\n');
+
+  console.log('--- latexToText ---');
+
+  test('renders Greek letters, operators and scripts in math', () => {
+    assertEqual(latexToText('$\\alpha_s(m_Z^2) = 0.118 \\pm 0.001$'), 'αₛ(m_Z²) = 0.118 ± 0.001');
+    assertEqual(latexToText('$B^0_s \\to \\mu^+\\mu^-$'), 'B⁰ₛ → μ⁺μ⁻');
+  });
+
+  test('falls back to ^(...) for scripts without Unicode forms', () => {
+    assertEqual(latexToText('$x^{ab}$ and $p_T$'), 'x^(ab) and p_T');
+  });
+
+  test('renders fractions, roots, accents and fonts', () => {
+    assertEqual(latexToText('$\\sqrt{s} = 13$ TeV'), '√s = 13 TeV');
+    assertEqual(latexToText('$\\frac{1}{2}$, $\\frac{a+b}{c}$'), '1/2, (a+b)/c');
+    assertEqual(latexToText('$\\bar{\\nu}_e$'), 'ν̄ₑ');
+    assertEqual(latexToText('$\\mathcal{O}(\\alpha)$ and $\\rm GeV$'), 'O(α) and GeV');
+  });
+
+  test('handles all math delimiters', () => {
+    assertEqual(latexToText('\\(H\\to\\gamma\\gamma\\) and $$E=mc^2$$ and \\[\\Lambda\\]'), 'H→γγ and E=mc² and Λ');
+  });
+
+  test('text mode: dashes, quotes, escapes and grouping braces', () => {
+    assertEqual(latexToText("The {LHC} -- ``run 2'' data, 50\\% more~events"), 'The LHC – “run 2” data, 50% more events');
+  });
+
+  test('escaped dollars do not start math', () => {
+    assertEqual(latexToText('costs \\$5 for $x^2$ items'), 'costs $5 for x² items');
+  });
+
+  console.log('\n--- getRecordDetails ---');
+
+  test('extracts authors, keywords, report numbers and links', () => {
+    const details = getRecordDetails({
+      recid: '1124337',
+      title: ['Observation of a new particle'],
+      doi: ['10.1016/j.physletb.2012.08.020'],
+      arxivId: '1207.7214',
+      citation_count: 12000,
+      _inspire: {
+        abstracts: [
+          { source: 'Elsevier', value: 'Publisher abstract' },
+          { source: 'arXiv', value: 'Search for $H\\to\\gamma\\gamma$' },
+        ],
+        authors: [
+          { full_name: 'Aad, Georges', affiliations: [{ value: 'Marseille, CPPM' }] },
+          { full_name: 'Abajyan, Tatevik' },
+        ],
+        collaborations: [{ value: 'ATLAS' }],
+        keywords: [{ value: 'Higgs particle' }, { value: 'Higgs particle' }, { value: 'CERN LHC Coll' }],
+        report_numbers: [{ value: 'CERN-PH-EP-2012-218' }],
+        external_system_identifiers: [{ schema: 'CDS', value: '1471031' }, { schema: 'HEPDATA', value: 'ins1124337' }],
+      },
+    });
+
+    assertEqual(details.abstract, 'Search for H→γγ', 'prefers the arXiv abstract');
+    assertDeepEqual(details.authors[0], { name: 'Aad, Georges', affiliations: ['Marseille, CPPM'] });
+    assertDeepEqual(details.authors[1].affiliations, []);
+    assertDeepEqual(details.collaborations, ['ATLAS']);
+    assertDeepEqual(details.keywords, ['Higgs particle', 'CERN LHC Coll']);
+    assertDeepEqual(details.reportNumbers, ['CERN-PH-EP-2012-218']);
+    assertEqual(details.links.pdf, 'https://arxiv.org/pdf/1207.7214');
+    assertEqual(details.links.doi, 'https://doi.org/10.1016/j.physletb.2012.08.020');
+    assertEqual(details.links.hepdata, 'https://www.hepdata.net/record/ins1124337');
+  });
+
+  test('tolerates documents without INSPIRE metadata', () => {
+    const details = getRecordDetails({ recid: '1', title: ['T'], abstract: 'Plain' });
+    assertEqual(details.abstract, 'Plain');
+    assertDeepEqual(details.authors, []);
+    assertEqual(details.links.pdf, undefined);
+    assertEqual(details.links.hepdata, undefined, 'no HEPData record');
+  });
+
+  test('links HEPData only for records that have it', () => {
+    const withUrl = getRecordDetails({
+      recid: '1496288',
+      title: ['T'],
+      _inspire: { urls: [{ value: 'https://www.hepdata.net/record/ins1496288' }] },
+    });
+    assertEqual(withUrl.links.hepdata, 'https://www.hepdata.net/record/ins1496288');
+
+    const without = getRecordDetails({
+      recid: '452933',
+      title: ['T'],
+      _inspire: { external_system_identifiers: [{ schema: 'ADS', value: '1999IJTP...38.1113M' }] },
+    });
+    assertEqual(without.links.hepdata, undefined);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
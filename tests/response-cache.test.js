@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for the INSPIRE response cache (lib/response-cache.js)
+ * and its use in INSPIREClient.request
+ */
+
+import { ResponseCache, MemoryBackend, cacheKey } from '../lib/response-cache.js';
+import { INSPIREClient, INSPIREError } from '../lib/inspire-api.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function createCache(options = {}) {
+  return new ResponseCache({
+    backend: new MemoryBackend(),
+    ttls: { record: HOUR, search: HOUR, notFound: HOUR },
+    ...options,
+  });
+}
+
+// Replace fetch with a stub that counts calls and answers from `routes` (path -> [status, body])
+function stubFetch(routes) {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    const path = url.replace('https://inspirehep.net/api', '');
+    calls.push(path);
+    const [status, body] = routes[path] || [404, {}];
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 404 ? 'Not Found' : 'OK',
+      headers: { get: () => 'application/json' },
+      json: async () => body,
+    };
+  };
+  return calls;
+}
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Response Cache Tests ===\n');
+
+  await test('cacheKey sorts query parameters', () => {
+    assertEqual(cacheKey('/literature?size=5&q=a'), cacheKey('/literature?q=a&size=5'));
+    assertEqual(cacheKey('/literature/123'), '/literature/123');
+  });
+
+  await test('stores and returns values until they expire', async () => {
+    const cache = createCache({ ttls: { record: HOUR, search: 1 } });
+    await cache.set('/literature/1', { body: 1 }, 'record');
+    await cache.set('/literature?q=a', { body: 2 }, 'search');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assertDeepEqual(await cache.get('/literature/1'), { body: 1 });
+    assertEqual(await cache.get('/literature?q=a'), undefined);
+    assertEqual((await cache.stats()).entries, 1);
+  });
+
+  await test('unknown types use the default TTL', async () => {
+    const cache = createCache({ defaultTTL: 0 });
+    await cache.set('/other', { body: 1 }, 'other');
+    assertEqual(await cache.get('/other'), undefined);
+  });
+
+  await test('evicts least recently used entries past the size cap', async () => {
+    // Each value is roughly 200 bytes; room for two
+    const cache = createCache({ maxBytes: 500 });
+    const value = { body: 'x'.repeat(80) };
+
+    await cache.set('a', value, 'record');
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await cache.set('b', value, 'record');
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await cache.get('a');
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await cache.set('c', value, 'record');
+
+    assertEqual(await cache.get('b'), undefined, 'b was least recently used');
+    assertDeepEqual(await cache.get('a'), value);
+    assertDeepEqual(await cache.get('c'), value);
+  });
+
+  await test('only scans the metadata when the size cap is passed', async () => {
+    const backend = new MemoryBackend();
+    let scans = 0;
+    const allMeta = backend.allMeta.bind(backend);
+    backend.allMeta = () => { scans++; return allMeta(); };
+    const cache = createCache({ backend, maxBytes: 500 });
+    const value = { body: 'x'.repeat(80) };
+
+    await cache.set('a', value, 'record');
+    await cache.set('b', value, 'record');
+    await cache.set('a', value, 'record');
+    assertEqual(scans, 1, 'one scan to learn the stored size');
+
+    await cache.set('c', value, 'record');
+    assertEqual(scans, 2, 'evicting scans');
+    assertEqual((await cache.stats()).entries, 2);
+  });
+
+  await test('clear empties the cache', async () => {
+    const cache = createCache();
+    await cache.set('a', { body: 1 }, 'record');
+    await cache.clear();
+    assertDeepEqual(await cache.stats(), { entries: 0, bytes: 0 });
+  });
+
+  await test('backend failures are treated as misses', async () => {
+    const backend = new MemoryBackend();
+    backend.getMeta = async () => { throw new Error('broken'); };
+    backend.put = async () => { throw new Error('broken'); };
+    const cache = createCache({ backend });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await cache.set('a', { body: 1 }, 'record');
+      assertEqual(await cache.get('a'), undefined);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  console.log('\n--- INSPIREClient ---');
+
+  await test('repeated GET requests are answered from the cache', async () => {
+    const calls = stubFetch({ '/literature/42': [200, { id: '42' }] });
+    const client = new INSPIREClient({ cache: createCache() });
+
+    assertDeepEqual(await client.request('/literature/42'), { id: '42' });
+    assertDeepEqual(await client.request('/literature/42'), { id: '42' });
+    assertEqual(calls.length, 1);
+  });
+
+  await test('404s are cached and rethrown', async () => {
+    const calls = stubFetch({});
+    const client = new INSPIREClient({ cache: createCache() });
+
+    for (let i = 0; i < 2; i++) {
+      try {
+        await client.request('/doi/10.1000%2Fmissing');
+        throw new Error('expected a 404');
+      } catch (error) {
+        assertEqual(error instanceof INSPIREError, true, error.message);
+        assertEqual(error.status, 404);
+      }
+    }
+    assertEqual(calls.length, 1);
+  });
+
+  await test('non-GET requests and clients without a cache always fetch', async () => {
+    const calls = stubFetch({ '/literature/42': [200, { id: '42' }] });
+    const cached = new INSPIREClient({ cache: createCache() });
+    const uncached = new INSPIREClient();
+
+    await cached.request('/literature/42', { method: 'POST' });
+    await cached.request('/literature/42', { method: 'POST' });
+    await uncached.request('/literature/42');
+    await uncached.request('/literature/42');
+    assertEqual(calls.length, 4);
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+export { runTests };
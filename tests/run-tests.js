@@ -6,9 +6,23 @@
  * Usage: node tests/run-tests.js
  */
 
+import './runner-env.js';
 import { runTests as runBibtexTests } from './bibtex-utils.test.js';
 import { runTests as runAdsApiTests } from './ads-api.test.js';
 import { runTests as runStorageTests } from './storage.test.js';
+import { runTests as runBibCacheTests } from './bib-cache.test.js';
+import { runTests as runBibtexParserTests } from './bibtex-parser.test.js';
+import { runTests as runBibtexSerializerTests } from './bibtex-serializer.test.js';
+import { runTests as runBibtexResolverTests } from './bibtex-resolver.test.js';
+import { runTests as runResponseCacheTests } from './response-cache.test.js';
+import { runTests as runSearchQueryTests } from './search-query.test.js';
+import { runTests as runRecordDetailsTests } from './record-details.test.js';
+import { runTests as runInspireApiTests } from './inspire-api.test.js';
+import { runTests as runCiteCommandsTests } from './cite-commands.test.js';
+import { runTests as runCiteKeyTests } from './cite-key.test.js';
+import { runTests as runCitationScanTests } from './citation-scan.test.js';
+import { runTests as runBibliographyFilesTests } from './bibliography-files.test.js';
+import { runTests as runBibSyncTests } from './bib-sync.test.js';
 
 async function main() {
   console.log('╔════════════════════════════════════╗');
@@ -26,6 +40,45 @@ async function main() {
   console.log('\nRunning Storage tests...');
   results.push({ name: 'Storage', success: await runStorageTests() });
 
+  console.log('\nRunning BibTeX Parser tests...');
+  results.push({ name: 'BibTeX Parser', success: runBibtexParserTests() });
+
+  console.log('\nRunning BibTeX Serializer tests...');
+  results.push({ name: 'BibTeX Serializer', success: runBibtexSerializerTests() });
+
+  console.log('\nRunning Published Version tests...');
+  results.push({ name: 'Published Versions', success: await runBibtexResolverTests() });
+
+  console.log('\nRunning .bib Cache tests...');
+  results.push({ name: '.bib Cache', success: await runBibCacheTests() });
+
+  console.log('\nRunning Response Cache tests...');
+  results.push({ name: 'Response Cache', success: await runResponseCacheTests() });
+
+  console.log('\nRunning Search Query tests...');
+  results.push({ name: 'Search Query', success: runSearchQueryTests() });
+
+  console.log('\nRunning Record Details tests...');
+  results.push({ name: 'Record Details', success: runRecordDetailsTests() });
+
+  console.log('\nRunning INSPIRE Client tests...');
+  results.push({ name: 'INSPIRE Client', success: await runInspireApiTests() });
+
+  console.log('\nRunning Cite Commands tests...');
+  results.push({ name: 'Cite Commands', success: runCiteCommandsTests() });
+
+  console.log('\nRunning Cite Key tests...');
+  results.push({ name: 'Cite Key', success: runCiteKeyTests() });
+
+  console.log('\nRunning Citation Scan tests...');
+  results.push({ name: 'Citation Scan', success: runCitationScanTests() });
+
+  console.log('\nRunning Bibliography Files tests...');
+  results.push({ name: 'Bibliography Files', success: runBibliographyFilesTests() });
+
+  console.log('\nRunning Incremental .bib Parsing tests...');
+  results.push({ name: '.bib Live Sync', success: runBibSyncTests() });
+
   // Final summary
   console.log('\n╔════════════════════════════════════╗');
   console.log('║        Final Summary               ║');
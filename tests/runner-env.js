@@ -0,0 +1,6 @@
+/**
+ * Loaded by run-tests.js before the suites. The older suites run themselves
+ * when imported unless `window` is defined, which would end the run after the
+ * first of them.
+ */
+globalThis.window = globalThis.window || {};
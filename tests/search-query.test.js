@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for the INSPIRE search query builder (lib/search-query.js)
+ */
+
+import { buildSearchQuery, filterClauses, normalizeSort } from '../lib/search-query.js';
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\n  Expected: ${JSON.stringify(expected)}\n  Actual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log('\n=== Search Query Tests ===\n');
+
+  test('query without filters is passed through', () => {
+    assertEqual(buildSearchQuery('  a Witten '), 'a Witten');
+    assertEqual(buildSearchQuery('a Witten', {}), 'a Witten');
+  });
+
+  test('filters are appended and the query parenthesized', () => {
+    assertEqual(
+      buildSearchQuery('a Witten or a Maldacena', { published: true, documentType: 'review' }),
+      '(a Witten or a Maldacena) and tc p and tc r'
+    );
+  });
+
+  test('filters alone form a query', () => {
+    assertEqual(buildSearchQuery('', { collaboration: 'ATLAS' }), 'cn ATLAS');
+  });
+
+  test('date ranges', () => {
+    assertDeepEqual(filterClauses({ dateFrom: '2015', dateTo: '2020' }), ['date 2015->2020']);
+    assertDeepEqual(filterClauses({ dateFrom: 2020, dateTo: 2015 }), ['date 2015->2020']);
+    assertDeepEqual(filterClauses({ dateFrom: '2015' }), ['date >= 2015']);
+    assertDeepEqual(filterClauses({ dateTo: '2020' }), ['date <= 2020']);
+    assertDeepEqual(filterClauses({ dateFrom: '15' }), []);
+  });
+
+  test('collaboration names with spaces are quoted', () => {
+    assertDeepEqual(filterClauses({ collaboration: 'Belle II' }), ['cn "Belle II"']);
+    assertDeepEqual(filterClauses({ collaboration: '"CMS"' }), ['cn CMS']);
+  });
+
+  test('author limit and unknown document types', () => {
+    assertDeepEqual(filterClauses({ maxAuthors: '10' }), ['ac 1->10']);
+    assertDeepEqual(filterClauses({ maxAuthors: '0', documentType: 'poem' }), []);
+    assertDeepEqual(filterClauses({ documentType: 'conference' }), ['tc c']);
+  });
+
+  test('normalizeSort falls back to mostrecent', () => {
+    assertEqual(normalizeSort('mostcited'), 'mostcited');
+    assertEqual(normalizeSort(undefined), 'mostrecent');
+    assertEqual(normalizeSort('relevance'), 'mostrecent');
+  });
+
+  // Summary
+  console.log('\n=== Summary ===');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}`);
+
+  return failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };